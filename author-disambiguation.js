@@ -0,0 +1,483 @@
+import { createHash } from 'crypto';
+import { normalizeTitle } from './reference-resolver.js';
+import { rebuildAffiliations } from './organizations.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+
+// Author identity and disambiguation for the research graph.
+//
+// Author nodes are keyed on `authorId`, built from the strongest identifier
+// GROBID gives us (ORCID, then email, then name + affiliation, then name).
+// The disambiguation pass compares authors and writes AuthorProposal nodes
+// suggesting merges or splits; proposals are applied or rejected by id.
+
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// A proposal whose authors were merged away or removed since it was made
+class StaleProposalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StaleProposalError';
+  }
+}
+
+// Sample data and reference lists give authors as plain names
+function toAuthor(entry) {
+  const author = typeof entry === 'string' ? { name: entry } : entry;
+  return {
+    name: author.name,
+    email: author.email || null,
+    orcid: author.orcid || null,
+    affiliations: author.affiliations || [],
+    institutions: author.institutions || []
+  };
+}
+
+// Stable identity key for an author
+function authorKey(entry) {
+  const author = toAuthor(entry);
+  if (author.orcid) {
+    return `orcid:${author.orcid.replace(/^https?:\/\/orcid\.org\//i, '').toUpperCase()}`;
+  }
+  if (author.email) {
+    return `email:${author.email.trim().toLowerCase()}`;
+  }
+  const name = normalizeTitle(author.name);
+  if (author.affiliations.length > 0) {
+    return `name:${name}@${normalizeTitle(author.affiliations[0])}`;
+  }
+  return `name:${name}`;
+}
+
+// Split a normalized name into forename tokens and surname
+function nameParts(name) {
+  const tokens = (normalizeTitle(name) || '').split(' ').filter(Boolean);
+  return { surname: tokens[tokens.length - 1] || '', forenames: tokens.slice(0, -1) };
+}
+
+// "m chen" is compatible with "michael chen", "michael j chen" with "michael chen"
+function namesCompatible(nameA, nameB) {
+  const a = nameParts(nameA);
+  const b = nameParts(nameB);
+  if (!a.surname || a.surname !== b.surname) return false;
+  if (a.forenames.length === 0 || b.forenames.length === 0) return true;
+
+  const [firstA, firstB] = [a.forenames[0], b.forenames[0]];
+  if (firstA.length === 1 || firstB.length === 1) return firstA[0] === firstB[0];
+  return firstA === firstB;
+}
+
+function intersection(a, b) {
+  const set = new Set(b);
+  return [...new Set(a)].filter(value => set.has(value));
+}
+
+function proposalId(kind, authorIds) {
+  const hash = createHash('sha1').update(`${kind}:${[...authorIds].sort().join('|')}`).digest('hex');
+  return `${kind}-${hash.substring(0, 12)}`;
+}
+
+// Load every author with the evidence used for scoring
+async function loadAuthors(session) {
+  const result = await session.run(`
+    MATCH (a:Author)
+    OPTIONAL MATCH (a)-[w:AUTHORED]->(p:Paper)
+    OPTIONAL MATCH (p)<-[:AUTHORED]-(co:Author)
+    WHERE co <> a
+    WITH a, p, w, collect(DISTINCT co.name) AS coauthors
+    RETURN a.authorId AS authorId, a.name AS name, a.aliases AS aliases,
+           a.orcid AS orcid, a.email AS email, a.affiliations AS affiliations,
+           collect(CASE WHEN p IS NULL THEN null ELSE {
+             paperId: elementId(p),
+             affiliations: coalesce(w.affiliations, []),
+             coauthors: coauthors
+           } END) AS papers
+  `);
+
+  return result.records.map(record => ({
+    authorId: record.get('authorId'),
+    name: record.get('name'),
+    aliases: record.get('aliases') || [],
+    orcid: record.get('orcid'),
+    email: record.get('email'),
+    affiliations: record.get('affiliations') || [],
+    papers: record.get('papers')
+  }));
+}
+
+// Score how likely two author nodes are the same person
+function scoreMerge(a, b) {
+  if (a.orcid && b.orcid && a.orcid !== b.orcid) return null;
+
+  const namesA = [a.name, ...a.aliases];
+  const namesB = [b.name, ...b.aliases];
+  const compatible = namesA.some(nameA => namesB.some(nameB => namesCompatible(nameA, nameB)));
+  if (!compatible) return null;
+
+  const identical = intersection(namesA.map(normalizeTitle), namesB.map(normalizeTitle)).length > 0;
+  const reasons = [identical ? 'identical name' : 'compatible name variant'];
+  let confidence = identical ? 0.5 : 0.3;
+
+  const coauthors = author => author.papers.flatMap(paper => paper.coauthors).map(normalizeTitle);
+  const sharedCoauthors = intersection(coauthors(a), coauthors(b));
+  if (sharedCoauthors.length > 0) {
+    confidence += Math.min(0.3, 0.15 * sharedCoauthors.length);
+    reasons.push(`shared co-authors: ${sharedCoauthors.join(', ')}`);
+  }
+
+  const sharedAffiliations = intersection(a.affiliations.map(normalizeTitle), b.affiliations.map(normalizeTitle));
+  if (sharedAffiliations.length > 0) {
+    confidence += 0.2;
+    reasons.push('shared affiliation');
+  }
+
+  if (a.email && b.email && a.email.toLowerCase() !== b.email.toLowerCase()) {
+    confidence -= 0.2;
+    reasons.push('different emails');
+  }
+
+  return { confidence: Math.max(0, Math.min(1, confidence)), reasons };
+}
+
+// Group an author's papers by shared co-authors or affiliations
+function paperGroups(author) {
+  const groups = [];
+  for (const paper of author.papers) {
+    const keys = new Set([
+      ...paper.coauthors.map(name => `co:${normalizeTitle(name)}`),
+      ...paper.affiliations.map(name => `aff:${normalizeTitle(name)}`)
+    ]);
+    const connected = groups.filter(group => [...keys].some(key => group.keys.has(key)));
+    const merged = { keys, papers: [paper] };
+    for (const group of connected) {
+      group.keys.forEach(key => merged.keys.add(key));
+      merged.papers.push(...group.papers);
+      groups.splice(groups.indexOf(group), 1);
+    }
+    groups.push(merged);
+  }
+  return groups;
+}
+
+// Propose splitting a name-keyed author whose papers fall into groups with
+// disjoint affiliations
+function scoreSplit(author) {
+  if (author.orcid || author.email || author.papers.length < 2) return null;
+
+  const groups = paperGroups(author);
+  if (groups.length < 2) return null;
+
+  const affiliationSets = groups.map(group =>
+    new Set(group.papers.flatMap(paper => paper.affiliations).map(normalizeTitle))
+  );
+  if (affiliationSets.some(set => set.size === 0)) return null;
+
+  const disjoint = affiliationSets.every((set, i) =>
+    affiliationSets.slice(i + 1).every(other => intersection([...set], [...other]).length === 0)
+  );
+  if (!disjoint) return null;
+
+  return {
+    confidence: Math.min(1, 0.4 + 0.1 * groups.length),
+    reasons: [`${groups.length} unconnected groups of papers with different affiliations`],
+    groups: groups.map(group => group.papers.map(paper => paper.paperId))
+  };
+}
+
+// Compare all authors and store pending merge/split proposals
+async function proposeAuthorChanges(session, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  const authors = await loadAuthors(session);
+  const proposals = [];
+
+  for (let i = 0; i < authors.length; i++) {
+    for (let j = i + 1; j < authors.length; j++) {
+      const score = scoreMerge(authors[i], authors[j]);
+      if (score && score.confidence >= minConfidence) {
+        proposals.push({
+          kind: 'merge',
+          authorIds: [authors[i].authorId, authors[j].authorId],
+          ...score
+        });
+      }
+    }
+
+    const split = scoreSplit(authors[i]);
+    if (split && split.confidence >= minConfidence) {
+      proposals.push({ kind: 'split', authorIds: [authors[i].authorId], ...split });
+    }
+  }
+
+  // Rejected or applied proposals keep their status; only pending ones are refreshed
+  for (const proposal of proposals) {
+    proposal.id = proposalId(proposal.kind, proposal.authorIds);
+    await session.run(`
+      MERGE (pr:AuthorProposal {id: $id})
+      ON CREATE SET pr.kind = $kind, pr.status = 'pending', pr.createdAt = datetime()
+      WITH pr
+      WHERE pr.status = 'pending'
+      SET pr.confidence = $confidence,
+          pr.reasons = $reasons,
+          pr.groups = $groups,
+          pr.authorIds = $authorIds
+      WITH pr
+      UNWIND $authorIds AS authorId
+      MATCH (a:Author {authorId: authorId})
+      MERGE (pr)-[:PROPOSES]->(a)
+    `, {
+      id: proposal.id,
+      kind: proposal.kind,
+      confidence: proposal.confidence,
+      reasons: proposal.reasons,
+      groups: proposal.groups ? JSON.stringify(proposal.groups) : null,
+      authorIds: proposal.authorIds
+    });
+  }
+
+  return proposals;
+}
+
+async function listProposals(session, status = 'pending') {
+  const result = await session.run(`
+    MATCH (pr:AuthorProposal {status: $status})-[:PROPOSES]->(a:Author)
+    RETURN pr.id AS id, pr.kind AS kind, pr.confidence AS confidence,
+           pr.reasons AS reasons, collect(a.name + ' [' + a.authorId + ']') AS authors
+    ORDER BY confidence DESC
+  `, { status });
+
+  return result.records.map(record => ({
+    id: record.get('id'),
+    kind: record.get('kind'),
+    confidence: record.get('confidence'),
+    reasons: record.get('reasons'),
+    authors: record.get('authors')
+  }));
+}
+
+async function getPendingProposal(session, id) {
+  const result = await session.run(`
+    MATCH (pr:AuthorProposal {id: $id})
+    OPTIONAL MATCH (pr)-[:PROPOSES]->(a:Author)
+    WITH pr, collect(a.authorId) AS linked
+    RETURN pr.kind AS kind, pr.status AS status, pr.groups AS groups,
+           coalesce(pr.authorIds, linked) AS authorIds
+  `, { id });
+
+  if (result.records.length === 0) {
+    throw new Error(`Author proposal not found: ${id}`);
+  }
+
+  const record = result.records[0];
+  if (record.get('status') !== 'pending') {
+    throw new Error(`Author proposal ${id} is already ${record.get('status')}`);
+  }
+
+  return {
+    kind: record.get('kind'),
+    groups: record.get('groups') ? JSON.parse(record.get('groups')) : null,
+    authorIds: record.get('authorIds')
+  };
+}
+
+// Proposals are computed ahead of time, so their authors may have been merged
+// or removed since
+async function requireAuthors(tx, authorIds) {
+  const result = await tx.run(`
+    MATCH (a:Author) WHERE a.authorId IN $authorIds
+    RETURN collect(a.authorId) AS found
+  `, { authorIds });
+  const found = result.records[0].get('found');
+  const missing = authorIds.filter(authorId => !found.includes(authorId));
+  if (missing.length > 0) {
+    throw new StaleProposalError(`Author no longer exists: ${missing.join(', ')}`);
+  }
+}
+
+// Merge the second author into the first, keeping every name as an alias.
+// The merged-away authorId (and any merged into it earlier) is left as an
+// (:AuthorAlias)-[:ALIAS_OF]->(keep) redirect, so papers ingested later
+// under that key land on the kept author.
+async function applyMerge(tx, [keepId, mergeId]) {
+  await requireAuthors(tx, [keepId, mergeId]);
+  await tx.run(`
+    MATCH (keep:Author {authorId: $keepId}), (merge:Author {authorId: $mergeId})
+    OPTIONAL MATCH (merge)-[w:AUTHORED]->(p:Paper)
+    FOREACH (_ IN CASE WHEN p IS NULL THEN [] ELSE [1] END |
+      MERGE (keep)-[kw:AUTHORED]->(p)
+      SET kw.affiliations = coalesce(kw.affiliations, w.affiliations),
+          kw.institutionKeys = coalesce(kw.institutionKeys, w.institutionKeys),
+          kw.position = coalesce(kw.position, w.position),
+          kw.sourceId = coalesce(kw.sourceId, w.sourceId, merge.authorId)
+    )
+    WITH DISTINCT keep, merge
+    OPTIONAL MATCH (alias:AuthorAlias)-[:ALIAS_OF]->(merge)
+    FOREACH (_ IN CASE WHEN alias IS NULL THEN [] ELSE [1] END |
+      MERGE (alias)-[:ALIAS_OF]->(keep)
+    )
+    WITH DISTINCT keep, merge
+    MERGE (mergedAlias:AuthorAlias {authorId: merge.authorId})
+    MERGE (mergedAlias)-[:ALIAS_OF]->(keep)
+    SET keep.aliases = reduce(acc = [], name IN coalesce(keep.aliases, []) + coalesce(merge.aliases, []) + [merge.name] |
+          CASE WHEN name IN acc THEN acc ELSE acc + name END),
+        keep.affiliations = reduce(acc = [], name IN coalesce(keep.affiliations, []) + coalesce(merge.affiliations, []) |
+          CASE WHEN name IN acc THEN acc ELSE acc + name END),
+        keep.orcid = coalesce(keep.orcid, merge.orcid),
+        keep.email = coalesce(keep.email, merge.email)
+    DETACH DELETE merge
+  `, { keepId, mergeId });
+  await rebuildAffiliations(tx, [keepId]);
+}
+
+// Move every paper group after the first onto a new Author node. The moved
+// AUTHORED relationships keep the original authorId as sourceId, so
+// re-ingesting one of those papers keeps it on the split author.
+async function applySplit(tx, [authorId], groups) {
+  await requireAuthors(tx, [authorId]);
+  for (let i = 1; i < groups.length; i++) {
+    await tx.run(`
+      MATCH (a:Author {authorId: $authorId})
+      MERGE (b:Author {authorId: $splitId})
+      ON CREATE SET b.name = a.name, b.aliases = a.aliases, b.affiliations = []
+      WITH a, b
+      UNWIND $paperIds AS paperId
+      MATCH (a)-[w:AUTHORED]->(p:Paper) WHERE elementId(p) = paperId
+      MERGE (b)-[bw:AUTHORED]->(p)
+      SET bw.affiliations = w.affiliations,
+          bw.institutionKeys = w.institutionKeys,
+          bw.position = w.position,
+          bw.sourceId = coalesce(w.sourceId, a.authorId),
+          b.affiliations = reduce(acc = b.affiliations, name IN coalesce(w.affiliations, []) |
+            CASE WHEN name IN acc THEN acc ELSE acc + name END)
+      DELETE w
+    `, { authorId, splitId: `${authorId}#${i + 1}`, paperIds: groups[i] });
+  }
+  await rebuildAffiliations(tx, groups.map((group, i) => i === 0 ? authorId : `${authorId}#${i + 1}`));
+}
+
+// The Author each of a paper's author keys (from authorKey) belongs to. When
+// a paper is ingested again, keys it was stored under before keep the
+// authors they ended up on after merges and splits; other keys follow merge
+// aliases, and otherwise name their own Author.
+async function resolveAuthorIds(tx, paperKey, sourceIds) {
+  const previous = await tx.run(`
+    MATCH (:Paper {paperKey: $paperKey})<-[w:AUTHORED]-(a:Author)
+    RETURN a.authorId AS authorId, w.sourceId AS sourceId
+  `, { paperKey });
+  // Relationships stored before sourceId was recorded: a split author's key is
+  // the original one with a #n suffix
+  const byPaper = new Map(previous.records.map(record => [
+    record.get('sourceId') || record.get('authorId').replace(/#\d+$/, ''),
+    record.get('authorId')
+  ]));
+
+  const aliases = await tx.run(`
+    UNWIND $sourceIds AS sourceId
+    MATCH (:AuthorAlias {authorId: sourceId})-[:ALIAS_OF]->(a:Author)
+    RETURN sourceId, a.authorId AS authorId
+  `, { sourceIds: sourceIds.filter(sourceId => !byPaper.has(sourceId)) });
+  const byAlias = new Map(aliases.records.map(record => [record.get('sourceId'), record.get('authorId')]));
+
+  return sourceIds.map(sourceId => byPaper.get(sourceId) || byAlias.get(sourceId) || sourceId);
+}
+
+async function applyProposal(session, id) {
+  const proposal = await getPendingProposal(session, id);
+
+  try {
+    await session.executeWrite(async tx => {
+      if (proposal.kind === 'merge') {
+        await applyMerge(tx, proposal.authorIds);
+      } else {
+        await applySplit(tx, proposal.authorIds, proposal.groups);
+      }
+      await tx.run(`
+        MATCH (pr:AuthorProposal {id: $id})
+        SET pr.status = 'applied', pr.resolvedAt = datetime()
+      `, { id });
+    });
+  } catch (error) {
+    // A stale proposal can never apply, so it is marked failed rather than
+    // left pending
+    if (error instanceof StaleProposalError) {
+      await session.run(`
+        MATCH (pr:AuthorProposal {id: $id})
+        SET pr.status = 'failed', pr.failure = $message, pr.resolvedAt = datetime()
+      `, { id, message: error.message });
+    }
+    throw error;
+  }
+
+  return proposal;
+}
+
+async function rejectProposal(session, id) {
+  const proposal = await getPendingProposal(session, id);
+  await session.run(`
+    MATCH (pr:AuthorProposal {id: $id})
+    SET pr.status = 'rejected', pr.resolvedAt = datetime()
+  `, { id });
+  return proposal;
+}
+
+// Command-line entry point: propose | list [status] | apply <id> | reject <id>
+async function main() {
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+  const [command = 'list', arg] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'propose': {
+        console.log('🔍 Comparing authors...');
+        const proposals = await proposeAuthorChanges(session);
+        console.log(`✅ ${proposals.length} proposals (run "list" to review them)`);
+        break;
+      }
+      case 'list': {
+        const proposals = await listProposals(session, arg || 'pending');
+        console.log(`📋 ${proposals.length} ${arg || 'pending'} proposals:`);
+        proposals.forEach(proposal => {
+          console.log(`\n   ${proposal.id} (${proposal.kind}, confidence ${proposal.confidence.toFixed(2)})`);
+          proposal.authors.forEach(author => console.log(`     👤 ${author}`));
+          console.log(`     💡 ${proposal.reasons.join('; ')}`);
+        });
+        break;
+      }
+      case 'apply': {
+        if (!arg) throw new Error('Usage: apply <proposal-id>');
+        const proposal = await applyProposal(session, arg);
+        console.log(`✅ Applied ${proposal.kind} proposal ${arg}`);
+        break;
+      }
+      case 'reject': {
+        if (!arg) throw new Error('Usage: reject <proposal-id>');
+        await rejectProposal(session, arg);
+        console.log(`🚫 Rejected proposal ${arg}`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command} (expected propose, list, apply or reject)`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export {
+  StaleProposalError,
+  authorKey,
+  toAuthor,
+  resolveAuthorIds,
+  namesCompatible,
+  proposeAuthorChanges,
+  listProposals,
+  applyProposal,
+  rejectProposal
+};
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,602 @@
+import neo4j from 'neo4j-driver';
+import fs from 'fs';
+import path from 'path';
+import { toNumber } from './result-mapping.js';
+import { checkConnectionConfig } from './connection.js';
+import { normalizeTitle, normalizeDoi } from './reference-resolver.js';
+
+// BibTeX, RIS and CSL-JSON import and export for Paper nodes. Entries are
+// parsed into the structure ResearchGraphBuilder.storePaper accepts (title,
+// authors, year, doi, abstract, venue, keywords) and papers read from the
+// graph are written back out in the same formats.
+//
+//   node bibliography.js import <file> [--format bibtex|ris|csl-json] [--overwrite]
+//   node bibliography.js export <file> [--format ...] [--paper key ...] [--query cypher]
+
+const FORMATS = ['bibtex', 'ris', 'csl-json'];
+
+function emptyPaper() {
+  return {
+    title: null,
+    authors: [],
+    year: null,
+    doi: null,
+    abstract: null,
+    venue: null,
+    keywords: [],
+    references: []
+  };
+}
+
+// Author in the shape tei-parser produces
+function toAuthor(forename, surname) {
+  const name = [forename, surname].filter(Boolean).join(' ');
+  return {
+    name,
+    forename: forename || null,
+    surname: surname || null,
+    email: null,
+    orcid: null,
+    affiliations: []
+  };
+}
+
+// "Last, First", "Last, Jr, First", "First Last" or "First von Last"
+function parseName(text) {
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 3) return toAuthor(parts[2], `${parts[0]}, ${parts[1]}`);
+  if (parts.length === 2) return toAuthor(parts[1], parts[0]);
+  const words = text.trim().split(/\s+/);
+  if (words.length === 1) return toAuthor(null, words[0]);
+  // Lowercase particles (van, de, von) start the surname
+  const particle = words.findIndex((word, i) => i > 0 && i < words.length - 1 && /^\p{Ll}/u.test(word));
+  const split = particle === -1 ? words.length - 1 : particle;
+  return toAuthor(words.slice(0, split).join(' '), words.slice(split).join(' '));
+}
+
+// "Last, First" for export. Names with only a surname (organisations, or
+// authors known by one name) are kept whole.
+function invertedName(author) {
+  if (author.surname && author.forename) return `${author.surname}, ${author.forename}`;
+  if (author.surname) return author.surname;
+  const { forename, surname } = parseName(author.name);
+  return forename ? `${surname}, ${forename}` : author.name;
+}
+
+function parseYear(text) {
+  const match = String(text || '').match(/\b(\d{4})\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function splitKeywords(text) {
+  return text.split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean);
+}
+
+// BibTeX
+
+const LATEX_ACCENTS = {
+  '"': '\u0308', "'": '\u0301', '`': '\u0300', '^': '\u0302', '~': '\u0303',
+  '=': '\u0304', '.': '\u0307', c: '\u0327', v: '\u030c', u: '\u0306', H: '\u030b'
+};
+const LATEX_LETTERS = {
+  ss: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', o: 'ø', O: 'Ø', l: 'ł', L: 'Ł', aa: 'å', AA: 'Å', i: 'ı'
+};
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Escaped backslashes and braces are set aside while grouping braces are
+// dropped, then restored
+const ESCAPED = { '\\': '\u0000', '{': '\u0001', '}': '\u0002' };
+
+// Plain text from a BibTeX field: accents, escapes and braces resolved
+function decodeLatex(text) {
+  return text
+    .replace(/\\textbackslash(?:\{\}|\b\s*)/g, ESCAPED['\\'])
+    .replace(/\\([{}])/g, (match, brace) => ESCAPED[brace])
+    .replace(/\\([cvuH])(?:\s+|\s*\{)\\?([a-zA-Z])\}?/g, (match, accent, letter) => (letter + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\(["'`^~=.])\s*\{?\\?([a-zA-Z])\}?/g, (match, accent, letter) => (letter + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i)\b\s*/g, (match, letter) => LATEX_LETTERS[letter])
+    .replace(/\\([&%$#_])/g, '$1')
+    .replace(/\\textendash\b\s*|--/g, '–')
+    .replace(/(?<!\\)~/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\u0000-\u0002]/g, char => Object.keys(ESCAPED).find(key => ESCAPED[key] === char))
+    .trim();
+}
+
+function encodeLatex(text) {
+  return String(text).replace(/[\\{}&%$#_]/g, char => char === '\\' ? '\\textbackslash{}' : `\\${char}`);
+}
+
+// Minimal recursive-descent reader over the BibTeX source
+class BibtexReader {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.strings = Object.fromEntries(MONTHS.map((month, i) => [month, String(i + 1)]));
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+  }
+
+  expect(chars) {
+    this.skipSpace();
+    const char = this.text[this.pos];
+    if (!chars.includes(char)) {
+      throw new Error(`BibTeX syntax error at offset ${this.pos}: expected ${chars.split('').join(' or ')}`);
+    }
+    this.pos++;
+    return char;
+  }
+
+  readWhile(pattern) {
+    const start = this.pos;
+    while (this.pos < this.text.length && pattern.test(this.text[this.pos])) this.pos++;
+    return this.text.substring(start, this.pos);
+  }
+
+  // Text up to the matching closing brace (the opening one already read)
+  readBraced() {
+    let depth = 1;
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+      if (char === '\\') this.pos++;
+      else if (char === '{') depth++;
+      else if (char === '}' && --depth === 0) return this.text.substring(start, this.pos - 1);
+    }
+    throw new Error('BibTeX syntax error: unbalanced braces');
+  }
+
+  readQuoted() {
+    let depth = 0;
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+      if (char === '\\') this.pos++;
+      else if (char === '{') depth++;
+      else if (char === '}') depth--;
+      else if (char === '"' && depth === 0) return this.text.substring(start, this.pos - 1);
+    }
+    throw new Error('BibTeX syntax error: unterminated string');
+  }
+
+  // value = part (# part)*, where a part is {...}, "...", a number or a macro
+  readValue() {
+    const parts = [];
+    do {
+      this.skipSpace();
+      const char = this.text[this.pos];
+      if (char === '{') {
+        this.pos++;
+        parts.push(this.readBraced());
+      } else if (char === '"') {
+        this.pos++;
+        parts.push(this.readQuoted());
+      } else {
+        const token = this.readWhile(/[^\s,#}")]/);
+        if (!token) throw new Error(`BibTeX syntax error at offset ${this.pos}: expected a value`);
+        parts.push(/^\d+$/.test(token) ? token : (this.strings[token.toLowerCase()] || token));
+      }
+      this.skipSpace();
+    } while (this.text[this.pos] === '#' && ++this.pos);
+    return parts.join('');
+  }
+
+  // Entries as { type, key, fields } with lowercase field names
+  readEntries() {
+    const entries = [];
+    while (true) {
+      const at = this.text.indexOf('@', this.pos);
+      if (at === -1) return entries;
+      this.pos = at + 1;
+
+      const type = this.readWhile(/[A-Za-z]/).toLowerCase();
+      const open = this.expect('{(');
+      const close = open === '{' ? '}' : ')';
+
+      if (type === 'comment' || type === 'preamble') {
+        if (open === '{') this.readBraced();
+        else this.pos = this.text.indexOf(')', this.pos) + 1;
+        continue;
+      }
+      if (type === 'string') {
+        this.skipSpace();
+        const name = this.readWhile(/[^\s=]/).toLowerCase();
+        this.expect('=');
+        this.strings[name] = this.readValue();
+        this.expect(close);
+        continue;
+      }
+
+      this.skipSpace();
+      const key = this.readWhile(/[^\s,})]/);
+      const fields = {};
+      while (this.expect(',' + close) === ',') {
+        this.skipSpace();
+        if (this.text[this.pos] === close) {
+          this.pos++;
+          break;
+        }
+        const name = this.readWhile(/[^\s=]/).toLowerCase();
+        this.expect('=');
+        fields[name] = this.readValue();
+      }
+      entries.push({ type, key, fields });
+    }
+  }
+}
+
+function parseBibtex(text) {
+  return new BibtexReader(text).readEntries().map(({ fields }) => {
+    const paper = emptyPaper();
+    paper.title = fields.title ? decodeLatex(fields.title) : null;
+    // A fully braced name such as {World Health Organization} is not split
+    paper.authors = splitBibtexNames(fields.author || '').map(name => /^\{.*\}$/s.test(name)
+      ? toAuthor(null, decodeLatex(name))
+      : parseName(decodeLatex(name)));
+    paper.year = parseYear(fields.year || fields.date);
+    paper.doi = fields.doi ? decodeLatex(fields.doi).replace(/^https?:\/\/(dx\.)?doi\.org\//i, '') : null;
+    paper.abstract = fields.abstract ? decodeLatex(fields.abstract) : null;
+    const venue = fields.journal || fields.journaltitle || fields.booktitle || fields.publisher;
+    paper.venue = venue ? decodeLatex(venue) : null;
+    paper.keywords = fields.keywords ? splitKeywords(decodeLatex(fields.keywords)) : [];
+    return paper;
+  });
+}
+
+// Split "A and B and {C and D}" on " and " outside braces
+function splitBibtexNames(text) {
+  const names = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}') depth--;
+    else if (depth === 0 && /^\sand\s/i.test(text.substring(i, i + 5))) {
+      names.push(text.substring(start, i));
+      start = i + 5;
+      i += 4;
+    }
+  }
+  names.push(text.substring(start));
+  return names.map(name => name.trim()).filter(Boolean);
+}
+
+// Citation key: first author's surname, year and first title word
+function citationKey(paper, used) {
+  const first = paper.authors[0];
+  const surname = first ? (first.surname || parseName(first.name).surname || '') : 'anon';
+  const word = (paper.title || '').split(/\s+/).find(w => w.length > 3) || 'untitled';
+  const base = `${surname}${paper.year || ''}${word}`
+    .normalize('NFKD').replace(/[^A-Za-z0-9]/g, '').toLowerCase() || 'paper';
+  let key = base;
+  for (let i = 0; used.has(key); i++) key = base + String.fromCharCode(97 + (i % 26)) + (i >= 26 ? i : '');
+  used.add(key);
+  return key;
+}
+
+function toBibtex(papers) {
+  const used = new Set();
+  return papers.map(paper => {
+    const conference = paper.venueType === 'conference';
+    const fields = [
+      ['title', paper.title],
+      ['author', paper.authors.map(author => author.surname && !author.forename && /\s/.test(author.surname)
+        ? `{${encodeLatex(author.surname)}}`
+        : encodeLatex(invertedName(author))).join(' and ')],
+      [paper.venue ? (conference ? 'booktitle' : 'journal') : null, paper.venue],
+      ['year', paper.year],
+      ['doi', paper.doi],
+      ['abstract', paper.abstract],
+      ['keywords', paper.keywords.length > 0 ? paper.keywords.join(', ') : null]
+    ].filter(([name, value]) => name && value !== null && value !== undefined && value !== '');
+
+    const body = fields
+      .map(([name, value]) => `  ${name} = {${name === 'author' ? value : encodeLatex(value)}}`)
+      .join(',\n');
+    const type = paper.venue ? (conference ? 'inproceedings' : 'article') : 'misc';
+    return `@${type}{${citationKey(paper, used)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+// RIS
+
+const RIS_FIELDS = {
+  TI: 'title', T1: 'title',
+  AU: 'author', A1: 'author',
+  PY: 'year', Y1: 'year', DA: 'year',
+  DO: 'doi',
+  AB: 'abstract', N2: 'abstract',
+  JO: 'venue', JF: 'venue', JA: 'venue', T2: 'venue', BT: 'venue',
+  KW: 'keyword'
+};
+
+function parseRis(text) {
+  const papers = [];
+  let paper = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^([A-Z][A-Z0-9])  -(?: (.*))?$/);
+    if (!match) continue;
+    const [, tag, rawValue = ''] = match;
+    const value = rawValue.trim();
+
+    if (tag === 'TY') {
+      paper = emptyPaper();
+      continue;
+    }
+    if (!paper) continue;
+    if (tag === 'ER') {
+      papers.push(paper);
+      paper = null;
+      continue;
+    }
+
+    switch (RIS_FIELDS[tag]) {
+      case 'title':
+        paper.title = paper.title || value;
+        break;
+      case 'author':
+        paper.authors.push(parseName(value));
+        break;
+      case 'year':
+        paper.year = paper.year || parseYear(value);
+        break;
+      case 'doi':
+        paper.doi = value.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+        break;
+      case 'abstract':
+        paper.abstract = paper.abstract || value;
+        break;
+      case 'venue':
+        paper.venue = paper.venue || value;
+        break;
+      case 'keyword':
+        paper.keywords.push(value);
+        break;
+    }
+  }
+  return papers;
+}
+
+function toRis(papers) {
+  return papers.map(paper => {
+    const lines = [`TY  - ${paper.venue ? 'JOUR' : 'GEN'}`];
+    const add = (tag, value) => {
+      if (value !== null && value !== undefined && value !== '') lines.push(`${tag}  - ${String(value).replace(/\s*\r?\n\s*/g, ' ')}`);
+    };
+    add('TI', paper.title);
+    paper.authors.forEach(author => add('AU', invertedName(author)));
+    add('PY', paper.year);
+    add('JO', paper.venue);
+    add('DO', paper.doi);
+    add('AB', paper.abstract);
+    paper.keywords.forEach(keyword => add('KW', keyword));
+    lines.push('ER  - ');
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// CSL-JSON
+
+function parseCslJson(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : [data];
+  return items.map(item => {
+    const paper = emptyPaper();
+    paper.title = item.title || null;
+    paper.authors = (item.author || []).map(author => author.literal
+      ? toAuthor(null, author.literal)
+      : toAuthor(author.given, [author['non-dropping-particle'], author.family].filter(Boolean).join(' ')));
+    const dateParts = item.issued && item.issued['date-parts'];
+    paper.year = dateParts && dateParts[0] && dateParts[0][0]
+      ? parseInt(dateParts[0][0], 10)
+      : parseYear(item.issued && (item.issued.raw || item.issued.literal));
+    paper.doi = item.DOI || null;
+    paper.abstract = item.abstract || null;
+    paper.venue = item['container-title'] || null;
+    paper.keywords = item.keyword ? splitKeywords(item.keyword) : [];
+    return paper;
+  });
+}
+
+function toCslJson(papers) {
+  const used = new Set();
+  const items = papers.map(paper => {
+    const item = {
+      id: citationKey(paper, used),
+      type: paper.venue ? 'article-journal' : 'document',
+      title: paper.title,
+      author: paper.authors.map(author => {
+        const { forename, surname } = author.surname ? author : parseName(author.name);
+        return forename ? { family: surname, given: forename } : { literal: surname || author.name };
+      })
+    };
+    if (paper.year) item.issued = { 'date-parts': [[paper.year]] };
+    if (paper.venue) item['container-title'] = paper.venue;
+    if (paper.doi) item.DOI = paper.doi;
+    if (paper.abstract) item.abstract = paper.abstract;
+    if (paper.keywords.length > 0) item.keyword = paper.keywords.join(', ');
+    return item;
+  });
+  return JSON.stringify(items, null, 2) + '\n';
+}
+
+// Files
+
+const PARSERS = { bibtex: parseBibtex, ris: parseRis, 'csl-json': parseCslJson };
+const WRITERS = { bibtex: toBibtex, ris: toRis, 'csl-json': toCslJson };
+
+// Format from an explicit option or the file extension: .bib, .ris, .json
+function detectBibliographyFormat(file, format) {
+  if (format) {
+    if (!FORMATS.includes(format)) throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+    return format;
+  }
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.bib' || extension === '.bibtex') return 'bibtex';
+  if (extension === '.ris') return 'ris';
+  if (extension === '.json') return 'csl-json';
+  throw new Error(`Cannot tell the format of ${file}; pass --format (${FORMATS.join(', ')})`);
+}
+
+function readBibliographyFile(file, format) {
+  return PARSERS[detectBibliographyFormat(file, format)](fs.readFileSync(file, 'utf8'));
+}
+
+// Graph
+
+// The paper an entry describes, matched by DOI or, failing that, by title
+// (ingested PDFs without a DOI are keyed on their hash, not their title)
+async function findExistingPaper(session, paper) {
+  const result = await session.run(`
+    MATCH (p:Paper)
+    WHERE ($normalizedDoi IS NOT NULL AND p.normalizedDoi = $normalizedDoi)
+       OR (p.normalizedTitle = $normalizedTitle AND ($normalizedDoi IS NULL OR p.normalizedDoi IS NULL))
+    RETURN p.paperKey AS paperKey, p.filename AS filename, p.contentHash AS contentHash, p.doi AS doi
+    ORDER BY CASE WHEN p.normalizedDoi = $normalizedDoi THEN 0 ELSE 1 END, p.paperKey
+    LIMIT 1
+  `, { normalizedDoi: normalizeDoi(paper.doi), normalizedTitle: normalizeTitle(paper.title) });
+  if (result.records.length === 0) return null;
+  const record = result.records[0];
+  return Object.fromEntries(record.keys.map(key => [key, record.get(key)]));
+}
+
+// Store parsed entries with a ResearchGraphBuilder. Papers already in the
+// graph are left alone unless overwrite is set, since PDF ingestion stores
+// more (full text, references) than a bibliography entry has. An overwritten
+// paper keeps its key, PDF filename and hash, and its DOI when the entry has none.
+async function importBibliography(builder, papers, { overwrite = false, source = null } = {}) {
+  const stats = { added: 0, updated: 0, skipped: 0, invalid: 0 };
+  for (const paper of papers) {
+    if (!paper.title) {
+      stats.invalid++;
+      continue;
+    }
+    const existing = await findExistingPaper(builder.session, paper);
+    if (existing && !overwrite) {
+      stats.skipped++;
+      continue;
+    }
+    if (existing) {
+      await builder.storePaper({ ...paper, doi: paper.doi || existing.doi }, existing.filename || source, {
+        contentHash: existing.contentHash,
+        previousKey: existing.paperKey
+      });
+    } else {
+      await builder.storePaper(paper, source);
+    }
+    stats[existing ? 'updated' : 'added']++;
+  }
+  return stats;
+}
+
+// Papers with their authors in order, selected by paperKey, by a Cypher query
+// returning Paper nodes (in any column), or all papers
+async function readPapers(session, { paperKeys, query, params = {} } = {}) {
+  let keys = paperKeys && paperKeys.length > 0 ? paperKeys : null;
+  if (query) {
+    const result = await session.run(query, params);
+    keys = result.records.flatMap(record => record.keys
+      .map(key => record.get(key))
+      .filter(value => value instanceof neo4j.types.Node && value.labels.includes('Paper'))
+      .map(node => node.properties.paperKey));
+  }
+
+  const result = await session.run(`
+    MATCH (p:Paper)
+    WHERE $keys IS NULL OR p.paperKey IN $keys
+    OPTIONAL MATCH (a:Author)-[w:AUTHORED]->(p)
+    WITH p, a, w ORDER BY w.position, a.name
+    WITH p, collect(a {.name, .orcid, .email}) AS authors
+    RETURN p {.paperKey, .title, .year, .doi, .abstract, .venue, .keywords,
+              venueType: head([(p)-[:PUBLISHED_IN]->(v:Venue) | v.type])} AS paper, authors
+    ORDER BY p.year, p.title
+  `, { keys: keys ? [...new Set(keys)] : null });
+
+  return result.records.map(record => {
+    const paper = record.get('paper');
+    return {
+      ...emptyPaper(),
+      ...paper,
+      year: toNumber(paper.year),
+      keywords: paper.keywords || [],
+      authors: record.get('authors').map(author => ({ ...parseName(author.name), ...author }))
+    };
+  });
+}
+
+async function exportBibliography(session, out, { format, ...selection } = {}) {
+  const resolved = detectBibliographyFormat(out, format);
+  const papers = await readPapers(session, selection);
+  fs.writeFileSync(out, WRITERS[resolved](papers));
+  return { format: resolved, out, papers: papers.length };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const [command, file] = args;
+  const paperKeys = args.filter((arg, i) => args[i - 1] === '--paper');
+
+  if (!['import', 'export'].includes(command) || !file) {
+    console.error('Usage: node bibliography.js import <file> [--format bibtex|ris|csl-json] [--overwrite]');
+    console.error('       node bibliography.js export <file> [--format ...] [--paper key ...] [--query cypher]');
+    process.exitCode = 2;
+    return;
+  }
+
+  if (!checkConnectionConfig()) return;
+
+  // Loaded here so a usage error does not need a database
+  const { ResearchGraphBuilder } = await import('./grobid-demo.js');
+  let builder = null;
+  try {
+    builder = new ResearchGraphBuilder();
+    if (command === 'import') {
+      const papers = readBibliographyFile(file, option('format'));
+      const stats = await importBibliography(builder, papers, {
+        overwrite: args.includes('--overwrite'),
+        source: path.basename(file)
+      });
+      await builder.resolveReferences();
+      console.log(`📚 ${stats.added} added, ${stats.updated} updated, ${stats.skipped} already in the graph, ${stats.invalid} without a title`);
+    } else {
+      const result = await exportBibliography(builder.session, file, {
+        format: option('format'),
+        paperKeys,
+        query: option('query')
+      });
+      console.log(`📤 Wrote ${result.papers} papers to ${result.out} (${result.format})`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (builder) await builder.close();
+  }
+}
+
+export {
+  parseBibtex,
+  parseRis,
+  parseCslJson,
+  toBibtex,
+  toRis,
+  toCslJson,
+  detectBibliographyFormat,
+  readBibliographyFile,
+  importBibliography,
+  readPapers,
+  exportBibliography
+};
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -1,147 +1,313 @@
 import neo4j from 'neo4j-driver';
-import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { labelExpression, escapeIdentifier, buildWhere } from './query-builder.js';
+import { serialize, formatJson } from './output.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+import { toNumber } from './result-mapping.js';
 
-// Load environment variables
-dotenv.config();
+// Declarative graph assertions. Assertion files (JSON or YAML) list checks to
+// run against the database; each one passes or fails, and the process exits
+// non-zero when any fails, so ingestion runs can be validated in scripts.
+//
+//   node check-our-data.js [file|dir ...] [--json]     (default: ./assertions)
+//
+// A file is a list of assertions or { name, assertions: [...] }. Types:
+//
+//   nodes          { label, where, count | min | max }   number of matching nodes (default min 1)
+//   relationships  { from, relationship, to, count | min | max }
+//                  number of (from)-[relationship]->(to)
+//   cardinality    { label, relationship, direction, other, min, max }
+//                  bounds on each :label node's number of such relationships
+//   required       { label, properties }                  no node lacks any of the properties
+//   unique         { label, properties }                  no two nodes share the property values
+//   cypher         { query, params }                      the query must return zero rows
+//
+// `where` uses the findNodes filter syntax; `from`, `to` and `other` are
+// optional labels; direction is out (default), in or both.
 
-const driver = neo4j.driver(
-  process.env.NEO4J_URI,
-  neo4j.auth.basic(process.env.NEO4J_USERNAME, process.env.NEO4J_PASSWORD)
-);
+const DEFAULT_DIR = 'assertions';
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const SAMPLE_SIZE = 5;
 
-async function checkOurData() {
-  const session = driver.session({ database: process.env.NEO4J_DATABASE });
-  
-  try {
-    console.log('🔍 Checking data created by our demo...\n');
-    
-    // Check movie demo data
-    console.log('🎬 Movie Demo Data:');
-    console.log('==================\n');
-    
-    // People in movie demo
-    console.log('People:');
-    const people = await session.run(`
-      MATCH (p:Person)
-      WHERE p.name IN ['Tom Hanks', 'Rita Wilson', 'Robert Zemeckis']
-      RETURN p.name as name, p.born as born
-      ORDER BY p.name
-    `);
-    
-    people.records.forEach(record => {
-      console.log(`  • ${record.get('name')} (born: ${record.get('born')})`);
-    });
-    
-    // Movies
-    console.log('\nMovies:');
-    const movies = await session.run(`
-      MATCH (m:Movie)
-      WHERE m.title IN ['Forrest Gump', 'Cast Away']
-      RETURN m.title as title, m.released as released, m.tagline as tagline
-      ORDER BY m.released
-    `);
-    
-    movies.records.forEach(record => {
-      console.log(`  • ${record.get('title')} (${record.get('released')})`);
-      console.log(`    "${record.get('tagline')}"`);
-    });
-    
-    // Movie relationships
-    console.log('\nMovie Relationships:');
-    const movieRels = await session.run(`
-      MATCH (p:Person)-[r]->(m:Movie)
-      WHERE p.name IN ['Tom Hanks', 'Rita Wilson', 'Robert Zemeckis']
-        AND m.title IN ['Forrest Gump', 'Cast Away']
-      RETURN p.name as person, type(r) as relType, m.title as movie, r.roles as roles
-      ORDER BY p.name, m.title
-    `);
-    
-    movieRels.records.forEach(record => {
-      const roles = record.get('roles');
-      const roleInfo = roles ? ` as ${roles[0]}` : '';
-      console.log(`  • ${record.get('person')} ${record.get('relType')} ${record.get('movie')}${roleInfo}`);
-    });
-    
-    // Check user/product demo data
-    console.log('\n\n💼 User/Product Demo Data:');
-    console.log('=========================\n');
-    
-    // Users
-    console.log('Users:');
-    const users = await session.run(`
-      MATCH (u:User)
-      WHERE u.name IN ['Alice', 'Bob']
-      RETURN DISTINCT u.name as name, u.age as age, u.email as email
-      ORDER BY u.name
-    `);
-    
-    users.records.forEach(record => {
-      console.log(`  • ${record.get('name')} (age: ${record.get('age')}, email: ${record.get('email')})`);
-    });
-    
-    // Products
-    console.log('\nProducts:');
-    const products = await session.run(`
-      MATCH (p:Product)
-      WHERE p.name = 'Laptop'
-      RETURN DISTINCT p.name as name, p.price as price, p.category as category
-    `);
-    
-    products.records.forEach(record => {
-      console.log(`  • ${record.get('name')} - $${record.get('price')} (${record.get('category')})`);
-    });
-    
-    // User relationships
-    console.log('\nUser Relationships:');
-    const userRels = await session.run(`
-      MATCH (a)-[r]->(b)
-      WHERE (a:User AND b:Product) OR (a:User AND b:User)
-      RETURN DISTINCT a.name as from, type(r) as relType, b.name as to, 
-             r.date as date, r.quantity as quantity, r.since as since
-      ORDER BY type(r), a.name
+class AssertionSpecError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssertionSpecError';
+  }
+}
+
+// Describe and check a count against { count, min, max }
+function checkBounds(actual, spec, defaults = {}) {
+  const bounds = spec.count !== undefined
+    ? { min: spec.count, max: spec.count }
+    : { min: spec.min !== undefined ? spec.min : defaults.min, max: spec.max !== undefined ? spec.max : defaults.max };
+  const passed = (bounds.min === undefined || actual >= bounds.min) &&
+    (bounds.max === undefined || actual <= bounds.max);
+
+  let expected;
+  if (bounds.min !== undefined && bounds.min === bounds.max) expected = `${bounds.min}`;
+  else if (bounds.min !== undefined && bounds.max !== undefined) expected = `${bounds.min}..${bounds.max}`;
+  else if (bounds.min !== undefined) expected = `>= ${bounds.min}`;
+  else if (bounds.max !== undefined) expected = `<= ${bounds.max}`;
+  else expected = 'any';
+
+  return { passed, message: `${actual} (expected ${expected})` };
+}
+
+// File values are plain JSON, so whole numbers are sent as Neo4j integers
+function toParams(params = {}) {
+  return Object.fromEntries(Object.entries(params).map(([key, value]) =>
+    [key, Number.isInteger(value) ? neo4j.int(value) : value]));
+}
+
+function optionalLabel(label) {
+  return label ? labelExpression(label) : '';
+}
+
+function propertyList(spec) {
+  const properties = Array.isArray(spec.properties) ? spec.properties : [spec.properties || spec.property];
+  if (properties.length === 0 || properties.some(property => !property)) {
+    throw new AssertionSpecError('needs properties');
+  }
+  return properties;
+}
+
+function requireField(spec, field) {
+  if (spec[field] === undefined || spec[field] === null || spec[field] === '') {
+    throw new AssertionSpecError(`needs ${field}`);
+  }
+  return spec[field];
+}
+
+// One function per assertion type: (session, spec) -> { passed, message, samples? }
+const CHECKS = {
+  async nodes(session, spec) {
+    const { conditions, params } = buildWhere('n', spec.where || {});
+    const result = await session.run(`
+      MATCH (n${labelExpression(requireField(spec, 'label'))})
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      RETURN count(n) AS count
+    `, params);
+    return checkBounds(toNumber(result.records[0].get('count')), spec, { min: 1 });
+  },
+
+  async relationships(session, spec) {
+    const type = escapeIdentifier(requireField(spec, 'relationship'), 'relationship type');
+    const result = await session.run(`
+      MATCH (${optionalLabel(spec.from)})-[r:${type}]->(${optionalLabel(spec.to)})
+      RETURN count(r) AS count
     `);
-    
-    userRels.records.forEach(record => {
-      let details = '';
-      if (record.get('date')) {
-        details = ` on ${record.get('date')} (qty: ${record.get('quantity')})`;
-      } else if (record.get('since')) {
-        details = ` since ${record.get('since')}`;
+    return checkBounds(toNumber(result.records[0].get('count')), spec, { min: 1 });
+  },
+
+  async cardinality(session, spec) {
+    const type = escapeIdentifier(requireField(spec, 'relationship'), 'relationship type');
+    const other = `(${optionalLabel(spec.other)})`;
+    const patterns = {
+      out: `(n)-[:${type}]->${other}`,
+      in: `(n)<-[:${type}]-${other}`,
+      both: `(n)-[:${type}]-${other}`
+    };
+    const pattern = patterns[spec.direction || 'out'];
+    if (!pattern) throw new AssertionSpecError(`unknown direction "${spec.direction}" (expected out, in or both)`);
+    if (spec.min === undefined && spec.max === undefined) throw new AssertionSpecError('needs min or max');
+
+    const conditions = [];
+    if (spec.min !== undefined) conditions.push('degree < $min');
+    if (spec.max !== undefined) conditions.push('degree > $max');
+    const result = await session.run(`
+      MATCH (n${labelExpression(requireField(spec, 'label'))})
+      WITH n, COUNT { ${pattern} } AS degree
+      WHERE ${conditions.join(' OR ')}
+      RETURN count(n) AS violations, collect({node: properties(n), degree: degree})[..$sampleSize] AS samples
+    `, { min: neo4j.int(spec.min || 0), max: neo4j.int(spec.max || 0), sampleSize: neo4j.int(SAMPLE_SIZE) });
+
+    const record = result.records[0];
+    const violations = toNumber(record.get('violations'));
+    return {
+      passed: violations === 0,
+      message: `${violations} nodes outside the bounds`,
+      samples: record.get('samples')
+    };
+  },
+
+  async required(session, spec) {
+    const properties = propertyList(spec);
+    const missing = properties
+      .map(property => `n.${escapeIdentifier(property, 'property key')} IS NULL`)
+      .join(' OR ');
+    const result = await session.run(`
+      MATCH (n${labelExpression(requireField(spec, 'label'))})
+      WHERE ${missing}
+      RETURN count(n) AS violations, collect(properties(n))[..$sampleSize] AS samples
+    `, { sampleSize: neo4j.int(SAMPLE_SIZE) });
+
+    const record = result.records[0];
+    const violations = toNumber(record.get('violations'));
+    return {
+      passed: violations === 0,
+      message: `${violations} nodes missing ${properties.join(', ')}`,
+      samples: record.get('samples')
+    };
+  },
+
+  async unique(session, spec) {
+    const properties = propertyList(spec);
+    const keys = properties.map(property => `n.${escapeIdentifier(property, 'property key')}`);
+    const result = await session.run(`
+      MATCH (n${labelExpression(requireField(spec, 'label'))})
+      WHERE ${keys.map(key => `${key} IS NOT NULL`).join(' AND ')}
+      WITH [${keys.join(', ')}] AS key, count(n) AS nodes
+      WHERE nodes > 1
+      RETURN count(key) AS duplicates, collect({key: key, nodes: nodes})[..$sampleSize] AS samples
+    `, { sampleSize: neo4j.int(SAMPLE_SIZE) });
+
+    const record = result.records[0];
+    const duplicates = toNumber(record.get('duplicates'));
+    return {
+      passed: duplicates === 0,
+      message: `${duplicates} duplicated values of ${properties.join(', ')}`,
+      samples: record.get('samples')
+    };
+  },
+
+  async cypher(session, spec) {
+    const result = await session.run(requireField(spec, 'query'), toParams(spec.params));
+    return {
+      passed: result.records.length === 0,
+      message: `${result.records.length} rows (expected none)`,
+      samples: result.records.slice(0, SAMPLE_SIZE).map(record => record.toObject())
+    };
+  }
+};
+
+function defaultName(spec) {
+  switch (spec.type) {
+    case 'nodes':
+      return `:${spec.label}${spec.where ? ' ' + JSON.stringify(spec.where) : ''} nodes`;
+    case 'relationships':
+      return `(${spec.from ? ':' + spec.from : ''})-[:${spec.relationship}]->(${spec.to ? ':' + spec.to : ''})`;
+    case 'cardinality':
+      return `:${spec.label} ${spec.direction || 'out'} :${spec.relationship} per node`;
+    case 'required':
+    case 'unique':
+      return `:${spec.label} ${spec.type} ${[].concat(spec.properties || spec.property).join(', ')}`;
+    default:
+      return spec.type;
+  }
+}
+
+// Read a JSON or YAML assertion file into { name, file, assertions }
+function loadAssertionFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  const suite = Array.isArray(data) ? { assertions: data } : data;
+
+  if (!suite || !Array.isArray(suite.assertions)) {
+    throw new AssertionSpecError(`${file}: expected a list of assertions or { assertions: [...] }`);
+  }
+  suite.assertions.forEach((spec, i) => {
+    if (!spec || !CHECKS[spec.type]) {
+      throw new AssertionSpecError(
+        `${file}: assertion ${i + 1} has unknown type "${spec && spec.type}" (expected ${Object.keys(CHECKS).join(', ')})`
+      );
+    }
+  });
+
+  return { name: suite.name || path.basename(file), file, assertions: suite.assertions };
+}
+
+// Assertion files from the given files and directories
+function loadAssertionFiles(targets) {
+  const files = targets.flatMap(target => fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target)
+      .filter(name => /\.(json|ya?ml)$/i.test(name))
+      .sort()
+      .map(name => path.join(target, name))
+    : [target]);
+  return files.map(loadAssertionFile);
+}
+
+// Run every assertion of a suite; a malformed assertion or failing query
+// counts as a failure rather than stopping the run
+async function runSuite(session, suite) {
+  const results = [];
+  for (const spec of suite.assertions) {
+    const name = spec.name || defaultName(spec);
+    try {
+      const outcome = await CHECKS[spec.type](session, spec);
+      results.push({ name, type: spec.type, ...outcome });
+    } catch (error) {
+      results.push({ name, type: spec.type, passed: false, message: `Error: ${error.message}` });
+    }
+  }
+  return { name: suite.name, file: suite.file, results };
+}
+
+function summarize(suites) {
+  const results = suites.flatMap(suite => suite.results);
+  const failed = results.filter(result => !result.passed).length;
+  return { passed: results.length - failed, failed };
+}
+
+function printSuites(suites) {
+  for (const suite of suites) {
+    console.log(`\n📋 ${suite.name} (${suite.file})`);
+    for (const result of suite.results) {
+      console.log(`   ${result.passed ? '✅' : '❌'} ${result.name}: ${result.message}`);
+      if (!result.passed && result.samples && result.samples.length > 0) {
+        result.samples.forEach(sample => console.log(`      • ${JSON.stringify(serialize(sample))}`));
       }
-      console.log(`  • ${record.get('from')} ${record.get('relType')} ${record.get('to')}${details}`);
-    });
-    
-    // Provide connection info
-    console.log('\n\n📡 Neo4j Connection Info:');
-    console.log('========================');
-    console.log(`URI: ${process.env.NEO4J_URI}`);
-    console.log(`Database: ${process.env.NEO4J_DATABASE}`);
-    console.log(`Username: ${process.env.NEO4J_USERNAME}`);
-    
-    console.log('\n💡 To access Neo4j Browser:');
-    console.log('1. Since this is a remote database (54.175.140.147), ask your admin for the browser URL');
-    console.log('2. It might be available at: http://54.175.140.147:7474 or https://54.175.140.147:7473');
-    console.log('3. Use the credentials from the .env file to log in');
-    
-    console.log('\n📝 Useful Cypher queries to run in Neo4j Browser:');
-    console.log('\n// Show our movie graph:');
-    console.log(`MATCH (n) 
-WHERE (n:Person AND n.name IN ['Tom Hanks', 'Rita Wilson', 'Robert Zemeckis'])
-   OR (n:Movie AND n.title IN ['Forrest Gump', 'Cast Away'])
-RETURN n`);
-    
-    console.log('\n// Show our user/product graph:');
-    console.log(`MATCH (n) 
-WHERE (n:User AND n.name IN ['Alice', 'Bob'])
-   OR (n:Product AND n.name = 'Laptop')
-RETURN n`);
-    
+    }
+  }
+  const { passed, failed } = summarize(suites);
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+}
+
+async function checkOurData() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const targets = args.filter(arg => arg !== '--json');
+
+  let suites;
+  try {
+    suites = loadAssertionFiles(targets.length > 0 ? targets : [DEFAULT_DIR]);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+
+  try {
+    const results = [];
+    for (const suite of suites) {
+      results.push(await runSuite(session, suite));
+    }
+
+    if (json) {
+      process.stdout.write(formatJson({ suites: results, ...summarize(results) }) + '\n');
+    } else {
+      printSuites(results);
+    }
+    if (summarize(results).failed > 0) process.exitCode = EXIT_FAILED;
   } catch (error) {
     console.error('❌ Error:', error.message);
+    process.exitCode = EXIT_FAILED;
   } finally {
     await session.close();
-    await driver.close();
+    await closeDriver();
   }
 }
 
-checkOurData();
+export { AssertionSpecError, loadAssertionFile, loadAssertionFiles, runSuite, summarize };
+
+// Run the assertions if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  checkOurData();
+}
@@ -1,93 +1,259 @@
-import neo4j from 'neo4j-driver';
-import dotenv from 'dotenv';
+import fs from 'fs';
+import { labelExpression, escapeIdentifier } from './query-builder.js';
+import { formatTable, formatMarkdownTable, formatJson } from './output.js';
+import { checkConnectionConfig, getConfig, openSession, closeDriver } from './connection.js';
+import { toNumber } from './result-mapping.js';
 
-// Load environment variables
-dotenv.config();
+// Schema introspection report: discovers every label, relationship type and
+// property key in the database instead of relying on a fixed list, and reports
+// property fill rates and types, degree distributions and the
+// (label)-[type]->(label) patterns that occur.
+//
+//   node check-results.js [--format table|markdown|json] [--out file]
 
-const driver = neo4j.driver(
-  process.env.NEO4J_URI,
-  neo4j.auth.basic(process.env.NEO4J_USERNAME, process.env.NEO4J_PASSWORD)
-);
+const FORMATS = ['table', 'markdown', 'json'];
 
-async function checkAllData() {
-  const session = driver.session({ database: process.env.NEO4J_DATABASE });
-  
-  try {
-    console.log('🔍 Checking all data in Neo4j database...\n');
-    
-    // Count all nodes by label
-    console.log('📊 Node counts by label:');
-    const labels = ['User', 'Product', 'Person', 'Movie'];
-    
-    for (const label of labels) {
-      const result = await session.run(`MATCH (n:${label}) RETURN count(n) as count`);
-      const count = result.records[0].get('count').toNumber();
-      if (count > 0) {
-        console.log(`   ${label}: ${count} nodes`);
-      }
+function round(value, digits = 2) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// Property types per label (or relationship type) from the built-in schema
+// procedures, which group by label combination
+async function propertyTypes(session, procedure, ownerColumn) {
+  const result = await session.run(`
+    CALL ${procedure}()
+    YIELD ${ownerColumn}, propertyName, propertyTypes
+    WHERE propertyName IS NOT NULL
+    RETURN ${ownerColumn} AS owners, propertyName, propertyTypes
+  `);
+
+  const types = new Map();
+  for (const record of result.records) {
+    const owners = record.get('owners');
+    for (const owner of Array.isArray(owners) ? owners : [owners.replace(/^:`?|`$/g, '')]) {
+      const key = `${owner}\u0000${record.get('propertyName')}`;
+      if (!types.has(key)) types.set(key, new Set());
+      record.get('propertyTypes').forEach(type => types.get(key).add(type));
     }
-    
-    // Show all nodes with their properties
-    console.log('\n📝 All nodes in the database:');
-    const allNodes = await session.run(`
-      MATCH (n)
-      RETURN labels(n) as labels, properties(n) as props
-      ORDER BY labels(n)[0]
-    `);
-    
-    allNodes.records.forEach(record => {
-      const labels = record.get('labels');
-      const props = record.get('props');
-      console.log(`\n   ${labels.join(':')}`);
-      Object.entries(props).forEach(([key, value]) => {
-        console.log(`     ${key}: ${value}`);
-      });
+  }
+  return (owner, property) => [...(types.get(`${owner}\u0000${property}`) || [])].sort();
+}
+
+// How many of the matched entities have each property
+async function fillRates(session, pattern, alias, total, typesOf, owner) {
+  const result = await session.run(`
+    MATCH ${pattern}
+    UNWIND keys(${alias}) AS property
+    RETURN property, count(*) AS count
+    ORDER BY property
+  `);
+  return result.records.map(record => {
+    const count = toNumber(record.get('count'));
+    return {
+      property: record.get('property'),
+      types: typesOf(owner, record.get('property')),
+      count,
+      fillRate: total > 0 ? round(count / total, 4) : 0
+    };
+  });
+}
+
+async function degreeDistribution(session, label) {
+  const result = await session.run(`
+    MATCH (n${labelExpression(label)})
+    WITH COUNT { (n)-->() } AS outDegree, COUNT { (n)<--() } AS inDegree
+    RETURN
+      min(outDegree) AS outMin, max(outDegree) AS outMax, avg(outDegree) AS outAvg,
+      percentileDisc(outDegree, 0.5) AS outMedian, percentileDisc(outDegree, 0.9) AS outP90,
+      min(inDegree) AS inMin, max(inDegree) AS inMax, avg(inDegree) AS inAvg,
+      percentileDisc(inDegree, 0.5) AS inMedian, percentileDisc(inDegree, 0.9) AS inP90
+  `);
+  const record = result.records[0];
+  const stats = prefix => ({
+    min: toNumber(record.get(`${prefix}Min`)),
+    median: toNumber(record.get(`${prefix}Median`)),
+    p90: toNumber(record.get(`${prefix}P90`)),
+    max: toNumber(record.get(`${prefix}Max`)),
+    avg: round(record.get(`${prefix}Avg`))
+  });
+  return { out: stats('out'), in: stats('in') };
+}
+
+// Build the full report as plain data
+async function introspectSchema(session) {
+  const labelNames = (await session.run('CALL db.labels() YIELD label RETURN label ORDER BY label'))
+    .records.map(record => record.get('label'));
+  const typeNames = (await session.run(
+    'CALL db.relationshipTypes() YIELD relationshipType RETURN relationshipType ORDER BY relationshipType'
+  )).records.map(record => record.get('relationshipType'));
+  const propertyKeys = (await session.run(
+    'CALL db.propertyKeys() YIELD propertyKey RETURN propertyKey ORDER BY propertyKey'
+  )).records.map(record => record.get('propertyKey'));
+
+  const nodeTypesOf = await propertyTypes(session, 'db.schema.nodeTypeProperties', 'nodeLabels');
+  const relTypesOf = await propertyTypes(session, 'db.schema.relTypeProperties', 'relType');
+
+  const labels = [];
+  for (const label of labelNames) {
+    const pattern = `(n${labelExpression(label)})`;
+    const count = toNumber((await session.run(`MATCH ${pattern} RETURN count(n) AS count`))
+      .records[0].get('count'));
+    // Labels can outlive their nodes in the token store
+    if (count === 0) continue;
+    labels.push({
+      label,
+      count,
+      properties: await fillRates(session, pattern, 'n', count, nodeTypesOf, label),
+      degree: await degreeDistribution(session, label)
     });
-    
-    // Show all relationships
-    console.log('\n🔗 All relationships:');
-    const allRels = await session.run(`
-      MATCH (a)-[r]->(b)
-      RETURN labels(a)[0] as fromLabel, properties(a).name as fromName,
-             type(r) as relType, properties(r) as relProps,
-             labels(b)[0] as toLabel, properties(b).name as toName
-      ORDER BY type(r)
-    `);
-    
-    allRels.records.forEach(record => {
-      const fromName = record.get('fromName');
-      const fromLabel = record.get('fromLabel');
-      const relType = record.get('relType');
-      const relProps = record.get('relProps');
-      const toName = record.get('toName');
-      const toLabel = record.get('toLabel');
-      
-      let relInfo = `   (${fromLabel}:${fromName}) -[${relType}`;
-      if (Object.keys(relProps).length > 0) {
-        relInfo += ` ${JSON.stringify(relProps)}`;
-      }
-      relInfo += `]-> (${toLabel}:${toName || record.get('toName')})`;
-      console.log(relInfo);
+  }
+
+  const relationshipTypes = [];
+  for (const type of typeNames) {
+    const pattern = `()-[r:${escapeIdentifier(type, 'relationship type')}]->()`;
+    const count = toNumber((await session.run(`MATCH ${pattern} RETURN count(r) AS count`))
+      .records[0].get('count'));
+    if (count === 0) continue;
+    relationshipTypes.push({
+      type,
+      count,
+      properties: await fillRates(session, pattern, 'r', count, relTypesOf, type)
     });
-    
-    // Show database visualization command
-    console.log('\n💡 To visualize in Neo4j Browser:');
-    console.log('   1. Open Neo4j Browser (usually at http://localhost:7474)');
-    console.log('   2. Or for remote databases, ask your admin for the browser URL');
-    console.log('   3. Use these Cypher queries to visualize:');
-    console.log('\n   Show everything:');
-    console.log('   MATCH (n) RETURN n LIMIT 100');
-    console.log('\n   Show movie graph:');
-    console.log('   MATCH (n) WHERE n:Person OR n:Movie RETURN n');
-    console.log('\n   Show user/product graph:');
-    console.log('   MATCH (n) WHERE n:User OR n:Product RETURN n');
-    
+  }
+
+  // Nodes without labels show up as "(none)"
+  const patternResult = await session.run(`
+    MATCH (a)-[r]->(b)
+    UNWIND CASE WHEN size(labels(a)) = 0 THEN ['(none)'] ELSE labels(a) END AS from
+    UNWIND CASE WHEN size(labels(b)) = 0 THEN ['(none)'] ELSE labels(b) END AS to
+    RETURN from, type(r) AS type, to, count(*) AS count
+    ORDER BY count DESC, from, type, to
+  `);
+  const patterns = patternResult.records.map(record => ({
+    from: record.get('from'),
+    type: record.get('type'),
+    to: record.get('to'),
+    count: toNumber(record.get('count'))
+  }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    database: getConfig().database,
+    labels,
+    relationshipTypes,
+    patterns,
+    propertyKeys
+  };
+}
+
+// The report as titled lists of rows, shared by the table and Markdown output
+function reportSections(report) {
+  const percent = rate => `${round(rate * 100, 1)}%`;
+  const degreeRow = (label, direction, stats) => ({ label, direction, ...stats });
+
+  return {
+    'Node labels': report.labels.map(({ label, count, properties }) => ({
+      label, nodes: count, properties: properties.length
+    })),
+    'Node properties': report.labels.flatMap(({ label, properties }) => properties.map(property => ({
+      label,
+      property: property.property,
+      types: property.types.join(', '),
+      filled: property.count,
+      fillRate: percent(property.fillRate)
+    }))),
+    'Degree distribution': report.labels.flatMap(({ label, degree }) => [
+      degreeRow(label, 'out', degree.out),
+      degreeRow(label, 'in', degree.in)
+    ]),
+    'Relationship types': report.relationshipTypes.map(({ type, count, properties }) => ({
+      type, relationships: count, properties: properties.length
+    })),
+    'Relationship properties': report.relationshipTypes.flatMap(({ type, properties }) => properties.map(property => ({
+      type,
+      property: property.property,
+      types: property.types.join(', '),
+      filled: property.count,
+      fillRate: percent(property.fillRate)
+    }))),
+    'Patterns': report.patterns.map(({ from, type, to, count }) => ({
+      pattern: `(:${from})-[:${type}]->(:${to})`, count
+    })),
+    'Property keys': report.propertyKeys.map(key => ({ key }))
+  };
+}
+
+function formatReport(report, format = 'table') {
+  switch (format) {
+    case 'json':
+      return formatJson(report);
+    case 'markdown':
+      return [
+        '# Graph Schema Report',
+        '',
+        `Generated ${report.generatedAt}${report.database ? ` for database \`${report.database}\`` : ''}.`,
+        ...Object.entries(reportSections(report)).flatMap(([title, rows]) => ['', `## ${title}`, '', formatMarkdownTable(rows)])
+      ].join('\n');
+    case 'table':
+      return Object.entries(reportSections(report))
+        .map(([title, rows]) => `${title}\n${formatTable(rows)}`)
+        .join('\n\n');
+    default:
+      throw new Error(`Unknown report format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+// --format and --out, as --name value or --name=value
+function parseOptions(argv) {
+  const options = { format: 'table', out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inline] = argv[i].split(/=(.*)/s);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (name === '--format') options.format = value;
+    else if (name === '--out') options.out = value;
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown report format: ${options.format} (expected ${FORMATS.join(', ')})`);
+  }
+  return options;
+}
+
+async function checkAllData() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
   } catch (error) {
     console.error('❌ Error:', error.message);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+
+  try {
+    console.error('🔍 Inspecting the graph schema...');
+    const output = formatReport(await introspectSchema(session), options.format) + '\n';
+
+    if (options.out) {
+      fs.writeFileSync(options.out, output);
+      console.error(`✅ Report written to ${options.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
   } finally {
     await session.close();
-    await driver.close();
+    await closeDriver();
   }
 }
 
-checkAllData();
+export { introspectSchema, reportSections, formatReport };
+
+// Run the report if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  checkAllData();
+}
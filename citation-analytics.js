@@ -0,0 +1,337 @@
+import neo4j from 'neo4j-driver';
+import { batches } from './unit-of-work.js';
+import { formatTable, formatJson } from './output.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+import { toNumber } from './result-mapping.js';
+
+// Citation network analytics computed in Node.js, so they work without the
+// Graph Data Science plugin. Results are written back to the graph:
+//
+//   (:Paper)      pagerank, citationCount (citations from papers in the graph)
+//   (:Reference)  citationCount (papers citing it)
+//   (:Author)     hIndex, citationTotal, paperCount
+//   (:Paper)-[:CO_CITED {strength, normalized}]->(:Paper)
+//       both papers are cited by `strength` common papers
+//   (:Paper)-[:COUPLED_WITH {strength, normalized}]->(:Paper)
+//       both papers cite `strength` common references
+//
+// `normalized` is Salton's cosine: strength / sqrt(a * b), where a and b are
+// the two papers' citation counts (co-citation) or reference counts (coupling).
+// Pairwise relationships point from the paper with the smaller element id.
+//
+//   node citation-analytics.js compute
+//   node citation-analytics.js report [papers|authors|co-citation|coupling|related <paperKey>] [--limit n] [--json]
+
+const DAMPING = 0.85;
+const TOLERANCE = 1e-6;
+const MAX_ITERATIONS = 100;
+const DEFAULT_LIMIT = 10;
+
+// PageRank by power iteration. Papers without outgoing citations spread
+// their rank evenly over all papers.
+function pageRank(nodeIds, edges, { damping = DAMPING, tolerance = TOLERANCE, maxIterations = MAX_ITERATIONS } = {}) {
+  const n = nodeIds.length;
+  if (n === 0) return { ranks: new Map(), iterations: 0 };
+
+  const index = new Map(nodeIds.map((id, i) => [id, i]));
+  const outDegree = new Array(n).fill(0);
+  const incoming = Array.from({ length: n }, () => []);
+  for (const [from, to] of edges) {
+    const source = index.get(from);
+    const target = index.get(to);
+    if (source === undefined || target === undefined || source === target) continue;
+    outDegree[source]++;
+    incoming[target].push(source);
+  }
+
+  let ranks = new Array(n).fill(1 / n);
+  let iterations = 0;
+  while (iterations < maxIterations) {
+    iterations++;
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      if (outDegree[i] === 0) dangling += ranks[i];
+    }
+
+    const base = (1 - damping) / n + damping * dangling / n;
+    const next = new Array(n);
+    let delta = 0;
+    for (let i = 0; i < n; i++) {
+      let sum = 0;
+      for (const source of incoming[i]) sum += ranks[source] / outDegree[source];
+      next[i] = base + damping * sum;
+      delta += Math.abs(next[i] - ranks[i]);
+    }
+    ranks = next;
+    if (delta < tolerance) break;
+  }
+
+  return { ranks: new Map(nodeIds.map((id, i) => [id, ranks[i]])), iterations };
+}
+
+// h-index of a list of citation counts
+function hIndex(counts) {
+  const sorted = [...counts].sort((a, b) => b - a);
+  let h = 0;
+  while (h < sorted.length && sorted[h] >= h + 1) h++;
+  return h;
+}
+
+async function writeRows(session, query, rows) {
+  for (const batch of batches(rows)) {
+    await session.executeWrite(tx => tx.run(query, { rows: batch }));
+  }
+}
+
+async function computePaperMetrics(session) {
+  const papers = await session.run('MATCH (p:Paper) RETURN elementId(p) AS id');
+  const citations = await session.run(`
+    MATCH (a:Paper)-[:CITES]->(b:Paper)
+    RETURN elementId(a) AS source, elementId(b) AS target
+  `);
+  const ids = papers.records.map(record => record.get('id'));
+  const edges = citations.records.map(record => [record.get('source'), record.get('target')]);
+
+  const { ranks, iterations } = pageRank(ids, edges);
+  const citationCounts = new Map(ids.map(id => [id, 0]));
+  for (const [source, target] of edges) {
+    if (source !== target) citationCounts.set(target, citationCounts.get(target) + 1);
+  }
+
+  await writeRows(session, `
+    UNWIND $rows AS row
+    MATCH (p:Paper) WHERE elementId(p) = row.id
+    SET p.pagerank = row.pagerank, p.citationCount = row.citationCount
+  `, ids.map(id => ({ id, pagerank: ranks.get(id), citationCount: neo4j.int(citationCounts.get(id)) })));
+
+  await session.executeWrite(tx => tx.run(`
+    MATCH (r:Reference)
+    SET r.citationCount = COUNT { (:Paper)-[:CITES]->(r) }
+  `));
+
+  return { papers: ids.length, citations: edges.length, iterations };
+}
+
+async function computeAuthorMetrics(session) {
+  const result = await session.run(`
+    MATCH (a:Author)
+    OPTIONAL MATCH (a)-[:AUTHORED]->(p:Paper)
+    RETURN elementId(a) AS id, collect(coalesce(p.citationCount, 0)) AS counts
+  `);
+  const rows = result.records.map(record => {
+    const counts = record.get('counts').map(toNumber);
+    return {
+      id: record.get('id'),
+      hIndex: neo4j.int(hIndex(counts)),
+      citationTotal: neo4j.int(counts.reduce((sum, count) => sum + count, 0)),
+      paperCount: neo4j.int(counts.length)
+    };
+  });
+
+  await writeRows(session, `
+    UNWIND $rows AS row
+    MATCH (a:Author) WHERE elementId(a) = row.id
+    SET a.hIndex = row.hIndex, a.citationTotal = row.citationTotal, a.paperCount = row.paperCount
+  `, rows);
+  return { authors: rows.length };
+}
+
+// Replace all relationships of `type` with the pairs `pairsQuery` returns
+// (columns a, b, strength, normalized)
+async function rebuildPairs(session, type, pairsQuery) {
+  await session.executeWrite(tx => tx.run(`MATCH (:Paper)-[r:${type}]->(:Paper) DELETE r`));
+  const result = await session.run(pairsQuery);
+  const rows = result.records.map(record => ({
+    a: record.get('a'),
+    b: record.get('b'),
+    strength: record.get('strength'),
+    normalized: record.get('normalized')
+  }));
+
+  await writeRows(session, `
+    UNWIND $rows AS row
+    MATCH (a:Paper) WHERE elementId(a) = row.a
+    MATCH (b:Paper) WHERE elementId(b) = row.b
+    CREATE (a)-[:${type} {strength: row.strength, normalized: row.normalized}]->(b)
+  `, rows);
+  return rows.length;
+}
+
+async function computeCoCitation(session) {
+  return rebuildPairs(session, 'CO_CITED', `
+    MATCH (a:Paper)<-[:CITES]-(citing:Paper)-[:CITES]->(b:Paper)
+    WHERE elementId(a) < elementId(b)
+    WITH a, b, count(DISTINCT citing) AS strength
+    RETURN elementId(a) AS a, elementId(b) AS b, strength,
+      toFloat(strength) / sqrt(COUNT { (:Paper)-[:CITES]->(a) } * COUNT { (:Paper)-[:CITES]->(b) }) AS normalized
+  `);
+}
+
+// Coupling goes through Reference nodes: they hold every parsed reference,
+// resolved or not, and are shared between the papers citing the same work
+async function computeCoupling(session) {
+  return rebuildPairs(session, 'COUPLED_WITH', `
+    MATCH (a:Paper)-[:CITES]->(r:Reference)<-[:CITES]-(b:Paper)
+    WHERE elementId(a) < elementId(b)
+    WITH a, b, count(DISTINCT r) AS strength
+    RETURN elementId(a) AS a, elementId(b) AS b, strength,
+      toFloat(strength) / sqrt(COUNT { (a)-[:CITES]->(:Reference) } * COUNT { (b)-[:CITES]->(:Reference) }) AS normalized
+  `);
+}
+
+// Compute every metric and write it back. Paper citation counts come first,
+// since the author metrics use them.
+async function computeCitationAnalytics(session) {
+  const papers = await computePaperMetrics(session);
+  const authors = await computeAuthorMetrics(session);
+  const coCitedPairs = await computeCoCitation(session);
+  const coupledPairs = await computeCoupling(session);
+  return { ...papers, ...authors, coCitedPairs, coupledPairs };
+}
+
+// Ranked reports over the stored results
+
+async function topPapers(session, { by = 'pagerank', limit = DEFAULT_LIMIT } = {}) {
+  const order = { pagerank: 'p.pagerank DESC', citations: 'p.citationCount DESC, p.pagerank DESC' }[by];
+  if (!order) throw new Error(`Unknown paper ranking: ${by} (expected pagerank or citations)`);
+  const result = await session.run(`
+    MATCH (p:Paper) WHERE p.pagerank IS NOT NULL
+    RETURN p.paperKey AS paperKey, p.title AS title, p.year AS year,
+      p.citationCount AS citations, round(p.pagerank, 6) AS pagerank
+    ORDER BY ${order}
+    LIMIT $limit
+  `, { limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+async function topAuthors(session, { by = 'hIndex', limit = DEFAULT_LIMIT } = {}) {
+  const order = {
+    hIndex: 'a.hIndex DESC, a.citationTotal DESC',
+    citations: 'a.citationTotal DESC, a.hIndex DESC'
+  }[by];
+  if (!order) throw new Error(`Unknown author ranking: ${by} (expected hIndex or citations)`);
+  const result = await session.run(`
+    MATCH (a:Author) WHERE a.hIndex IS NOT NULL
+    RETURN a.authorId AS authorId, a.name AS name, a.hIndex AS hIndex,
+      a.citationTotal AS citations, a.paperCount AS papers
+    ORDER BY ${order}, a.name
+    LIMIT $limit
+  `, { limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+async function strongestPairs(session, type, { limit = DEFAULT_LIMIT } = {}) {
+  const result = await session.run(`
+    MATCH (a:Paper)-[r:${type}]->(b:Paper)
+    RETURN a.title AS paper1, b.title AS paper2, r.strength AS strength,
+      round(r.normalized, 4) AS normalized
+    ORDER BY r.strength DESC, r.normalized DESC
+    LIMIT $limit
+  `, { limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+// Papers most related to one paper by co-citation and coupling combined
+async function relatedPapers(session, paperKey, { limit = DEFAULT_LIMIT } = {}) {
+  const result = await session.run(`
+    MATCH (p:Paper {paperKey: $paperKey})-[r:CO_CITED|COUPLED_WITH]-(other:Paper)
+    WITH other,
+      sum(CASE type(r) WHEN 'CO_CITED' THEN r.normalized ELSE 0 END) AS coCitation,
+      sum(CASE type(r) WHEN 'COUPLED_WITH' THEN r.normalized ELSE 0 END) AS coupling
+    RETURN other.paperKey AS paperKey, other.title AS title,
+      round(coCitation, 4) AS coCitation, round(coupling, 4) AS coupling,
+      round(coCitation + coupling, 4) AS score
+    ORDER BY score DESC
+    LIMIT $limit
+  `, { paperKey, limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+const REPORTS = {
+  papers: (session, options) => topPapers(session, options),
+  'papers-by-citations': (session, options) => topPapers(session, { ...options, by: 'citations' }),
+  authors: (session, options) => topAuthors(session, options),
+  'authors-by-citations': (session, options) => topAuthors(session, { ...options, by: 'citations' }),
+  'co-citation': (session, options) => strongestPairs(session, 'CO_CITED', options),
+  coupling: (session, options) => strongestPairs(session, 'COUPLED_WITH', options)
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const limitIndex = args.indexOf('--limit');
+  const limit = limitIndex === -1 ? DEFAULT_LIMIT : parseInt(args[limitIndex + 1], 10);
+  const json = args.includes('--json');
+  const [command = 'report', name, paperKey] = args.filter((arg, i) =>
+    !arg.startsWith('--') && (limitIndex === -1 || i !== limitIndex + 1));
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.error('❌ Error: --limit must be a positive integer');
+    process.exitCode = 2;
+    return;
+  }
+
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+
+  try {
+    switch (command) {
+      case 'compute': {
+        console.log('📈 Computing citation analytics...');
+        const stats = await computeCitationAnalytics(session);
+        console.log(`   ✅ PageRank over ${stats.papers} papers and ${stats.citations} citations (${stats.iterations} iterations)`);
+        console.log(`   ✅ h-index for ${stats.authors} authors`);
+        console.log(`   ✅ ${stats.coCitedPairs} co-cited pairs, ${stats.coupledPairs} coupled pairs`);
+        break;
+      }
+      case 'report': {
+        let sections;
+        if (name === 'related') {
+          if (!paperKey) throw new Error('Usage: report related <paperKey>');
+          sections = { [`Related to ${paperKey}`]: await relatedPapers(session, paperKey, { limit }) };
+        } else if (name) {
+          if (!REPORTS[name]) {
+            throw new Error(`Unknown report: ${name} (expected ${Object.keys(REPORTS).join(', ')} or related)`);
+          }
+          sections = { [name]: await REPORTS[name](session, { limit }) };
+        } else {
+          sections = {};
+          for (const [title, report] of Object.entries(REPORTS)) {
+            sections[title] = await report(session, { limit });
+          }
+        }
+
+        if (json) {
+          process.stdout.write(formatJson(sections) + '\n');
+        } else {
+          console.log(Object.entries(sections)
+            .map(([title, rows]) => `${title}\n${formatTable(rows)}`)
+            .join('\n\n'));
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command} (expected compute or report)`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export {
+  pageRank,
+  hIndex,
+  computeCitationAnalytics,
+  topPapers,
+  topAuthors,
+  strongestPairs,
+  relatedPapers
+};
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+import neo4j from 'neo4j-driver';
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import { formatTable, formatJson } from './output.js';
+import { labelExpression } from './query-builder.js';
+import { configure, checkConnectionConfig, openSession, closeDriver, healthCheck } from './connection.js';
+import { FixtureError, fixtureNames, readFixture, loadFixture, teardownDataset } from './fixtures.js';
+
+// Single command-line entry point for the project:
+//
+//   node cli.js <command> [args] [--database db] [--uri uri] [--json | --table]
+//
+// Results go to stdout (a table by default, JSON with --json) and progress to
+// stderr in JSON mode, so the output can be piped. Exit codes: 0 success,
+// 1 command failed, 2 usage error, 3 database or GROBID unreachable.
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_UNAVAILABLE = 3;
+
+const BOOLEAN_FLAGS = new Set(['json', 'table', 'full-text', 'prune', 'tei', 'fuzzy', 'help']);
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  ping                          Check the connection and show server info
+  seed <movies|users|research>  Load an example dataset from ./fixtures, or a fixture file, replacing
+                                only that dataset (--dataset name to load it under another name)
+  teardown <dataset>            Delete what a seeded dataset created
+  ingest <dir|file.pdf>         Ingest PDFs through GROBID (--full-text, --prune, --concurrency n,
+                                --consolidate-header, --consolidate-citations,
+                                --include-raw-citations)
+  ingest <dir|file.tei.xml|->   Ingest GROBID TEI without GROBID (--tei for a directory, - for
+                                stdin; --pdf-dir dir to find the PDFs, --prune)
+  query <cypher>                Run Cypher (--param key=value, repeatable)
+  search <text>                 Full-text search of papers (--fuzzy, --from year, --to year,
+                                --author name, --limit n; --in authors|references to search those)
+  inspect                       Report labels, relationship types, properties and patterns
+  validate [file|dir ...]       Run assertion files (default ./assertions); exit 1 on failure
+  export                        Export the graph (--format json|csv|graphml, --out path,
+                                --label X or --query cypher to export a subgraph)
+  import <file|dir>             Import a JSON, GraphML or CSV export (--format)
+  visualize [view]              Write an offline HTML graph of a view (movies, users, research;
+                                --limit n) or of --query cypher, to --out file.html
+  clear --label X               Delete all nodes with label X (repeatable)
+
+Global options:
+  --profile <name>              Read settings from .env.<name> (default NEO4J_PROFILE)
+  --uri <uri>                   Neo4j URI (default NEO4J_URI)
+  --database <name>             Database (default NEO4J_DATABASE)
+  --json | --table              Output format (default table)
+  --help                        Show this help`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+class UnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnavailableError';
+  }
+}
+
+// --flag value, --flag=value and boolean --flag; repeated flags collect into arrays
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.substring(2).split(/=(.*)/s);
+    if (value === undefined) {
+      if (BOOLEAN_FLAGS.has(name)) {
+        value = true;
+      } else if (i + 1 < argv.length) {
+        value = argv[++i];
+      } else {
+        throw new UsageError(`Missing value for --${name}`);
+      }
+    }
+    (flags[name] = flags[name] || []).push(value);
+  }
+
+  const [command, ...args] = positionals;
+  return { command, args, flags };
+}
+
+function flag(flags, name) {
+  return flags[name] ? flags[name][flags[name].length - 1] : undefined;
+}
+
+// --param key=value; values are parsed as JSON when possible, else kept as strings
+function parseParams(values = []) {
+  const params = {};
+  for (const entry of values) {
+    const index = entry.indexOf('=');
+    if (index < 1) throw new UsageError(`Invalid --param "${entry}" (expected key=value)`);
+    const raw = entry.substring(index + 1);
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      value = raw;
+    }
+    params[entry.substring(0, index)] = Number.isInteger(value) ? neo4j.int(value) : value;
+  }
+  return params;
+}
+
+function print(result, format) {
+  if (format === 'json') {
+    process.stdout.write(formatJson(result) + '\n');
+    return;
+  }
+  const sections = Array.isArray(result) ? { '': result } : result;
+  Object.entries(sections).forEach(([title, rows], i) => {
+    if (i > 0) process.stdout.write('\n');
+    if (title) process.stdout.write(`${title}\n`);
+    process.stdout.write(formatTable(Array.isArray(rows) ? rows : [rows]) + '\n');
+  });
+}
+
+function isUnavailable(error) {
+  return error.code === 'ServiceUnavailable' || error.code === 'SessionExpired' ||
+    error instanceof UnavailableError;
+}
+
+async function ping() {
+  const health = await healthCheck();
+  if (!health.ok) {
+    throw health.code === 'ServiceUnavailable' ? new UnavailableError(health.error) : new Error(health.error);
+  }
+  return health.components.map(component => ({
+    ...component,
+    address: health.server.address,
+    database: health.database,
+    latencyMs: health.latencyMs
+  }));
+}
+
+// Any fixture in ./fixtures (movies, users, research) or a fixture file;
+// --dataset loads it under another dataset name
+async function seed({ session, args, flags }) {
+  const [target] = args;
+  if (!target) throw new UsageError(`seed needs a fixture: ${fixtureNames().join(', ')} or a file`);
+  let fixture;
+  try {
+    fixture = readFixture(target);
+  } catch (error) {
+    if (error instanceof FixtureError) throw new UsageError(error.message);
+    throw error;
+  }
+  return [await loadFixture(session, fixture, { dataset: flag(flags, 'dataset') })];
+}
+
+async function teardown({ session, args }) {
+  const [dataset] = args;
+  if (!dataset) throw new UsageError('teardown needs a dataset name');
+  return [await teardownDataset(session, dataset)];
+}
+
+async function ingest({ args, flags }) {
+  const [target] = args;
+  if (!target) throw new UsageError('ingest needs a directory, a PDF or TEI file, or - for TEI on stdin');
+  if (target !== '-' && !fs.existsSync(target)) throw new UsageError(`No such file or directory: ${target}`);
+
+  const { ResearchGraphBuilder, isTeiFile } = await import('./grobid-demo.js');
+  if (target === '-' || isTeiFile(target) || flag(flags, 'tei')) {
+    return ingestTei(new ResearchGraphBuilder(), target, flags);
+  }
+  const { GROBID_OPTIONS } = await import('./grobid-client.js');
+  // --consolidate-header, --consolidate-citations and --include-raw-citations (0, 1 or 2)
+  const grobid = {};
+  for (const name of GROBID_OPTIONS) {
+    const value = flag(flags, name.replace(/[A-Z]/g, c => '-' + c.toLowerCase()));
+    if (value === undefined) continue;
+    if (!/^(0|1|2|true|false)$/.test(value)) throw new UsageError(`Invalid value for ${name}: ${value}`);
+    grobid[name] = value;
+  }
+  if (flag(flags, 'concurrency') !== undefined) {
+    grobid.concurrency = parseInt(flag(flags, 'concurrency'), 10);
+    if (!(grobid.concurrency > 0)) throw new UsageError('--concurrency must be a positive integer');
+  }
+  const builder = new ResearchGraphBuilder({ fullText: Boolean(flag(flags, 'full-text')), grobid });
+  try {
+    if (!(await builder.checkGrobidService())) {
+      throw new UnavailableError('GROBID service is not available');
+    }
+
+    let stats;
+    if (fs.statSync(target).isDirectory()) {
+      stats = await builder.ingestDirectory(target, { prune: Boolean(flag(flags, 'prune')) });
+    } else {
+      stats = await builder.ingestPdf(target);
+      if (stats.failed > 0) throw new Error(`Could not ingest ${target}`);
+    }
+    await builder.resolveReferences();
+
+    if (stats.failed > 0) process.exitCode = EXIT_FAILURE;
+    return [stats];
+  } finally {
+    await builder.release();
+  }
+}
+
+// TEI from GROBID batch runs: a directory of .tei.xml files, one file, or stdin
+async function ingestTei(builder, target, flags) {
+  const pdfDir = flag(flags, 'pdf-dir');
+  try {
+    let stats;
+    if (target === '-') {
+      stats = await builder.ingestTeiStream(process.stdin);
+    } else if (fs.statSync(target).isDirectory()) {
+      stats = await builder.ingestTeiDirectory(target, { prune: Boolean(flag(flags, 'prune')), pdfDir });
+    } else {
+      const paperKey = await builder.ingestTeiFile(target, { pdfDir });
+      if (!paperKey) throw new Error(`Could not ingest ${target}`);
+      stats = { added: 1, updated: 0, skipped: 0, failed: 0, pruned: 0 };
+    }
+    await builder.resolveReferences();
+
+    if (stats.failed > 0) process.exitCode = EXIT_FAILURE;
+    return [stats];
+  } finally {
+    await builder.release();
+  }
+}
+
+async function query({ session, args, flags }) {
+  const [cypher] = args;
+  if (!cypher) throw new UsageError('query needs a Cypher statement');
+  const result = await session.run(cypher, parseParams(flags.param));
+  return result.records.map(record => record.toObject());
+}
+
+function optionalYear(flags, name) {
+  const value = flag(flags, name);
+  if (value === undefined) return null;
+  if (!/^\d+$/.test(value)) throw new UsageError(`--${name} must be a year`);
+  return parseInt(value, 10);
+}
+
+async function search({ session, args, flags }) {
+  const text = args.join(' ');
+  if (!text) throw new UsageError('search needs the text to search for');
+  const { SearchQueryError, searchPapers, searchAuthors, searchReferences } = await import('./search.js');
+  const limit = flag(flags, 'limit') !== undefined ? parseInt(flag(flags, 'limit'), 10) : 10;
+  if (!(limit > 0)) throw new UsageError('--limit must be a positive integer');
+  const fuzzy = Boolean(flag(flags, 'fuzzy'));
+  const target = flag(flags, 'in') || 'papers';
+
+  try {
+    switch (target) {
+      case 'papers': {
+        const result = await searchPapers(session, text, {
+          fuzzy,
+          yearFrom: optionalYear(flags, 'from'),
+          yearTo: optionalYear(flags, 'to'),
+          author: flag(flags, 'author') || null,
+          limit
+        });
+        if (flag(flags, 'json')) return result;
+        return {
+          [`${result.total} papers matching ${result.query}`]: result.hits.map(hit => ({
+            paperKey: hit.paperKey,
+            title: hit.highlightedTitle,
+            year: hit.year,
+            score: Math.round(hit.score * 1000) / 1000,
+            authors: hit.authors.map(author => author.name).join(', '),
+            snippet: hit.snippet
+          })),
+          'Related authors': result.relatedAuthors
+        };
+      }
+      case 'authors':
+        return await searchAuthors(session, text, { fuzzy, limit });
+      case 'references':
+        return await searchReferences(session, text, { fuzzy, limit });
+      default:
+        throw new UsageError(`Unknown --in ${target} (expected papers, authors or references)`);
+    }
+  } catch (error) {
+    if (error instanceof SearchQueryError) throw new UsageError(error.message);
+    throw error;
+  }
+}
+
+async function inspect({ session, flags }) {
+  const { introspectSchema, reportSections } = await import('./check-results.js');
+  const report = await introspectSchema(session);
+  return flag(flags, 'json') ? report : reportSections(report);
+}
+
+async function validate({ session, args }) {
+  const { loadAssertionFiles, runSuite, summarize } = await import('./check-our-data.js');
+  let suites;
+  try {
+    suites = loadAssertionFiles(args.length > 0 ? args : ['assertions']);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const results = [];
+  for (const suite of suites) {
+    results.push(await runSuite(session, suite));
+  }
+  if (summarize(results).failed > 0) process.exitCode = EXIT_FAILURE;
+  return results.flatMap(suite => suite.results.map(result => ({
+    suite: suite.name,
+    assertion: result.name,
+    status: result.passed ? 'pass' : 'FAIL',
+    result: result.message
+  })));
+}
+
+async function exportCommand({ session, flags }) {
+  const { readGraph, toJson, exportGraph } = await import('./graph-export.js');
+  const scope = {
+    labels: flags.label || [],
+    query: flag(flags, 'query'),
+    params: parseParams(flags.param)
+  };
+
+  const out = flag(flags, 'out');
+  if (out) {
+    return [await exportGraph(session, out, { format: flag(flags, 'format'), ...scope })];
+  }
+  const format = flag(flags, 'format');
+  if (format && format !== 'json') throw new UsageError(`--format ${format} needs --out`);
+  process.stdout.write(toJson(await readGraph(session, scope)));
+  return null;
+}
+
+async function importCommand({ session, args, flags }) {
+  const [source] = args;
+  if (!source) throw new UsageError('import needs a JSON file, GraphML file or CSV directory');
+  if (!fs.existsSync(source)) throw new UsageError(`No such file or directory: ${source}`);
+
+  const { importFile } = await import('./graph-import.js');
+  return [await importFile(session, source, { format: flag(flags, 'format') })];
+}
+
+async function visualizeCommand({ session, args, flags }) {
+  const [view] = args;
+  const query = flag(flags, 'query');
+  if (!view && !query) throw new UsageError('visualize needs a view (movies, users, research) or --query');
+
+  const { VIEWS, visualize } = await import('./graph-visualize.js');
+  if (view && !VIEWS[view]) throw new UsageError(`Unknown view: ${view} (expected ${Object.keys(VIEWS).join(', ')})`);
+  const limit = flag(flags, 'limit') !== undefined ? parseInt(flag(flags, 'limit'), 10) : undefined;
+  if (limit !== undefined && !(limit > 0)) throw new UsageError('--limit must be a positive integer');
+
+  const out = flag(flags, 'out') || `${view || 'graph'}.html`;
+  return [await visualize(session, out, {
+    view,
+    query: view ? undefined : query,
+    params: parseParams(flags.param),
+    limit,
+    title: flag(flags, 'title')
+  })];
+}
+
+async function clear({ session, flags }) {
+  const labels = flags.label || [];
+  if (labels.length === 0) throw new UsageError('clear needs at least one --label');
+
+  const rows = [];
+  for (const label of labels) {
+    const result = await session.run(
+      `MATCH (n${labelExpression(label)}) WITH n DETACH DELETE n RETURN count(*) AS deleted`
+    );
+    rows.push({ label, deleted: result.records[0].get('deleted') });
+  }
+  return rows;
+}
+
+const COMMANDS = { ping, seed, teardown, ingest, query, search, inspect, validate, export: exportCommand, import: importCommand, visualize: visualizeCommand, clear };
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { command, args, flags } = parsed;
+  if (flag(flags, 'help') || !command) {
+    console.error(USAGE);
+    return command || flag(flags, 'help') ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`❌ Unknown command: ${command}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const format = flag(flags, 'json') ? 'json' : 'table';
+  if (format === 'json') {
+    // Keep stdout for the JSON result; progress messages go to stderr
+    console.log = (...values) => console.error(...values);
+  }
+
+  // Flags override the profile and environment for this command and every
+  // module it loads, since they all share one driver
+  configure({
+    profile: flag(flags, 'profile'),
+    overrides: { NEO4J_URI: flag(flags, 'uri'), NEO4J_DATABASE: flag(flags, 'database') }
+  });
+  if (!checkConnectionConfig()) return EXIT_USAGE;
+
+  const session = openSession();
+
+  try {
+    const result = await COMMANDS[command]({ session, args, flags });
+    if (result) print(result, format);
+    return process.exitCode || EXIT_OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    console.error('❌ Error:', error.message);
+    return isUnavailable(error) ? EXIT_UNAVAILABLE : EXIT_FAILURE;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export { parseArgs, parseParams, main };
+
+// Run the command if this file is executed directly, also through the npm
+// bin symlink, whose path differs from the module's
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
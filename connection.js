@@ -0,0 +1,441 @@
+import fs from 'fs';
+import path from 'path';
+import neo4j from 'neo4j-driver';
+import dotenv from 'dotenv';
+
+// Shared Neo4j connection for every script in the project.
+//
+// Settings are environment variables, read from `.env` and the process
+// environment. A named profile (NEO4J_PROFILE=staging, or configure({ profile }))
+// also reads `.env.<profile>`, whose values take precedence over both:
+//
+//   NEO4J_URI, NEO4J_USERNAME, NEO4J_PASSWORD   required
+//   NEO4J_DATABASE                              default database for sessions
+//   NEO4J_ENCRYPTED                             true or false, for bolt:// and neo4j:// URIs
+//   NEO4J_TRUST                                 system, all or custom (needs NEO4J_ENCRYPTED=true)
+//   NEO4J_TRUSTED_CERTIFICATES                  comma-separated CA files for NEO4J_TRUST=custom
+//   NEO4J_MAX_POOL_SIZE                         default 100
+//   NEO4J_CONNECTION_TIMEOUT_MS                 default 30000
+//   NEO4J_ACQUISITION_TIMEOUT_MS                default 60000
+//   NEO4J_MAX_RETRY_TIME_MS                     default 30000
+//   NEO4J_MAX_CONNECTION_LIFETIME_MS            default 3600000
+//
+// One driver is created on first use. closeDriver() closes it; SIGINT and
+// SIGTERM run the onShutdown() hooks and close it too.
+//
+//   node connection.js [--profile name] [--database name] [--json]
+
+const SCHEMES = ['bolt', 'bolt+s', 'bolt+ssc', 'neo4j', 'neo4j+s', 'neo4j+ssc'];
+
+const TRUST = {
+  system: 'TRUST_SYSTEM_CA_SIGNED_CERTIFICATES',
+  all: 'TRUST_ALL_CERTIFICATES',
+  custom: 'TRUST_CUSTOM_CA_SIGNED_CERTIFICATES'
+};
+
+// Driver setting: [environment variable, default]
+const LIMITS = {
+  maxConnectionPoolSize: ['NEO4J_MAX_POOL_SIZE', 100],
+  connectionTimeout: ['NEO4J_CONNECTION_TIMEOUT_MS', 30000],
+  connectionAcquisitionTimeout: ['NEO4J_ACQUISITION_TIMEOUT_MS', 60000],
+  maxTransactionRetryTime: ['NEO4J_MAX_RETRY_TIME_MS', 30000],
+  maxConnectionLifetime: ['NEO4J_MAX_CONNECTION_LIFETIME_MS', 60 * 60 * 1000]
+};
+
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+const SHUTDOWN_GRACE_MS = 5000;
+
+class ConnectionConfigError extends Error {
+  constructor(problems, profile) {
+    super(`Invalid Neo4j configuration${profile ? ` (profile ${profile})` : ''}: ${problems.join('; ')}`);
+    this.name = 'ConnectionConfigError';
+    this.problems = problems;
+  }
+}
+
+function readEnvFile(file) {
+  return fs.existsSync(file) ? dotenv.parse(fs.readFileSync(file)) : null;
+}
+
+// Validated connection settings. options.profile selects `.env.<profile>`;
+// options.overrides ({ NEO4J_URI: ... }) win over every file, e.g. CLI flags.
+function loadConfig({ profile, overrides = {}, env = process.env, dir = process.cwd() } = {}) {
+  const base = readEnvFile(path.join(dir, '.env')) || {};
+  const problems = [];
+
+  const profileName = profile || overrides.NEO4J_PROFILE || env.NEO4J_PROFILE || base.NEO4J_PROFILE || null;
+  let profileVars = {};
+  if (profileName && !/^[\w-]+$/.test(profileName)) {
+    problems.push(`invalid profile name "${profileName}"`);
+  } else if (profileName) {
+    profileVars = readEnvFile(path.join(dir, `.env.${profileName}`));
+    if (!profileVars) problems.push(`no .env.${profileName} file for profile "${profileName}"`);
+  }
+
+  const vars = { ...base, ...env, ...profileVars };
+  const setting = name => {
+    const value = overrides[name] !== undefined ? overrides[name] : vars[name];
+    return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+  };
+
+  const uri = setting('NEO4J_URI');
+  const scheme = uri && (uri.match(/^([a-z0-9+]+):\/\//i) || [])[1];
+  if (!uri) problems.push('NEO4J_URI is not set');
+  else if (!scheme || !SCHEMES.includes(scheme.toLowerCase())) {
+    problems.push(`NEO4J_URI must start with ${SCHEMES.map(s => `${s}://`).join(', ')} (got ${uri})`);
+  }
+  for (const name of ['NEO4J_USERNAME', 'NEO4J_PASSWORD']) {
+    if (!setting(name)) problems.push(`${name} is not set`);
+  }
+
+  // TLS: +s and +ssc URIs configure encryption themselves and the driver
+  // rejects explicit settings alongside them
+  let encrypted = null;
+  const encryptedSetting = setting('NEO4J_ENCRYPTED');
+  if (encryptedSetting !== null) {
+    if (/^(true|1)$/i.test(encryptedSetting)) encrypted = true;
+    else if (/^(false|0)$/i.test(encryptedSetting)) encrypted = false;
+    else problems.push(`NEO4J_ENCRYPTED must be true or false (got ${encryptedSetting})`);
+  }
+  const trustSetting = setting('NEO4J_TRUST');
+  const trust = trustSetting ? TRUST[trustSetting.toLowerCase()] : null;
+  if (trustSetting && !trust) {
+    problems.push(`NEO4J_TRUST must be ${Object.keys(TRUST).join(', ')} (got ${trustSetting})`);
+  }
+  if (scheme && scheme.includes('+') && (encryptedSetting !== null || trustSetting)) {
+    problems.push(`NEO4J_ENCRYPTED and NEO4J_TRUST cannot be used with ${scheme}:// URIs, which set encryption themselves`);
+  } else if (trustSetting && encrypted !== true) {
+    problems.push('NEO4J_TRUST needs NEO4J_ENCRYPTED=true');
+  }
+  const trustedCertificates = (setting('NEO4J_TRUSTED_CERTIFICATES') || '')
+    .split(',').map(file => file.trim()).filter(Boolean);
+  if (trust === TRUST.custom && trustedCertificates.length === 0) {
+    problems.push('NEO4J_TRUST=custom needs NEO4J_TRUSTED_CERTIFICATES');
+  }
+  for (const file of trustedCertificates) {
+    if (!fs.existsSync(file)) problems.push(`trusted certificate not found: ${file}`);
+  }
+
+  const limits = {};
+  for (const [key, [name, defaultValue]] of Object.entries(LIMITS)) {
+    const value = setting(name);
+    if (value === null) {
+      limits[key] = defaultValue;
+    } else if (/^\d+$/.test(value) && parseInt(value, 10) > 0) {
+      limits[key] = parseInt(value, 10);
+    } else {
+      problems.push(`${name} must be a positive integer (got ${value})`);
+    }
+  }
+
+  if (problems.length > 0) throw new ConnectionConfigError(problems, profileName);
+
+  return Object.freeze({
+    profile: profileName,
+    uri,
+    username: setting('NEO4J_USERNAME'),
+    password: setting('NEO4J_PASSWORD'),
+    database: setting('NEO4J_DATABASE'),
+    encrypted,
+    trust,
+    trustedCertificates,
+    ...limits
+  });
+}
+
+// A new driver for the given settings; the caller closes it. Scripts should
+// normally use the shared driver through openSession() instead.
+function createDriver(config = loadConfig(defaults)) {
+  const driverConfig = {};
+  for (const key of Object.keys(LIMITS)) driverConfig[key] = config[key];
+  if (config.encrypted !== null) driverConfig.encrypted = config.encrypted ? 'ENCRYPTION_ON' : 'ENCRYPTION_OFF';
+  if (config.trust) driverConfig.trust = config.trust;
+  if (config.trustedCertificates.length > 0) driverConfig.trustedCertificates = config.trustedCertificates;
+
+  return neo4j.driver(config.uri, neo4j.auth.basic(config.username, config.password), driverConfig);
+}
+
+let defaults = {};
+let shared = null;
+
+// Options for loadConfig() used by the shared driver; call before it is created
+function configure(options = {}) {
+  if (shared) throw new Error('configure() must be called before the shared driver is created');
+  defaults = options;
+}
+
+// Settings of the shared driver, or those it would be created with
+function getConfig() {
+  return shared ? shared.config : loadConfig(defaults);
+}
+
+// Throws ConnectionConfigError when the settings are invalid
+function getDriver() {
+  if (!shared) {
+    const config = loadConfig(defaults);
+    shared = {
+      config,
+      driver: createDriver(config),
+      sessions: { opened: 0, active: 0, peak: 0 }
+    };
+    installShutdownHandlers();
+  }
+  return shared.driver;
+}
+
+// A session on the shared driver. database defaults to NEO4J_DATABASE;
+// mode is 'WRITE' (default) or 'READ'.
+function openSession({ database, mode = 'WRITE' } = {}) {
+  const driver = getDriver();
+  const { sessions } = shared;
+  const session = driver.session({
+    database: database || shared.config.database || undefined,
+    defaultAccessMode: mode === 'READ' ? neo4j.session.READ : neo4j.session.WRITE
+  });
+
+  sessions.opened++;
+  sessions.active++;
+  sessions.peak = Math.max(sessions.peak, sessions.active);
+  const close = session.close.bind(session);
+  let closed = false;
+  session.close = async () => {
+    if (!closed) {
+      closed = true;
+      sessions.active--;
+    }
+    return close();
+  };
+  return session;
+}
+
+async function withSession(work, options) {
+  const session = openSession(options);
+  try {
+    return await work(session);
+  } finally {
+    await session.close();
+  }
+}
+
+async function closeDriver() {
+  if (!shared) return;
+  const { driver } = shared;
+  shared = null;
+  await driver.close();
+}
+
+// Print the configuration problems and set exit code 2. Scripts call this
+// before opening a session so a missing variable is reported, not thrown.
+function checkConnectionConfig() {
+  try {
+    getConfig();
+    return true;
+  } catch (error) {
+    if (!(error instanceof ConnectionConfigError)) throw error;
+    const details = error.problems.length > 1
+      ? `:\n   - ${error.problems.join('\n   - ')}`
+      : `: ${error.problems[0]}`;
+    console.error(`❌ Invalid Neo4j configuration${details}`);
+    process.exitCode = 2;
+    return false;
+  }
+}
+
+// Sessions opened through openSession() and the shared driver's connections
+// per server; null before the driver is created. The driver has no public
+// pool API, so connection counts are best-effort: they read driver internals
+// and are null when those are missing or shaped differently (e.g. after a
+// driver upgrade).
+function poolMetrics() {
+  if (!shared) return null;
+  const { config, driver, sessions } = shared;
+  return {
+    maxPoolSize: config.maxConnectionPoolSize,
+    sessions: { ...sessions },
+    connections: connectionMetrics(driver)
+  };
+}
+
+function connectionMetrics(driver) {
+  try {
+    // The pool only exists once a connection has been requested
+    const pool = driver._connectionProvider && driver._connectionProvider._connectionPool;
+    if (!pool) return { inUse: 0, idle: 0, servers: [] };
+    if (typeof pool._pools !== 'object' || pool._pools === null) return null;
+
+    const servers = Object.entries(pool._pools).map(([address, idle]) => {
+      const inUse = (pool._activeResourceCounts || {})[address] || 0;
+      if (!Array.isArray(idle) || !Number.isInteger(inUse)) throw new Error('unexpected pool shape');
+      return { address, inUse, idle: idle.length };
+    });
+    return {
+      inUse: servers.reduce((sum, server) => sum + server.inUse, 0),
+      idle: servers.reduce((sum, server) => sum + server.idle, 0),
+      servers
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Connectivity, server and database information, and pool metrics. Never
+// throws: failures are reported as { ok: false, error, code }.
+async function healthCheck({ database } = {}) {
+  let config;
+  try {
+    config = getConfig();
+    const driver = getDriver();
+    database = database || config.database || null;
+
+    const started = Date.now();
+    const serverInfo = await driver.getServerInfo(database ? { database } : {});
+    const { test, components, latencyMs } = await withSession(async session => {
+      const result = await session.run('RETURN 1 AS test');
+      const latencyMs = Date.now() - started;
+      const info = await session.run('CALL dbms.components() YIELD name, versions, edition');
+      return {
+        test: result.records[0].get('test'),
+        latencyMs,
+        components: info.records.map(record => ({
+          name: record.get('name'),
+          version: record.get('versions')[0],
+          edition: record.get('edition')
+        }))
+      };
+    }, { database, mode: 'READ' });
+
+    return {
+      ok: true,
+      profile: config.profile,
+      uri: config.uri,
+      database: database || '(default)',
+      test,
+      latencyMs,
+      server: {
+        address: serverInfo.address,
+        agent: serverInfo.agent,
+        protocolVersion: serverInfo.protocolVersion
+      },
+      components,
+      pool: poolMetrics()
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      profile: config ? config.profile : null,
+      uri: config ? config.uri : null,
+      database: database || (config && config.database) || '(default)',
+      error: error.message,
+      code: error.code || error.name
+    };
+  }
+}
+
+const shutdownHooks = [];
+let shutdownInstalled = false;
+let shuttingDown = false;
+
+// Run hook (e.g. closing an HTTP server) on SIGINT or SIGTERM, before the
+// shared driver is closed. Hooks run in reverse order of registration.
+function onShutdown(hook) {
+  shutdownHooks.push(hook);
+  installShutdownHandlers();
+}
+
+function installShutdownHandlers() {
+  if (shutdownInstalled) return;
+  shutdownInstalled = true;
+  for (const signal of Object.keys(SIGNAL_EXIT_CODES)) {
+    process.on(signal, () => shutdown(signal));
+  }
+}
+
+// A second signal exits at once; otherwise the process gets a few seconds
+// to finish after its connections are closed
+async function shutdown(signal) {
+  const exitCode = SIGNAL_EXIT_CODES[signal];
+  if (shuttingDown) process.exit(exitCode);
+  shuttingDown = true;
+  process.exitCode = exitCode;
+  console.log('\n👋 Shutting down...');
+
+  for (const hook of [...shutdownHooks].reverse()) {
+    try {
+      await hook();
+    } catch (error) {
+      console.error('❌ Shutdown error:', error.message);
+    }
+  }
+  await closeDriver();
+  setTimeout(() => process.exit(exitCode), SHUTDOWN_GRACE_MS).unref();
+}
+
+function printHealth(health) {
+  if (!health.ok) {
+    console.error('❌ Connection failed:', health.error);
+    return;
+  }
+  console.log('✅ Connection successful! Test query returned:', health.test);
+  console.log(`   ${health.uri}${health.profile ? ` (profile ${health.profile})` : ''}, database ${health.database}, ${health.latencyMs} ms`);
+
+  console.log('\n📊 Database Information:');
+  health.components.forEach(component => {
+    console.log(`   Name: ${component.name}`);
+    console.log(`   Version: ${component.version}`);
+    console.log(`   Edition: ${component.edition}`);
+  });
+  console.log(`   Server: ${health.server.address} (${health.server.agent}, Bolt ${health.server.protocolVersion})`);
+
+  const { maxPoolSize, connections } = health.pool;
+  console.log('\n🔌 Connection Pool:');
+  console.log(connections
+    ? `   In use: ${connections.inUse}, idle: ${connections.idle}, max: ${maxPoolSize}`
+    : `   Connection counts unavailable, max: ${maxPoolSize}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  configure({ profile: option('--profile') });
+  if (!checkConnectionConfig()) return;
+
+  const json = args.includes('--json');
+  try {
+    if (!json) console.log('🔗 Testing connection to Neo4j...');
+    const health = await healthCheck({ database: option('--database') });
+    if (json) {
+      process.stdout.write(JSON.stringify(health, null, 2) + '\n');
+    } else {
+      printHealth(health);
+    }
+    if (!health.ok) process.exitCode = 1;
+  } finally {
+    await closeDriver();
+  }
+}
+
+export {
+  ConnectionConfigError,
+  loadConfig,
+  createDriver,
+  configure,
+  getConfig,
+  getDriver,
+  openSession,
+  withSession,
+  closeDriver,
+  checkConnectionConfig,
+  poolMetrics,
+  healthCheck,
+  onShutdown,
+  printHealth
+};
+
+// Run the health check if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -1,98 +1,19 @@
-import neo4j from 'neo4j-driver';
-import dotenv from 'dotenv';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+import { readFixture, loadFixture } from './fixtures.js';
 
-// Load environment variables
-dotenv.config();
+// The movie graph comes from fixtures/movies.json and is tagged with its
+// dataset, so seeding replaces only that dataset and the queries only see it
+const DATASET = 'movies';
 
-const driver = neo4j.driver(
-  process.env.NEO4J_URI,
-  neo4j.auth.basic(process.env.NEO4J_USERNAME, process.env.NEO4J_PASSWORD)
-);
-
-async function clearDatabase(session) {
-  console.log('🧹 Clearing existing demo data...');
-  await session.run('MATCH (n:Person) DETACH DELETE n');
-  await session.run('MATCH (n:Movie) DETACH DELETE n');
-}
-
-async function createNodes(session) {
-  console.log('\n📝 Creating nodes...');
-  
-  // Create Person nodes
-  const people = [
-    { name: 'Tom Hanks', born: 1956 },
-    { name: 'Rita Wilson', born: 1956 },
-    { name: 'Robert Zemeckis', born: 1952 }
-  ];
-  
-  for (const person of people) {
-    await session.run(
-      'CREATE (p:Person {name: $name, born: $born})',
-      person
-    );
-    console.log(`   ✅ Created person: ${person.name}`);
-  }
-  
-  // Create Movie nodes
-  const movies = [
-    { title: 'Forrest Gump', released: 1994, tagline: 'Life is like a box of chocolates' },
-    { title: 'Cast Away', released: 2000, tagline: 'At the edge of the world, his journey begins' }
-  ];
-  
-  for (const movie of movies) {
-    await session.run(
-      'CREATE (m:Movie {title: $title, released: $released, tagline: $tagline})',
-      movie
-    );
-    console.log(`   ✅ Created movie: ${movie.title}`);
-  }
-}
-
-async function createRelationships(session) {
-  console.log('\n🔗 Creating relationships...');
-  
-  // Tom Hanks acted in both movies
-  await session.run(
-    `MATCH (p:Person {name: 'Tom Hanks'}), (m:Movie {title: 'Forrest Gump'})
-     CREATE (p)-[:ACTED_IN {roles: ['Forrest Gump']}]->(m)`
-  );
-  console.log('   ✅ Tom Hanks ACTED_IN Forrest Gump');
-  
-  await session.run(
-    `MATCH (p:Person {name: 'Tom Hanks'}), (m:Movie {title: 'Cast Away'})
-     CREATE (p)-[:ACTED_IN {roles: ['Chuck Noland']}]->(m)`
-  );
-  console.log('   ✅ Tom Hanks ACTED_IN Cast Away');
-  
-  // Robert Zemeckis directed Forrest Gump and Cast Away
-  await session.run(
-    `MATCH (p:Person {name: 'Robert Zemeckis'}), (m:Movie {title: 'Forrest Gump'})
-     CREATE (p)-[:DIRECTED]->(m)`
-  );
-  console.log('   ✅ Robert Zemeckis DIRECTED Forrest Gump');
-  
-  await session.run(
-    `MATCH (p:Person {name: 'Robert Zemeckis'}), (m:Movie {title: 'Cast Away'})
-     CREATE (p)-[:DIRECTED]->(m)`
-  );
-  console.log('   ✅ Robert Zemeckis DIRECTED Cast Away');
-  
-  // Rita Wilson produced Cast Away
-  await session.run(
-    `MATCH (p:Person {name: 'Rita Wilson'}), (m:Movie {title: 'Cast Away'})
-     CREATE (p)-[:PRODUCED]->(m)`
-  );
-  console.log('   ✅ Rita Wilson PRODUCED Cast Away');
-}
-
-async function queryData(session) {
+async function queryData(session, { dataset = DATASET } = {}) {
   console.log('\n🔍 Running queries...');
   
   // Query 1: Find all movies Tom Hanks acted in
   console.log('\n1️⃣  Movies starring Tom Hanks:');
   const tomHanksMovies = await session.run(
-    `MATCH (p:Person {name: 'Tom Hanks'})-[r:ACTED_IN]->(m:Movie)
-     RETURN m.title AS title, m.released AS year, r.roles AS roles`
+    `MATCH (p:Person {name: 'Tom Hanks', dataset: $dataset})-[r:ACTED_IN]->(m:Movie)
+     RETURN m.title AS title, m.released AS year, r.roles AS roles`,
+    { dataset }
   );
   
   tomHanksMovies.records.forEach(record => {
@@ -102,8 +23,9 @@ async function queryData(session) {
   // Query 2: Find all people connected to Forrest Gump
   console.log('\n2️⃣  People connected to Forrest Gump:');
   const forrestGumpPeople = await session.run(
-    `MATCH (p:Person)-[r]->(m:Movie {title: 'Forrest Gump'})
-     RETURN p.name AS name, type(r) AS relationship`
+    `MATCH (p:Person)-[r]->(m:Movie {title: 'Forrest Gump', dataset: $dataset})
+     RETURN p.name AS name, type(r) AS relationship`,
+    { dataset }
   );
   
   forrestGumpPeople.records.forEach(record => {
@@ -113,9 +35,10 @@ async function queryData(session) {
   // Query 3: Find movies directed by Robert Zemeckis
   console.log('\n3️⃣  Movies directed by Robert Zemeckis:');
   const zemeckisMovies = await session.run(
-    `MATCH (p:Person {name: 'Robert Zemeckis'})-[:DIRECTED]->(m:Movie)
+    `MATCH (p:Person {name: 'Robert Zemeckis', dataset: $dataset})-[:DIRECTED]->(m:Movie)
      RETURN m.title AS title, m.released AS year
-     ORDER BY m.released`
+     ORDER BY m.released`,
+    { dataset }
   );
   
   zemeckisMovies.records.forEach(record => {
@@ -125,9 +48,10 @@ async function queryData(session) {
   // Query 4: Complex query - Find co-actors
   console.log('\n4️⃣  People who worked with Tom Hanks:');
   const coWorkers = await session.run(
-    `MATCH (tom:Person {name: 'Tom Hanks'})-[:ACTED_IN]->(m:Movie)<-[r]-(p:Person)
+    `MATCH (tom:Person {name: 'Tom Hanks', dataset: $dataset})-[:ACTED_IN]->(m:Movie)<-[r]-(p:Person)
      WHERE p.name <> 'Tom Hanks'
-     RETURN DISTINCT p.name AS name, collect(DISTINCT type(r)) AS relationships, collect(DISTINCT m.title) AS movies`
+     RETURN DISTINCT p.name AS name, collect(DISTINCT type(r)) AS relationships, collect(DISTINCT m.title) AS movies`,
+    { dataset }
   );
   
   coWorkers.records.forEach(record => {
@@ -135,15 +59,20 @@ async function queryData(session) {
   });
 }
 
+// Seed the movie graph in one transaction so a failure never leaves a partial
+// graph; other data, including other datasets, is left alone
+async function seedMovies(session, { dataset = DATASET } = {}) {
+  return loadFixture(session, readFixture('movies'), { dataset });
+}
+
 async function runDemo() {
-  const session = driver.session({ database: process.env.NEO4J_DATABASE });
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
   
   try {
     console.log('🚀 Starting Neo4j Demo Application\n');
     
-    await clearDatabase(session);
-    await createNodes(session);
-    await createRelationships(session);
+    await seedMovies(session);
     await queryData(session);
     
     console.log('\n✨ Demo completed successfully!');
@@ -152,8 +81,14 @@ async function runDemo() {
     console.error('❌ Error:', error.message);
   } finally {
     await session.close();
-    await driver.close();
+    await closeDriver();
   }
 }
 
-runDemo();
+// Export for use in other files
+export { seedMovies, queryData };
+
+// Run demo if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDemo();
+}
@@ -0,0 +1,357 @@
+import neo4j from 'neo4j-driver';
+import fs from 'fs';
+import path from 'path';
+import { labelExpression, escapeIdentifier } from './query-builder.js';
+import { formatTable, formatJson } from './output.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+import { toNumber } from './result-mapping.js';
+
+// Example datasets as declarative fixture files, loaded under a dataset
+// namespace: every node and relationship a fixture creates carries a
+// `dataset` property, and teardown deletes only what has that dataset, so
+// demos never wipe other data.
+//
+//   node fixtures.js list                                 datasets in the database
+//   node fixtures.js load <name|file> [--dataset name]    (re)load a fixture
+//   node fixtures.js teardown <dataset>                   delete a dataset
+//
+// A fixture (./fixtures/<name>.json) looks like:
+//
+//   {
+//     "dataset": "movies",
+//     "nodes": [{ "id": "tom", "labels": ["Person"], "properties": { "name": "Tom Hanks" } }],
+//     "relationships": [{ "from": "tom", "type": "ACTED_IN", "to": "forrestGump", "properties": {} }],
+//     "papers": [{ "title": "...", "authors": ["..."], "references": ["..."] }]
+//   }
+//
+// Node ids only link relationships within the file and are not stored.
+// Papers go through the ingestion pipeline (storePaper), which shares
+// authors, references, venues and institutions with other papers; teardown
+// removes the dataset's papers and whatever only they used. Authors that
+// already exist are linked but not changed.
+//
+// Datasets are not separate namespaces for unique keys: Movie.title,
+// User.email, Paper.doi and the like are unique across the database, so a
+// fixture cannot be loaded under a second dataset name while the first is
+// loaded, and one that clashes with other data fails rather than
+// overwriting it.
+
+const FIXTURES_DIR = 'fixtures';
+const DATASET_NAME = /^[\w.-]+$/;
+const EXIT_USAGE = 2;
+
+class FixtureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FixtureError';
+  }
+}
+
+function checkDatasetName(dataset) {
+  if (typeof dataset !== 'string' || !DATASET_NAME.test(dataset)) {
+    throw new FixtureError(`Invalid dataset name: ${JSON.stringify(dataset)} (letters, digits, _, . and - only)`);
+  }
+  return dataset;
+}
+
+// File values are plain JSON, so whole numbers are stored as Neo4j integers
+function toValue(value) {
+  if (Array.isArray(value)) return value.map(toValue);
+  return Number.isInteger(value) ? neo4j.int(value) : value;
+}
+
+function toProperties(properties = {}, where) {
+  if (typeof properties !== 'object' || properties === null || Array.isArray(properties)) {
+    throw new FixtureError(`${where}: properties must be an object`);
+  }
+  if ('dataset' in properties) {
+    throw new FixtureError(`${where}: "dataset" is set by the loader`);
+  }
+  return Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toValue(value)]));
+}
+
+// Fixture names available in a directory
+function fixtureNames(dir = FIXTURES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.toLowerCase().endsWith('.json'))
+    .map(name => name.replace(/\.json$/i, ''))
+    .sort();
+}
+
+// Read and check a fixture, given a file path or a name in ./fixtures
+function readFixture(nameOrFile, dir = FIXTURES_DIR) {
+  const file = fs.existsSync(nameOrFile) && fs.statSync(nameOrFile).isFile()
+    ? nameOrFile
+    : path.join(dir, `${nameOrFile}.json`);
+  if (!fs.existsSync(file)) {
+    throw new FixtureError(`Unknown fixture "${nameOrFile}" (available: ${fixtureNames(dir).join(', ') || 'none'})`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new FixtureError(`${file}: ${error.message}`);
+  }
+
+  const fixture = {
+    file,
+    dataset: checkDatasetName(data.dataset || path.basename(file).replace(/\.json$/i, '')),
+    description: data.description || null,
+    nodes: data.nodes || [],
+    relationships: data.relationships || [],
+    papers: data.papers || []
+  };
+
+  const ids = new Set();
+  fixture.nodes.forEach((node, i) => {
+    const where = `${file}: node ${i + 1}`;
+    if (!node.id) throw new FixtureError(`${where} needs an id`);
+    if (ids.has(node.id)) throw new FixtureError(`${where} repeats id "${node.id}"`);
+    const labels = [].concat(node.labels || node.label || []);
+    if (labels.length === 0) throw new FixtureError(`${where} needs labels`);
+    labelExpression(labels);
+    toProperties(node.properties, where);
+    ids.add(node.id);
+  });
+  fixture.relationships.forEach((relationship, i) => {
+    const where = `${file}: relationship ${i + 1}`;
+    escapeIdentifier(relationship.type, 'relationship type');
+    for (const end of ['from', 'to']) {
+      if (!ids.has(relationship[end])) {
+        throw new FixtureError(`${where}: "${end}" must be the id of a node in the fixture (got ${JSON.stringify(relationship[end])})`);
+      }
+    }
+    toProperties(relationship.properties, where);
+  });
+  fixture.papers.forEach((paper, i) => {
+    if (!paper.title) throw new FixtureError(`${file}: paper ${i + 1} needs a title`);
+  });
+
+  return fixture;
+}
+
+// Group rows by a key, keeping the first-seen order
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+// Delete every node and relationship tagged with the dataset; relationships
+// first, so one tagged between untagged nodes goes too
+async function deleteTagged(tx, dataset) {
+  const relationships = await tx.run(`
+    MATCH ()-[r]->() WHERE r.dataset = $dataset
+    DELETE r
+    RETURN count(r) AS deleted
+  `, { dataset });
+  const nodes = await tx.run(`
+    MATCH (n) WHERE n.dataset = $dataset
+    DETACH DELETE n
+    RETURN count(n) AS deleted
+  `, { dataset });
+  return {
+    nodes: toNumber(nodes.records[0].get('deleted')),
+    relationships: toNumber(relationships.records[0].get('deleted'))
+  };
+}
+
+// The research pipeline is loaded on demand, so plain graph fixtures don't
+// need it
+async function withResearchBuilder(work) {
+  const { ResearchGraphBuilder } = await import('./grobid-demo.js');
+  const builder = new ResearchGraphBuilder();
+  try {
+    return await work(builder);
+  } finally {
+    await builder.release();
+  }
+}
+
+async function hasPapers(session, dataset) {
+  const result = await session.run(
+    'RETURN EXISTS { MATCH (p:Paper) WHERE p.dataset = $dataset } AS found',
+    { dataset }
+  );
+  return result.records[0].get('found');
+}
+
+// Delete a dataset: its papers through the pipeline (so shared authors and
+// references are only removed when nothing else uses them), then everything
+// else tagged with it
+async function teardownDataset(session, dataset) {
+  checkDatasetName(dataset);
+  const papers = await hasPapers(session, dataset)
+    ? await withResearchBuilder(builder => builder.removeDataset(dataset))
+    : 0;
+  const deleted = await session.executeWrite(tx => deleteTagged(tx, dataset));
+  return { dataset, papers, ...deleted };
+}
+
+// Load a fixture under its dataset (or options.dataset), replacing what an
+// earlier load of that dataset created. The nodes and relationships are
+// written in one transaction; papers are stored one at a time afterwards.
+async function loadFixture(session, fixture, { dataset = fixture.dataset } = {}) {
+  checkDatasetName(dataset);
+  console.log(`📦 Loading fixture ${fixture.file} as dataset "${dataset}"...`);
+
+  if (await hasPapers(session, dataset)) {
+    await withResearchBuilder(builder => builder.removeDataset(dataset));
+  }
+
+  await session.executeWrite(async tx => {
+    await deleteTagged(tx, dataset);
+
+    // Nodes are created per label set; their element ids resolve the
+    // relationships' from/to references
+    const elementIds = new Map();
+    const nodeGroups = groupBy(fixture.nodes, node => JSON.stringify([].concat(node.labels || node.label)));
+    for (const [labels, nodes] of nodeGroups) {
+      const result = await tx.run(`
+        UNWIND $rows AS row
+        CREATE (n${labelExpression(JSON.parse(labels))})
+        SET n = row.properties, n.dataset = $dataset
+        RETURN row.id AS id, elementId(n) AS elementId
+      `, {
+        rows: nodes.map(node => ({ id: node.id, properties: toProperties(node.properties) })),
+        dataset
+      });
+      result.records.forEach(record => elementIds.set(record.get('id'), record.get('elementId')));
+    }
+
+    for (const [type, relationships] of groupBy(fixture.relationships, relationship => relationship.type)) {
+      await tx.run(`
+        UNWIND $rows AS row
+        MATCH (a) WHERE elementId(a) = row.from
+        MATCH (b) WHERE elementId(b) = row.to
+        CREATE (a)-[r:${escapeIdentifier(type, 'relationship type')}]->(b)
+        SET r = row.properties, r.dataset = $dataset
+      `, {
+        rows: relationships.map(relationship => ({
+          from: elementIds.get(relationship.from),
+          to: elementIds.get(relationship.to),
+          properties: toProperties(relationship.properties)
+        })),
+        dataset
+      });
+    }
+  });
+  console.log(`   ✅ ${fixture.nodes.length} nodes, ${fixture.relationships.length} relationships`);
+
+  if (fixture.papers.length > 0) {
+    await withResearchBuilder(async builder => {
+      for (const paper of fixture.papers) {
+        await builder.storePaper(paper, paper.filename || null, { dataset });
+      }
+      await builder.resolveReferences();
+    });
+  }
+
+  return {
+    dataset,
+    nodes: fixture.nodes.length,
+    relationships: fixture.relationships.length,
+    papers: fixture.papers.length
+  };
+}
+
+// Datasets present in the database, with what they contain
+async function listDatasets(session) {
+  const result = await session.run(`
+    MATCH (n) WHERE n.dataset IS NOT NULL
+    WITH n.dataset AS dataset, count(n) AS nodes, collect(DISTINCT labels(n)) AS labelSets
+    RETURN dataset, nodes,
+           COUNT { MATCH ()-[r]->() WHERE r.dataset = dataset } AS relationships,
+           reduce(acc = [], labels IN labelSets | acc + [label IN labels WHERE NOT label IN acc]) AS labels
+    ORDER BY dataset
+  `);
+  return result.records.map(record => ({
+    dataset: record.get('dataset'),
+    nodes: toNumber(record.get('nodes')),
+    relationships: toNumber(record.get('relationships')),
+    labels: record.get('labels').sort().join(', ')
+  }));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const json = args.includes('--json');
+  const [command, target] = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--dataset');
+
+  if (!['list', 'load', 'teardown'].includes(command) || (command !== 'list' && !target)) {
+    console.error('Usage: node fixtures.js list | load <name|file> [--dataset name] | teardown <dataset> [--json]');
+    console.error(`       fixtures: ${fixtureNames().join(', ') || 'none'}`);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  let fixture;
+  try {
+    if (command === 'load') fixture = readFixture(target);
+    if (command === 'teardown') checkDatasetName(target);
+    if (option('--dataset') !== undefined) checkDatasetName(option('--dataset'));
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  if (json) {
+    // Keep stdout for the JSON result; progress messages go to stderr
+    console.log = (...values) => console.error(...values);
+  }
+
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+
+  try {
+    let rows;
+    switch (command) {
+      case 'list':
+        rows = await listDatasets(session);
+        break;
+      case 'load':
+        rows = [await loadFixture(session, fixture, { dataset: option('--dataset') })];
+        break;
+      case 'teardown':
+        rows = [await teardownDataset(session, target)];
+        break;
+    }
+
+    if (json) {
+      process.stdout.write(formatJson(rows) + '\n');
+    } else {
+      console.log(formatTable(rows));
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export {
+  FixtureError,
+  fixtureNames,
+  readFixture,
+  loadFixture,
+  teardownDataset,
+  listDatasets
+};
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
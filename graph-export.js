@@ -0,0 +1,307 @@
+import neo4j from 'neo4j-driver';
+import fs from 'fs';
+import path from 'path';
+import { labelExpression } from './query-builder.js';
+import { scalarType, valueType, formatScalar, encodeJsonValue, mapValues } from './graph-values.js';
+
+// Exports the graph, or a label- or query-scoped subgraph, as JSON,
+// neo4j-admin style CSV files or GraphML. graph-import.js reads all three
+// back. Node and relationship ids are their element ids.
+
+const FORMAT_NAME = 'neo4j-test-graph';
+const FORMAT_VERSION = 1;
+const CSV_ARRAY_DELIMITER = ';';
+
+function toGraphNode(node) {
+  return { id: node.elementId, labels: node.labels, properties: node.properties };
+}
+
+function toGraphRelationship(rel) {
+  return {
+    id: rel.elementId,
+    type: rel.type,
+    start: rel.startNodeElementId,
+    end: rel.endNodeElementId,
+    properties: rel.properties
+  };
+}
+
+// Collect nodes and relationships from any mix of returned values
+function collectGraphValues(value, nodes, relationships) {
+  if (value instanceof neo4j.types.Node) {
+    nodes.set(value.elementId, toGraphNode(value));
+  } else if (value instanceof neo4j.types.Relationship) {
+    relationships.set(value.elementId, toGraphRelationship(value));
+  } else if (value instanceof neo4j.types.Path) {
+    value.segments.forEach(segment => {
+      collectGraphValues(segment.start, nodes, relationships);
+      collectGraphValues(segment.relationship, nodes, relationships);
+      collectGraphValues(segment.end, nodes, relationships);
+    });
+    collectGraphValues(value.start, nodes, relationships);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectGraphValues(item, nodes, relationships));
+  } else if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    Object.values(value).forEach(item => collectGraphValues(item, nodes, relationships));
+  }
+}
+
+// Read the graph to export. options.labels limits it to nodes with any of
+// those labels (and the relationships between them); options.query takes the
+// nodes, relationships and paths a Cypher query returns.
+async function readGraph(session, { labels = [], query, params = {} } = {}) {
+  const nodes = new Map();
+  const relationships = new Map();
+
+  if (query) {
+    const result = await session.run(query, params);
+    result.records.forEach(record => collectGraphValues(record.toObject(), nodes, relationships));
+
+    // Include the endpoints of returned relationships
+    const missing = [...relationships.values()]
+      .flatMap(rel => [rel.start, rel.end])
+      .filter(id => !nodes.has(id));
+    if (missing.length > 0) {
+      const endpoints = await session.run(
+        'MATCH (n) WHERE elementId(n) IN $ids RETURN n',
+        { ids: [...new Set(missing)] }
+      );
+      endpoints.records.forEach(record => collectGraphValues(record.get('n'), nodes, relationships));
+    }
+  } else {
+    const inScope = alias => labels.length > 0
+      ? '(' + labels.map(label => alias + labelExpression(label)).join(' OR ') + ')'
+      : 'true';
+
+    const nodeResult = await session.run(`MATCH (n) WHERE ${inScope('n')} RETURN n`);
+    nodeResult.records.forEach(record => collectGraphValues(record.get('n'), nodes, relationships));
+
+    const relResult = await session.run(`
+      MATCH (a)-[r]->(b)
+      WHERE ${inScope('a')} AND ${inScope('b')}
+      RETURN r
+    `);
+    relResult.records.forEach(record => collectGraphValues(record.get('r'), nodes, relationships));
+  }
+
+  return { nodes: [...nodes.values()], relationships: [...relationships.values()] };
+}
+
+// JSON
+
+function toJson(graph) {
+  return JSON.stringify({
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    nodes: graph.nodes.map(node => ({ ...node, properties: mapValues(node.properties, encodeJsonValue) })),
+    relationships: graph.relationships.map(rel => ({ ...rel, properties: mapValues(rel.properties, encodeJsonValue) }))
+  }, null, 2) + '\n';
+}
+
+// CSV (neo4j-admin import format)
+
+// One type per property key. Keys with mixed types are exported as strings
+// (or string arrays); empty arrays take the type of the other values.
+function columnTypes(entities) {
+  const types = new Map();
+  for (const entity of entities) {
+    for (const [key, value] of Object.entries(entity.properties)) {
+      if (Array.isArray(value) && value.length === 0) {
+        if (!types.has(key)) types.set(key, null);
+        continue;
+      }
+      const type = valueType(value);
+      const existing = types.get(key);
+      if (!existing) {
+        types.set(key, type);
+      } else if (existing !== type) {
+        types.set(key, existing.endsWith('[]') && type.endsWith('[]') ? 'string[]' : 'string');
+      }
+    }
+  }
+  for (const [key, type] of types) {
+    if (type === null) types.set(key, 'string[]');
+  }
+  return types;
+}
+
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// neo4j-admin has no escape for the array delimiter, so an array element
+// containing it could not be read back as one element
+function csvArray(items, name) {
+  const clash = items.find(item => item.includes(CSV_ARRAY_DELIMITER));
+  if (clash !== undefined) {
+    throw new Error(`Cannot export ${name} as CSV: ${JSON.stringify(clash)} contains the array delimiter "${CSV_ARRAY_DELIMITER}" (use json or graphml)`);
+  }
+  return csvField(items.join(CSV_ARRAY_DELIMITER));
+}
+
+function csvCell(value, type, name) {
+  if (value === undefined || value === null) return '';
+  if (type.endsWith('[]')) {
+    const elementType = type.slice(0, -2);
+    return csvArray(value.map(item => elementType === 'string' && typeof item !== 'string'
+      ? formatScalar(item)
+      : formatScalar(item, elementType)), `property ${name}`);
+  }
+  return csvField(type === 'string' && typeof value !== 'string' ? formatScalar(value) : formatScalar(value, type));
+}
+
+function csvRows(header, rows) {
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+// Write nodes.csv and relationships.csv into a directory
+function writeCsv(graph, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const nodeTypes = columnTypes(graph.nodes);
+  const nodeHeader = [':ID', ...[...nodeTypes].map(([key, type]) => csvField(`${key}:${type}`)), ':LABEL'];
+  const nodeRows = graph.nodes.map(node => [
+    csvField(node.id),
+    ...[...nodeTypes].map(([key, type]) => csvCell(node.properties[key], type, key)),
+    csvArray(node.labels, 'labels')
+  ]);
+
+  const relTypes = columnTypes(graph.relationships);
+  const relHeader = [':START_ID', ':END_ID', ':TYPE', ...[...relTypes].map(([key, type]) => csvField(`${key}:${type}`))];
+  const relRows = graph.relationships.map(rel => [
+    csvField(rel.start),
+    csvField(rel.end),
+    csvField(rel.type),
+    ...[...relTypes].map(([key, type]) => csvCell(rel.properties[key], type, key))
+  ]);
+
+  fs.writeFileSync(path.join(dir, 'nodes.csv'), csvRows(nodeHeader, nodeRows));
+  fs.writeFileSync(path.join(dir, 'relationships.csv'), csvRows(relHeader, relRows));
+}
+
+// GraphML
+
+const GRAPHML_TYPES = { long: 'long', double: 'double', boolean: 'boolean', string: 'string' };
+
+function xmlEscape(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Keys are declared per property name and element kind. Types GraphML has no
+// name for (temporals, points) are stored as strings with a neo4j.type attribute;
+// arrays are JSON with attr.list, as APOC does.
+function graphmlKeys(entities, kind) {
+  return [...columnTypes(entities)].map(([name, type], i) => {
+    const list = type.endsWith('[]');
+    const scalar = list ? type.slice(0, -2) : type;
+    return {
+      id: `${kind === 'node' ? 'n' : 'e'}${i}`,
+      name,
+      kind,
+      type,
+      attrType: list ? 'string' : (GRAPHML_TYPES[scalar] || 'string'),
+      list: list ? scalar : null,
+      neo4jType: !list && !GRAPHML_TYPES[scalar] ? scalar : null
+    };
+  });
+}
+
+function graphmlValue(value, key) {
+  if (key.list) {
+    return JSON.stringify(value.map(item => key.list === 'string' && typeof item !== 'string'
+      ? formatScalar(item)
+      : (key.list === 'double' || key.list === 'boolean' ? item : formatScalar(item, key.list))));
+  }
+  return formatScalar(value, key.type === 'string' && typeof value !== 'string' ? scalarType(value) : key.type);
+}
+
+function graphmlData(properties, keys) {
+  return keys
+    .filter(key => properties[key.name] !== undefined && properties[key.name] !== null)
+    .map(key => `      <data key="${key.id}">${xmlEscape(graphmlValue(properties[key.name], key))}</data>`);
+}
+
+function toGraphML(graph) {
+  const nodeKeys = graphmlKeys(graph.nodes, 'node');
+  const edgeKeys = graphmlKeys(graph.relationships, 'edge');
+
+  const keyLines = [...nodeKeys, ...edgeKeys].map(key => {
+    const list = key.list ? ` attr.list="${key.list}"` : '';
+    const neo4jType = key.neo4jType ? ` neo4j.type="${key.neo4jType}"` : '';
+    return `  <key id="${key.id}" for="${key.kind}" attr.name="${xmlEscape(key.name)}" attr.type="${key.attrType}"${list}${neo4jType}/>`;
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="labels" for="node" attr.name="labels" attr.type="string" attr.list="string"/>',
+    '  <key id="label" for="edge" attr.name="label" attr.type="string"/>',
+    ...keyLines,
+    '  <graph id="G" edgedefault="directed">'
+  ];
+
+  for (const node of graph.nodes) {
+    // The labels attribute is APOC's ":A:B"; the labels data is a JSON list,
+    // which also survives labels containing ":"
+    lines.push(`    <node id="${xmlEscape(node.id)}" labels="${xmlEscape(node.labels.map(label => ':' + label).join(''))}">`);
+    lines.push(`      <data key="labels">${xmlEscape(JSON.stringify(node.labels))}</data>`);
+    lines.push(...graphmlData(node.properties, nodeKeys));
+    lines.push('    </node>');
+  }
+
+  for (const rel of graph.relationships) {
+    lines.push(`    <edge id="${xmlEscape(rel.id)}" source="${xmlEscape(rel.start)}" target="${xmlEscape(rel.end)}" label="${xmlEscape(rel.type)}">`);
+    lines.push(`      <data key="label">${xmlEscape(rel.type)}</data>`);
+    lines.push(...graphmlData(rel.properties, edgeKeys));
+    lines.push('    </edge>');
+  }
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+// Format from an explicit option or the output path: .json, .graphml, else a CSV directory
+function detectFormat(target, format) {
+  if (format) return format;
+  if (target.endsWith('.json')) return 'json';
+  if (target.endsWith('.graphml') || target.endsWith('.xml')) return 'graphml';
+  return 'csv';
+}
+
+// Read the (sub)graph and write it to `out` in the given format
+async function exportGraph(session, out, { format, ...scope } = {}) {
+  const graph = await readGraph(session, scope);
+  const resolved = detectFormat(out, format);
+
+  switch (resolved) {
+    case 'json':
+      fs.writeFileSync(out, toJson(graph));
+      break;
+    case 'csv':
+      writeCsv(graph, out);
+      break;
+    case 'graphml':
+      fs.writeFileSync(out, toGraphML(graph));
+      break;
+    default:
+      throw new Error(`Unknown export format: ${resolved} (expected json, csv or graphml)`);
+  }
+
+  return { format: resolved, out, nodes: graph.nodes.length, relationships: graph.relationships.length };
+}
+
+export {
+  FORMAT_NAME,
+  FORMAT_VERSION,
+  CSV_ARRAY_DELIMITER,
+  readGraph,
+  toJson,
+  writeCsv,
+  toGraphML,
+  detectFormat,
+  exportGraph
+};
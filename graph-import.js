@@ -0,0 +1,296 @@
+import fs from 'fs';
+import path from 'path';
+import { DOMParser } from '@xmldom/xmldom';
+import { labelExpression, escapeIdentifier } from './query-builder.js';
+import { batches, DEFAULT_BATCH_SIZE } from './unit-of-work.js';
+import { parseScalar, decodeJsonValue, mapValues } from './graph-values.js';
+import { FORMAT_NAME, CSV_ARRAY_DELIMITER, detectFormat } from './graph-export.js';
+
+// Rebuilds a graph from the files graph-export.js writes (JSON, neo4j-admin
+// style CSV, GraphML), preserving labels, relationship types and property
+// types. Nodes get new element ids; the exported ids are only used to connect
+// relationships during the import.
+
+// JSON
+
+function parseJsonGraph(text) {
+  const data = JSON.parse(text);
+  if (data.format !== FORMAT_NAME || !Array.isArray(data.nodes) || !Array.isArray(data.relationships)) {
+    throw new Error(`Not a ${FORMAT_NAME} JSON export`);
+  }
+  return {
+    nodes: data.nodes.map(node => ({ ...node, properties: mapValues(node.properties || {}, decodeJsonValue) })),
+    relationships: data.relationships.map(rel => ({ ...rel, properties: mapValues(rel.properties || {}, decodeJsonValue) }))
+  };
+}
+
+// CSV
+
+// RFC 4180 parser: quoted fields may contain commas, quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// "name:long[]" -> { name, role: null, type: 'long[]' }; ":ID" -> { role: 'ID' }
+function parseHeaderField(field) {
+  const index = field.lastIndexOf(':');
+  const name = index === -1 ? field : field.substring(0, index);
+  const suffix = index === -1 ? 'string' : field.substring(index + 1);
+  const role = suffix.replace(/\(.*\)$/, '').toUpperCase();
+
+  if (['ID', 'LABEL', 'START_ID', 'END_ID', 'TYPE', 'IGNORE'].includes(role)) {
+    return { name, role, type: null };
+  }
+  return { name, role: null, type: suffix.toLowerCase() || 'string' };
+}
+
+function parseCsvCell(text, type) {
+  if (type.endsWith('[]')) {
+    const elementType = type.slice(0, -2);
+    return text.split(CSV_ARRAY_DELIMITER).map(item => parseScalar(item, elementType));
+  }
+  return parseScalar(text, type);
+}
+
+// Rows of a CSV file as { role values, properties }. As with neo4j-admin, an
+// empty cell means the property is missing, so empty arrays do not survive CSV.
+function readCsvFile(file) {
+  const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+  const columns = header.map(parseHeaderField);
+
+  return rows.map(row => {
+    const entry = { properties: {} };
+    columns.forEach((column, i) => {
+      const text = row[i] === undefined ? '' : row[i];
+      if (column.role === 'IGNORE') return;
+      if (column.role) {
+        entry[column.role] = text;
+      } else if (text !== '') {
+        entry.properties[column.name] = parseCsvCell(text, column.type);
+      }
+    });
+    return entry;
+  });
+}
+
+function readCsvGraph(dir) {
+  const nodes = readCsvFile(path.join(dir, 'nodes.csv')).map(entry => ({
+    id: entry.ID,
+    labels: entry.LABEL ? entry.LABEL.split(CSV_ARRAY_DELIMITER).filter(Boolean) : [],
+    properties: entry.properties
+  }));
+
+  const relFile = path.join(dir, 'relationships.csv');
+  const relationships = fs.existsSync(relFile)
+    ? readCsvFile(relFile).map(entry => ({
+      type: entry.TYPE,
+      start: entry.START_ID,
+      end: entry.END_ID,
+      properties: entry.properties
+    }))
+    : [];
+
+  return { nodes, relationships };
+}
+
+// GraphML
+
+function elementsByName(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS('*', name));
+}
+
+function parseGraphmlValue(text, key) {
+  if (key.list) {
+    return JSON.parse(text).map(item => parseScalar(String(item), key.list));
+  }
+  const type = key.neo4jType || { int: 'long', float: 'double' }[key.attrType] || key.attrType;
+  return parseScalar(text, type);
+}
+
+function parseGraphML(text) {
+  const doc = new DOMParser({ onError: () => {} }).parseFromString(text, 'text/xml');
+  if (!doc.documentElement || doc.documentElement.localName !== 'graphml') {
+    throw new Error('Not a GraphML document');
+  }
+
+  const keys = new Map(elementsByName(doc, 'key').map(key => [key.getAttribute('id'), {
+    name: key.getAttribute('attr.name'),
+    attrType: key.getAttribute('attr.type') || 'string',
+    list: key.getAttribute('attr.list') || null,
+    neo4jType: key.getAttribute('neo4j.type') || null
+  }]));
+
+  // The labels and label keys are reserved for node labels and relationship
+  // types; a property of that name has a key of its own
+  const reservedData = (element, keyId) =>
+    elementsByName(element, 'data').find(data => data.getAttribute('key') === keyId);
+
+  const readData = (element, reservedKeyId) => {
+    const properties = {};
+    for (const data of elementsByName(element, 'data')) {
+      if (data.getAttribute('key') === reservedKeyId) continue;
+      const key = keys.get(data.getAttribute('key'));
+      if (!key) continue;
+      properties[key.name] = parseGraphmlValue(data.textContent, key);
+    }
+    return properties;
+  };
+
+  // Our exports write the labels data as a JSON list; APOC and older exports
+  // as ":A:B"
+  const readLabels = node => {
+    const data = reservedData(node, 'labels');
+    const text = (data ? data.textContent : node.getAttribute('labels') || '').trim();
+    return text.startsWith('[') ? JSON.parse(text) : text.split(':').filter(Boolean);
+  };
+
+  const nodes = elementsByName(doc, 'node').map(node => ({
+    id: node.getAttribute('id'),
+    labels: readLabels(node),
+    properties: readData(node, 'labels')
+  }));
+
+  const relationships = elementsByName(doc, 'edge').map(edge => {
+    const data = reservedData(edge, 'label');
+    return {
+      type: data ? data.textContent : edge.getAttribute('label'),
+      start: edge.getAttribute('source'),
+      end: edge.getAttribute('target'),
+      properties: readData(edge, 'label')
+    };
+  });
+
+  return { nodes, relationships };
+}
+
+function readGraphFile(file, format = detectFormat(file)) {
+  switch (format) {
+    case 'json':
+      return parseJsonGraph(fs.readFileSync(file, 'utf8'));
+    case 'csv':
+      return readCsvGraph(file);
+    case 'graphml':
+      return parseGraphML(fs.readFileSync(file, 'utf8'));
+    default:
+      throw new Error(`Unknown import format: ${format} (expected json, csv or graphml)`);
+  }
+}
+
+// Import
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Create the graph's nodes and relationships. Nodes are tagged with a
+// temporary :__Import label and id so relationships can find their endpoints;
+// both are removed at the end.
+async function importGraph(session, graph, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const stats = { nodes: 0, relationships: 0, skippedRelationships: 0 };
+
+  await session.run('CREATE INDEX import_id_index IF NOT EXISTS FOR (n:__Import) ON (n.__importId)');
+  await session.run('CALL db.awaitIndexes()');
+
+  try {
+    // Labels cannot be parameters, so nodes are created per label combination
+    const byLabels = groupBy(graph.nodes, node => JSON.stringify([...node.labels].sort()));
+    for (const [key, nodes] of byLabels) {
+      const labels = ['__Import', ...JSON.parse(key)];
+      for (const batch of batches(nodes, batchSize)) {
+        const result = await session.executeWrite(tx => tx.run(`
+          UNWIND $rows AS row
+          CREATE (n${labelExpression(labels)})
+          SET n = row.properties, n.__importId = row.id
+          RETURN count(n) AS count
+        `, { rows: batch.map(node => ({ id: String(node.id), properties: node.properties })) }));
+        stats.nodes += result.records[0].get('count').toNumber();
+      }
+    }
+
+    const byType = groupBy(graph.relationships, rel => rel.type);
+    for (const [type, relationships] of byType) {
+      for (const batch of batches(relationships, batchSize)) {
+        const result = await session.executeWrite(tx => tx.run(`
+          UNWIND $rows AS row
+          MATCH (a:__Import {__importId: row.start})
+          MATCH (b:__Import {__importId: row.end})
+          CREATE (a)-[r:${escapeIdentifier(type, 'relationship type')}]->(b)
+          SET r = row.properties
+          RETURN count(r) AS count
+        `, {
+          rows: batch.map(rel => ({ start: String(rel.start), end: String(rel.end), properties: rel.properties }))
+        }));
+        const count = result.records[0].get('count').toNumber();
+        stats.relationships += count;
+        stats.skippedRelationships += batch.length - count;
+      }
+    }
+  } finally {
+    await session.run(`
+      MATCH (n:__Import)
+      CALL { WITH n REMOVE n:__Import, n.__importId } IN TRANSACTIONS OF ${batchSize} ROWS
+    `);
+    await session.run('DROP INDEX import_id_index IF EXISTS');
+  }
+
+  return stats;
+}
+
+async function importFile(session, file, { format, batchSize } = {}) {
+  const resolved = detectFormat(file, format);
+  const graph = readGraphFile(file, resolved);
+  const stats = await importGraph(session, graph, { batchSize });
+  return { format: resolved, file, ...stats };
+}
+
+export {
+  parseJsonGraph,
+  parseCsv,
+  readCsvGraph,
+  parseGraphML,
+  readGraphFile,
+  importGraph,
+  importFile
+};
@@ -0,0 +1,163 @@
+import neo4j from 'neo4j-driver';
+
+// Type-preserving conversion of Neo4j property values to and from text, shared
+// by the graph exporter and importer. Type names follow neo4j-admin's CSV
+// header types: long, double, boolean, string, date, localtime, time,
+// localdatetime, datetime, duration, point, and arrays such as long[].
+
+const {
+  Date: Neo4jDate,
+  LocalTime,
+  Time,
+  LocalDateTime,
+  DateTime,
+  Duration,
+  Point
+} = neo4j.types;
+
+function scalarType(value) {
+  if (neo4j.isInt(value)) return 'long';
+  if (typeof value === 'number') return 'double';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'string') return 'string';
+  if (neo4j.isDate(value)) return 'date';
+  if (neo4j.isLocalTime(value)) return 'localtime';
+  if (neo4j.isTime(value)) return 'time';
+  if (neo4j.isLocalDateTime(value)) return 'localdatetime';
+  if (neo4j.isDateTime(value)) return 'datetime';
+  if (neo4j.isDuration(value)) return 'duration';
+  if (neo4j.isPoint(value)) return 'point';
+  throw new Error(`Unsupported property value: ${value}`);
+}
+
+// Type name of a property value; empty arrays are treated as string[]
+function valueType(value) {
+  if (Array.isArray(value)) {
+    return `${value.length > 0 ? scalarType(value[0]) : 'string'}[]`;
+  }
+  return scalarType(value);
+}
+
+// Text form of a scalar value of the given type
+function formatScalar(value, type = scalarType(value)) {
+  if (type === 'point') {
+    const point = { srid: neo4j.integer.toNumber(value.srid), x: value.x, y: value.y };
+    if (value.z !== undefined) point.z = value.z;
+    return JSON.stringify(point);
+  }
+  return value.toString();
+}
+
+function int(value) {
+  return parseInt(value || '0', 10);
+}
+
+// Fractional seconds as nanoseconds: ".5" -> 500000000
+function nanos(fraction) {
+  return fraction ? int(fraction.substring(1).padEnd(9, '0').substring(0, 9)) : 0;
+}
+
+const TIME = '(\\d{2}):(\\d{2})(?::(\\d{2})(\\.\\d+)?)?';
+const OFFSET = '(Z|[+-]\\d{2}:?\\d{2})';
+
+function offsetSeconds(offset) {
+  if (offset === 'Z') return 0;
+  const match = offset.match(/^([+-])(\d{2}):?(\d{2})$/);
+  const seconds = int(match[2]) * 3600 + int(match[3]) * 60;
+  return match[1] === '-' ? -seconds : seconds;
+}
+
+function parseDuration(text) {
+  const match = text.match(/^P(?:(-?\d+)Y)?(?:(-?\d+)M)?(?:(-?\d+)W)?(?:(-?\d+)D)?(?:T(?:(-?\d+)H)?(?:(-?\d+)M)?(?:(-?\d+)(\.\d+)?S)?)?$/);
+  if (!match) throw new Error(`Invalid duration: ${text}`);
+  const [, years, months, weeks, days, hours, minutes, seconds, fraction] = match;
+  const negative = seconds && seconds.startsWith('-');
+  return new Duration(
+    int(years) * 12 + int(months),
+    int(weeks) * 7 + int(days),
+    int(hours) * 3600 + int(minutes) * 60 + int(seconds),
+    negative ? -nanos(fraction) : nanos(fraction)
+  );
+}
+
+// Driver value of the given scalar type from its text form
+function parseScalar(text, type) {
+  let match;
+  switch (type) {
+    case 'int':
+    case 'long':
+      return neo4j.int(text);
+    case 'float':
+    case 'double':
+      return parseFloat(text);
+    case 'boolean':
+      return text.toLowerCase() === 'true';
+    case 'string':
+      return text;
+    case 'date':
+      match = text.match(/^(-?\d{4,})-(\d{2})-(\d{2})$/);
+      if (!match) break;
+      return new Neo4jDate(int(match[1]), int(match[2]), int(match[3]));
+    case 'localtime':
+      match = text.match(new RegExp(`^${TIME}$`));
+      if (!match) break;
+      return new LocalTime(int(match[1]), int(match[2]), int(match[3]), nanos(match[4]));
+    case 'time':
+      match = text.match(new RegExp(`^${TIME}${OFFSET}$`));
+      if (!match) break;
+      return new Time(int(match[1]), int(match[2]), int(match[3]), nanos(match[4]), offsetSeconds(match[5]));
+    case 'localdatetime':
+      match = text.match(new RegExp(`^(-?\\d{4,})-(\\d{2})-(\\d{2})T${TIME}$`));
+      if (!match) break;
+      return new LocalDateTime(int(match[1]), int(match[2]), int(match[3]),
+        int(match[4]), int(match[5]), int(match[6]), nanos(match[7]));
+    case 'datetime':
+      match = text.match(new RegExp(`^(-?\\d{4,})-(\\d{2})-(\\d{2})T${TIME}${OFFSET}?(?:\\[([^\\]]+)\\])?$`));
+      if (!match || (!match[8] && !match[9])) break;
+      return new DateTime(int(match[1]), int(match[2]), int(match[3]),
+        int(match[4]), int(match[5]), int(match[6]), nanos(match[7]),
+        match[9] ? undefined : offsetSeconds(match[8]),
+        match[9]);
+    case 'duration':
+      return parseDuration(text);
+    case 'point': {
+      const point = JSON.parse(text);
+      return new Point(neo4j.int(point.srid), point.x, point.y, point.z);
+    }
+    default:
+      throw new Error(`Unknown property type: ${type}`);
+  }
+  throw new Error(`Invalid ${type} value: ${text}`);
+}
+
+// JSON-safe encoding: strings, booleans and doubles stay native; other types
+// become { "$type": "long", "value": "42" }
+function encodeJsonValue(value) {
+  if (Array.isArray(value)) return value.map(encodeJsonValue);
+  const type = scalarType(value);
+  if (type === 'string' || type === 'boolean' || type === 'double') return value;
+  return { $type: type, value: formatScalar(value, type) };
+}
+
+function decodeJsonValue(value) {
+  if (Array.isArray(value)) return value.map(decodeJsonValue);
+  if (value !== null && typeof value === 'object') {
+    if (!value.$type) throw new Error(`Invalid encoded property value: ${JSON.stringify(value)}`);
+    return parseScalar(value.value, value.$type);
+  }
+  return value;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+export {
+  scalarType,
+  valueType,
+  formatScalar,
+  parseScalar,
+  encodeJsonValue,
+  decodeJsonValue,
+  mapValues
+};
@@ -0,0 +1,561 @@
+import neo4j from 'neo4j-driver';
+import fs from 'fs';
+import path from 'path';
+import { readGraph } from './graph-export.js';
+import { serialize } from './output.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+
+// Writes a graph as a single self-contained HTML file: an interactive
+// force-directed layout, colored by label, with property tooltips, label and
+// relationship type filters and search. The page needs no server, network
+// access or Neo4j Browser, so it can be mailed around or opened offline.
+//
+//   node graph-visualize.js <movies|users|research> [--out file.html] [--limit n]
+//   node graph-visualize.js --query 'MATCH p=(:Person)-[:ACTED_IN]->(:Movie) RETURN p' [--out file.html]
+
+const DEFAULT_LIMIT = 300;
+
+// Named views: a query returning nodes, relationships or paths, with $limit
+// bounding the anchor nodes
+const VIEWS = {
+  movies: {
+    title: 'Movie graph',
+    query: `
+      MATCH (m:Movie) WITH m LIMIT $limit
+      OPTIONAL MATCH path = (:Person)-[]->(m)
+      RETURN m, collect(path) AS paths
+    `
+  },
+  users: {
+    title: 'User and product graph',
+    query: `
+      MATCH (u:User) WITH u LIMIT $limit
+      OPTIONAL MATCH path = (u)-[:PURCHASED|FOLLOWS]->()
+      RETURN u, collect(path) AS paths
+    `
+  },
+  research: {
+    title: 'Research network',
+    query: `
+      MATCH (p:Paper) WITH p LIMIT $limit
+      OPTIONAL MATCH authored = (:Author)-[:AUTHORED]->(p)
+      OPTIONAL MATCH cites = (p)-[:CITES]->(:Paper)
+      RETURN p, collect(DISTINCT authored) AS authored, collect(DISTINCT cites) AS cites
+    `
+  }
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JSON that is safe inside a <script> element: no "</script>" can end it early
+function embedJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+const PAGE_STYLE = `
+  * { box-sizing: border-box; }
+  html, body { margin: 0; height: 100%; font: 13px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; color: #222; }
+  body { display: flex; flex-direction: column; }
+  header { display: flex; flex-wrap: wrap; gap: 8px 16px; align-items: center; padding: 8px 12px; border-bottom: 1px solid #ddd; background: #fafafa; }
+  header h1 { font-size: 15px; margin: 0; }
+  header input[type=search] { width: 220px; padding: 4px 6px; }
+  fieldset { border: none; margin: 0; padding: 0; display: flex; flex-wrap: wrap; gap: 4px 10px; align-items: center; }
+  legend { float: left; font-weight: 600; margin-right: 4px; padding: 0; }
+  label { cursor: pointer; white-space: nowrap; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 3px; vertical-align: -1px; }
+  #stats { color: #666; margin-left: auto; }
+  #graph { flex: 1; width: 100%; background: #fff; cursor: grab; }
+  #graph.panning { cursor: grabbing; }
+  .node circle { stroke: #fff; stroke-width: 1.5px; cursor: pointer; }
+  .node text { font-size: 10px; pointer-events: none; fill: #333; }
+  .link line { stroke: #aaa; stroke-width: 1.2px; }
+  .link text { font-size: 8px; fill: #888; pointer-events: none; }
+  .link:hover line { stroke: #555; stroke-width: 2.5px; }
+  .hidden { display: none; }
+  .dimmed { opacity: 0.12; }
+  .match circle { stroke: #222; stroke-width: 3px; }
+  .hide-link-labels .link text { display: none; }
+  #tooltip { position: fixed; max-width: 420px; max-height: 60vh; overflow: auto; padding: 8px 10px; background: #fff; border: 1px solid #ccc; border-radius: 4px; box-shadow: 0 2px 8px rgba(0,0,0,.15); pointer-events: none; }
+  #tooltip h2 { font-size: 13px; margin: 0 0 4px; }
+  #tooltip table { border-collapse: collapse; }
+  #tooltip td { vertical-align: top; padding: 1px 6px 1px 0; word-break: break-word; }
+  #tooltip td:first-child { color: #666; white-space: nowrap; }
+  #empty { position: absolute; top: 50%; width: 100%; text-align: center; color: #888; }
+`;
+
+// Browser code; kept free of backticks and template placeholders so it can
+// live in a template literal
+const PAGE_SCRIPT = String.raw`
+(function () {
+  var data = JSON.parse(document.getElementById('graph-data').textContent);
+  var PALETTE = ['#4C8EDA', '#F79767', '#57C7E3', '#F16667', '#8DCC93', '#D9C8AE', '#C990C0', '#FFC454', '#DA7194', '#569480', '#848484', '#ECB5C9'];
+  var CAPTION_KEYS = ['name', 'title', 'paperKey', 'email', 'authorId'];
+  var LINK_DISTANCE = 90, LINK_STRENGTH = 0.4, CHARGE = 250, GRAVITY = 0.03, DECAY = 0.6, MAX_REPULSION_DISTANCE = 600;
+  var SVG = 'http://www.w3.org/2000/svg';
+
+  var svg = document.getElementById('graph');
+  var viewport = document.getElementById('viewport');
+  var tooltip = document.getElementById('tooltip');
+  var search = document.getElementById('search');
+  var stats = document.getElementById('stats');
+
+  function svgElement(name, attributes, parent) {
+    var element = document.createElementNS(SVG, name);
+    Object.keys(attributes || {}).forEach(function (key) { element.setAttribute(key, attributes[key]); });
+    if (parent) parent.appendChild(element);
+    return element;
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function valueText(value) {
+    var text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 300 ? text.slice(0, 300) + '…' : text;
+  }
+
+  function caption(node) {
+    for (var i = 0; i < CAPTION_KEYS.length; i++) {
+      var value = node.properties[CAPTION_KEYS[i]];
+      if (value !== undefined && value !== null) {
+        var text = String(value);
+        return text.length > 28 ? text.slice(0, 27) + '…' : text;
+      }
+    }
+    return node.labels[0] || '';
+  }
+
+  // Model
+  var nodesById = {};
+  var nodes = data.nodes.map(function (node, i) {
+    var angle = i * 2.399963, radius = 12 * Math.sqrt(i + 1);
+    var model = {
+      id: node.id, labels: node.labels, properties: node.properties, label: node.labels[0] || '(no label)',
+      x: radius * Math.cos(angle), y: radius * Math.sin(angle), vx: 0, vy: 0,
+      degree: 0, fixed: false, visible: true, neighbors: {}
+    };
+    nodesById[node.id] = model;
+    return model;
+  });
+  var links = data.relationships.filter(function (rel) {
+    return nodesById[rel.start] && nodesById[rel.end];
+  }).map(function (rel) {
+    var source = nodesById[rel.start], target = nodesById[rel.end];
+    source.degree++;
+    target.degree++;
+    source.neighbors[target.id] = true;
+    target.neighbors[source.id] = true;
+    return { id: rel.id, type: rel.type, properties: rel.properties, source: source, target: target, visible: true };
+  });
+
+  function distinct(values) {
+    return values.filter(function (value, i) { return values.indexOf(value) === i; }).sort();
+  }
+  var labels = distinct(nodes.map(function (node) { return node.label; }));
+  var types = distinct(links.map(function (link) { return link.type; }));
+  var colors = {};
+  labels.forEach(function (label, i) { colors[label] = PALETTE[i % PALETTE.length]; });
+
+  // Drawing
+  svgElement('marker', { id: 'arrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 6, markerHeight: 6, orient: 'auto' },
+    svg.querySelector('defs')).appendChild(svgElement('path', { d: 'M0,0 L10,5 L0,10 z', fill: '#aaa' }));
+  var linkLayer = document.getElementById('links');
+  var nodeLayer = document.getElementById('nodes');
+
+  links.forEach(function (link) {
+    link.element = svgElement('g', { 'class': 'link' }, linkLayer);
+    link.line = svgElement('line', { 'marker-end': 'url(#arrow)' }, link.element);
+    link.text = svgElement('text', { 'text-anchor': 'middle' }, link.element);
+    link.text.textContent = link.type;
+  });
+  nodes.forEach(function (node) {
+    node.radius = 7 + Math.min(18, 2.2 * Math.sqrt(node.degree));
+    node.element = svgElement('g', { 'class': 'node' }, nodeLayer);
+    svgElement('circle', { r: node.radius, fill: colors[node.label] }, node.element);
+    var text = svgElement('text', { x: node.radius + 3, y: 3 }, node.element);
+    text.textContent = caption(node);
+  });
+
+  function render() {
+    links.forEach(function (link) {
+      if (!link.visible) return;
+      var s = link.source, t = link.target;
+      var dx = t.x - s.x, dy = t.y - s.y, d = Math.sqrt(dx * dx + dy * dy) || 1;
+      var ux = dx / d, uy = dy / d;
+      link.line.setAttribute('x1', s.x + ux * s.radius);
+      link.line.setAttribute('y1', s.y + uy * s.radius);
+      link.line.setAttribute('x2', t.x - ux * (t.radius + 2));
+      link.line.setAttribute('y2', t.y - uy * (t.radius + 2));
+      link.text.setAttribute('x', (s.x + t.x) / 2);
+      link.text.setAttribute('y', (s.y + t.y) / 2 - 2);
+    });
+    nodes.forEach(function (node) {
+      if (node.visible) node.element.setAttribute('transform', 'translate(' + node.x + ',' + node.y + ')');
+    });
+  }
+
+  // Force simulation: pairwise repulsion, springs along relationships and a
+  // weak pull to the center, cooling until the layout settles
+  var alpha = 1, running = false;
+
+  function tick() {
+    var visible = nodes.filter(function (node) { return node.visible; });
+    for (var i = 0; i < visible.length; i++) {
+      var a = visible[i];
+      for (var j = i + 1; j < visible.length; j++) {
+        var b = visible[j];
+        var dx = b.x - a.x, dy = b.y - a.y, d2 = dx * dx + dy * dy;
+        if (d2 > MAX_REPULSION_DISTANCE * MAX_REPULSION_DISTANCE) continue;
+        if (d2 < 1) { dx = Math.random() - 0.5; dy = Math.random() - 0.5; d2 = 1; }
+        var k = CHARGE * alpha / d2;
+        a.vx -= dx * k; a.vy -= dy * k;
+        b.vx += dx * k; b.vy += dy * k;
+      }
+    }
+    links.forEach(function (link) {
+      if (!link.visible) return;
+      var s = link.source, t = link.target;
+      var dx = t.x - s.x, dy = t.y - s.y, d = Math.sqrt(dx * dx + dy * dy) || 1;
+      var k = (d - LINK_DISTANCE) / d * LINK_STRENGTH * alpha / 2;
+      s.vx += dx * k; s.vy += dy * k;
+      t.vx -= dx * k; t.vy -= dy * k;
+    });
+    visible.forEach(function (node) {
+      node.vx -= node.x * GRAVITY * alpha;
+      node.vy -= node.y * GRAVITY * alpha;
+      node.vx *= DECAY;
+      node.vy *= DECAY;
+      if (!node.fixed) {
+        node.x += node.vx;
+        node.y += node.vy;
+      }
+    });
+    alpha *= 0.985;
+  }
+
+  function step() {
+    tick();
+    render();
+    if (alpha > 0.005) {
+      requestAnimationFrame(step);
+    } else {
+      running = false;
+    }
+  }
+
+  function restart(heat) {
+    alpha = Math.max(alpha, heat);
+    if (!running) {
+      running = true;
+      requestAnimationFrame(step);
+    }
+  }
+
+  // Pan and zoom
+  var view = { x: 0, y: 0, k: 1 };
+  function applyView() {
+    viewport.setAttribute('transform', 'translate(' + view.x + ',' + view.y + ') scale(' + view.k + ')');
+    svg.classList.toggle('hide-link-labels', view.k < 0.8);
+  }
+  function center() {
+    var rect = svg.getBoundingClientRect();
+    view.x = rect.width / 2;
+    view.y = rect.height / 2;
+    applyView();
+  }
+  function toGraph(event) {
+    var rect = svg.getBoundingClientRect();
+    return { x: (event.clientX - rect.left - view.x) / view.k, y: (event.clientY - rect.top - view.y) / view.k };
+  }
+
+  svg.addEventListener('wheel', function (event) {
+    event.preventDefault();
+    var rect = svg.getBoundingClientRect();
+    var px = event.clientX - rect.left, py = event.clientY - rect.top;
+    var k = Math.min(8, Math.max(0.1, view.k * Math.exp(-event.deltaY * 0.0015)));
+    view.x = px - (px - view.x) * k / view.k;
+    view.y = py - (py - view.y) * k / view.k;
+    view.k = k;
+    applyView();
+  }, { passive: false });
+
+  var dragging = null, panning = null, moved = false;
+  svg.addEventListener('pointerdown', function (event) {
+    moved = false;
+    var target = event.target.closest('.node');
+    if (target) {
+      dragging = nodes.filter(function (node) { return node.element === target; })[0];
+      dragging.fixed = true;
+    } else {
+      panning = { x: event.clientX - view.x, y: event.clientY - view.y };
+      svg.classList.add('panning');
+    }
+  });
+  // Moves and releases are tracked on the window, so a drag continues
+  // outside the drawing
+  window.addEventListener('pointermove', function (event) {
+    if (dragging) {
+      var point = toGraph(event);
+      dragging.x = point.x;
+      dragging.y = point.y;
+      moved = true;
+      restart(0.3);
+    } else if (panning) {
+      view.x = event.clientX - panning.x;
+      view.y = event.clientY - panning.y;
+      moved = true;
+      applyView();
+    }
+  });
+  window.addEventListener('pointerup', function () {
+    if (dragging) {
+      // A dragged node stays where it was dropped; a click focuses it
+      if (!moved) {
+        dragging.fixed = false;
+        focus(dragging);
+      }
+    } else if (panning && !moved) {
+      focus(null);
+    }
+    dragging = null;
+    panning = null;
+    svg.classList.remove('panning');
+  });
+  svg.addEventListener('dblclick', function (event) {
+    var target = event.target.closest('.node');
+    if (!target) return;
+    nodes.forEach(function (node) { if (node.element === target) node.fixed = false; });
+    restart(0.3);
+  });
+
+  // Tooltips
+  function showTooltip(event, heading, properties) {
+    var rows = Object.keys(properties).sort().map(function (key) {
+      return '<tr><td>' + escapeHtml(key) + '</td><td>' + escapeHtml(valueText(properties[key])) + '</td></tr>';
+    }).join('');
+    tooltip.innerHTML = '<h2>' + heading + '</h2>' + (rows ? '<table>' + rows + '</table>' : '<em>No properties</em>');
+    tooltip.hidden = false;
+    var x = event.clientX + 14, y = event.clientY + 14;
+    var width = tooltip.offsetWidth, height = tooltip.offsetHeight;
+    tooltip.style.left = Math.min(x, window.innerWidth - width - 8) + 'px';
+    tooltip.style.top = Math.min(y, window.innerHeight - height - 8) + 'px';
+  }
+  nodes.forEach(function (node) {
+    node.element.addEventListener('pointerenter', function (event) {
+      if (dragging || panning) return;
+      var heading = node.labels.map(function (label) {
+        return '<span class="swatch" style="background:' + (colors[label] || '#ccc') + '"></span>:' + escapeHtml(label);
+      }).join(' ');
+      showTooltip(event, heading, node.properties);
+    });
+    node.element.addEventListener('pointerleave', function () { tooltip.hidden = true; });
+  });
+  links.forEach(function (link) {
+    link.element.addEventListener('pointerenter', function (event) {
+      if (dragging || panning) return;
+      showTooltip(event, '[:' + escapeHtml(link.type) + '] ' + escapeHtml(caption(link.source)) + ' → ' + escapeHtml(caption(link.target)), link.properties);
+    });
+    link.element.addEventListener('pointerleave', function () { tooltip.hidden = true; });
+  });
+
+  // Filters, search and focus
+  var hiddenLabels = {}, hiddenTypes = {}, focused = null;
+
+  function buildFilter(container, values, counts, hidden, swatches) {
+    values.forEach(function (value) {
+      var label = document.createElement('label');
+      var box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = true;
+      box.addEventListener('change', function () {
+        hidden[value] = !box.checked;
+        update();
+        restart(0.2);
+      });
+      label.appendChild(box);
+      if (swatches) {
+        var swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = colors[value];
+        label.appendChild(swatch);
+      }
+      label.appendChild(document.createTextNode(value + ' (' + counts[value] + ')'));
+      container.appendChild(label);
+    });
+    container.hidden = values.length === 0;
+  }
+
+  function countBy(items, key) {
+    var counts = {};
+    items.forEach(function (item) { counts[item[key]] = (counts[item[key]] || 0) + 1; });
+    return counts;
+  }
+
+  function matches(node, query) {
+    if (node.labels.join(' ').toLowerCase().indexOf(query) !== -1) return true;
+    return Object.keys(node.properties).some(function (key) {
+      return valueText(node.properties[key]).toLowerCase().indexOf(query) !== -1;
+    });
+  }
+
+  function focus(node) {
+    focused = focused === node ? null : node;
+    update();
+  }
+
+  function update() {
+    var query = search.value.trim().toLowerCase();
+    var matched = 0;
+    nodes.forEach(function (node) {
+      node.visible = !hiddenLabels[node.label];
+      var isMatch = query !== '' && node.visible && matches(node, query);
+      if (isMatch) matched++;
+      var dimmed = (query !== '' && !isMatch) ||
+        (focused !== null && node !== focused && !focused.neighbors[node.id]);
+      node.element.classList.toggle('hidden', !node.visible);
+      node.element.classList.toggle('match', isMatch);
+      node.element.classList.toggle('dimmed', dimmed);
+    });
+    var shownLinks = 0;
+    links.forEach(function (link) {
+      link.visible = !hiddenTypes[link.type] && link.source.visible && link.target.visible;
+      if (link.visible) shownLinks++;
+      var dimmed = query !== '' ||
+        (focused !== null && link.source !== focused && link.target !== focused);
+      link.element.classList.toggle('hidden', !link.visible);
+      link.element.classList.toggle('dimmed', dimmed);
+    });
+    var shownNodes = nodes.filter(function (node) { return node.visible; }).length;
+    stats.textContent = shownNodes + ' of ' + nodes.length + ' nodes, ' + shownLinks + ' of ' + links.length +
+      ' relationships' + (query ? ' · ' + matched + ' matching' : '');
+    render();
+  }
+
+  buildFilter(document.getElementById('label-filter'), labels, countBy(nodes, 'label'), hiddenLabels, true);
+  buildFilter(document.getElementById('type-filter'), types, countBy(links, 'type'), hiddenTypes, false);
+  search.addEventListener('input', update);
+  search.addEventListener('keydown', function (event) {
+    // Enter centers the view on the first match
+    if (event.key !== 'Enter') return;
+    var query = search.value.trim().toLowerCase();
+    var first = nodes.filter(function (node) { return node.visible && query && matches(node, query); })[0];
+    if (!first) return;
+    var rect = svg.getBoundingClientRect();
+    view.x = rect.width / 2 - first.x * view.k;
+    view.y = rect.height / 2 - first.y * view.k;
+    applyView();
+  });
+  window.addEventListener('resize', applyView);
+
+  document.getElementById('empty').hidden = nodes.length > 0;
+  center();
+  update();
+  restart(1);
+})();
+`;
+
+// The HTML page for a graph from readGraph. options: title, source (shown
+// under the title, e.g. the view name or query)
+function toHtml(graph, { title = 'Graph', source = '' } = {}) {
+  const payload = {
+    nodes: graph.nodes.map(node => ({ id: node.id, labels: node.labels, properties: serialize(node.properties) })),
+    relationships: graph.relationships.map(rel => ({ ...rel, properties: serialize(rel.properties) }))
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<header>
+  <h1 title="${escapeHtml(source)}">${escapeHtml(title)}</h1>
+  <input type="search" id="search" placeholder="Search labels and properties" aria-label="Search">
+  <fieldset id="label-filter"><legend>Labels</legend></fieldset>
+  <fieldset id="type-filter"><legend>Relationships</legend></fieldset>
+  <span id="stats"></span>
+</header>
+<svg id="graph" xmlns="http://www.w3.org/2000/svg">
+  <defs></defs>
+  <g id="viewport"><g id="links"></g><g id="nodes"></g></g>
+</svg>
+<div id="empty" hidden>The query returned no nodes.</div>
+<div id="tooltip" hidden></div>
+<script type="application/json" id="graph-data">${embedJson(payload)}</script>
+<script>${PAGE_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// Write the HTML visualization of a named view or a query to `out`.
+// options: view, query, params, limit (for views), title
+async function visualize(session, out, { view, query, params = {}, limit = DEFAULT_LIMIT, title } = {}) {
+  let scope;
+  if (view) {
+    const definition = VIEWS[view];
+    if (!definition) throw new Error(`Unknown view: ${view} (expected ${Object.keys(VIEWS).join(', ')})`);
+    scope = { query: definition.query, params: { limit: neo4j.int(limit) } };
+    title = title || definition.title;
+  } else if (query) {
+    scope = { query, params };
+  } else {
+    throw new Error('visualize needs a view or a query');
+  }
+
+  const graph = await readGraph(session, scope);
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  fs.writeFileSync(out, toHtml(graph, { title: title || 'Graph', source: view ? `view: ${view}` : query }));
+  return { file: out, nodes: graph.nodes.length, relationships: graph.relationships.length };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const optionNames = ['--out', '--limit', '--query', '--title'];
+  const [view] = args.filter((arg, i) => !arg.startsWith('--') && !optionNames.includes(args[i - 1]));
+  const query = option('--query');
+  const limit = option('--limit') !== undefined ? parseInt(option('--limit'), 10) : DEFAULT_LIMIT;
+
+  if ((!view && !query) || (view && !VIEWS[view]) || !(limit > 0)) {
+    console.error(`Usage: node graph-visualize.js <${Object.keys(VIEWS).join('|')}> [--out file.html] [--limit n]`);
+    console.error('       node graph-visualize.js --query <cypher> [--out file.html] [--title text]');
+    process.exitCode = 2;
+    return;
+  }
+
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+
+  try {
+    const out = option('--out') || `${view || 'graph'}.html`;
+    const result = await visualize(session, out, { view, query, limit, title: option('--title') });
+    console.log(`🕸️  Wrote ${result.nodes} nodes and ${result.relationships} relationships to ${result.file}`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export { VIEWS, toHtml, visualize };
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,217 @@
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+import fs from 'fs';
+import path from 'path';
+import { hashFile } from './ingest-manifest.js';
+
+// HTTP client for the GROBID service. Requests go through a pool no larger
+// than the server's max.connections (GROBID answers 503 when it is full), are
+// retried with exponential backoff on 503s, timeouts and dropped connections,
+// and TEI responses are cached on disk by PDF hash so a PDF is only sent to
+// GROBID once per set of options.
+
+const DEFAULT_URL = 'http://localhost:8070';
+const DEFAULT_CONCURRENCY = 10; // GROBID's default org.grobid.max.connections
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_RETRIES = 5;
+const DEFAULT_BACKOFF_MS = 1000;
+const DEFAULT_CACHE_DIR = '.grobid-cache';
+
+// Request options GROBID accepts on its process* endpoints
+const GROBID_OPTIONS = ['consolidateHeader', 'consolidateCitations', 'includeRawCitations'];
+
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+class GrobidError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'GrobidError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// GROBID options are 0/1 flags (consolidation also accepts 2, DOI-only);
+// true and false are accepted for 1 and 0
+function optionValue(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (value === true || value === 'true') return 1;
+  if (value === false || value === 'false') return 0;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new Error(`Invalid GROBID option value: ${value}`);
+  return number;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class GrobidClient {
+  // Every option falls back to an environment variable, then a default:
+  //   url (GROBID_URL), concurrency (GROBID_MAX_CONNECTIONS),
+  //   timeoutMs (GROBID_TIMEOUT_MS), retries (GROBID_RETRIES),
+  //   cacheDir (GROBID_CACHE_DIR; false disables the cache),
+  //   consolidateHeader / consolidateCitations / includeRawCitations
+  //   (GROBID_CONSOLIDATE_HEADER, ...; GROBID's defaults when unset)
+  constructor(options = {}) {
+    this.url = (options.url || process.env.GROBID_URL || DEFAULT_URL).replace(/\/+$/, '');
+    this.concurrency = options.concurrency || envInt('GROBID_MAX_CONNECTIONS', DEFAULT_CONCURRENCY);
+    this.timeoutMs = options.timeoutMs || envInt('GROBID_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+    this.retries = options.retries !== undefined ? options.retries : envInt('GROBID_RETRIES', DEFAULT_RETRIES);
+    this.backoffMs = options.backoffMs || DEFAULT_BACKOFF_MS;
+    this.cacheDir = options.cacheDir !== undefined
+      ? options.cacheDir
+      : process.env.GROBID_CACHE_DIR || DEFAULT_CACHE_DIR;
+    this.options = {
+      consolidateHeader: optionValue(process.env.GROBID_CONSOLIDATE_HEADER),
+      consolidateCitations: optionValue(process.env.GROBID_CONSOLIDATE_CITATIONS),
+      includeRawCitations: optionValue(process.env.GROBID_INCLUDE_RAW_CITATIONS)
+    };
+    GROBID_OPTIONS.forEach(name => {
+      if (options[name] !== undefined) this.options[name] = optionValue(options[name]);
+    });
+
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  // Run fn once a pool slot is free
+  async withSlot(fn) {
+    if (this.active >= this.concurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.active++;
+    try {
+      return await fn();
+    } finally {
+      this.active--;
+      const next = this.waiting.shift();
+      if (next) next();
+    }
+  }
+
+  // { status, ok, body } with the whole exchange, body included, under the
+  // timeout; network failures and timeouts become retryable GrobidErrors
+  async request(endpoint, init = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const response = await fetch(`${this.url}/api/${endpoint}`, { ...init, signal: controller.signal });
+      return { status: response.status, ok: response.ok, body: await response.text() };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new GrobidError(`GROBID request timed out after ${this.timeoutMs} ms`, { retryable: true });
+      }
+      throw new GrobidError(`GROBID request failed: ${error.message}`, {
+        retryable: RETRYABLE_NETWORK_ERRORS.has(error.code)
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Retry retryable failures with exponential backoff and jitter
+  async withRetries(fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (!(error instanceof GrobidError) || !error.retryable || attempt >= this.retries) throw error;
+        const delay = this.backoffMs * 2 ** attempt * (1 + Math.random() / 2);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // True when GET /api/isalive answers (the same check as the docker-compose healthcheck)
+  async isAlive() {
+    try {
+      const response = await this.request('isalive');
+      return response.ok && response.body.trim() === 'true';
+    } catch {
+      return false;
+    }
+  }
+
+  async version() {
+    const response = await this.request('version');
+    if (!response.ok) throw new GrobidError(`GROBID API error: ${response.status}`, { status: response.status });
+    return response.body.trim();
+  }
+
+  // Options actually sent: explicit per-call values over the client's
+  resolveOptions(overrides = {}) {
+    const resolved = {};
+    for (const name of GROBID_OPTIONS) {
+      const value = overrides[name] !== undefined ? optionValue(overrides[name]) : this.options[name];
+      if (value !== undefined) resolved[name] = value;
+    }
+    return resolved;
+  }
+
+  // Cache files are named after the PDF hash, the endpoint and the options,
+  // since each combination produces different TEI
+  cachePath(contentHash, endpoint, options) {
+    const flags = GROBID_OPTIONS
+      .filter(name => options[name] !== undefined)
+      .map(name => `${name}=${options[name]}`)
+      .join(',');
+    return path.join(this.cacheDir, `${contentHash}.${endpoint}${flags ? `.${flags}` : ''}.tei.xml`);
+  }
+
+  // TEI for a PDF. options: fullText, consolidateHeader, consolidateCitations,
+  // includeRawCitations, contentHash (the PDF's SHA-256 if already known)
+  async processPdf(pdfPath, options = {}) {
+    if (!fs.existsSync(pdfPath)) {
+      throw new Error(`PDF file not found: ${pdfPath}`);
+    }
+
+    const endpoint = options.fullText ? 'processFulltextDocument' : 'processHeaderDocument';
+    const grobidOptions = this.resolveOptions(options);
+
+    let cacheFile = null;
+    if (this.cacheDir) {
+      const contentHash = options.contentHash || await hashFile(pdfPath);
+      cacheFile = this.cachePath(contentHash, endpoint, grobidOptions);
+      if (fs.existsSync(cacheFile)) {
+        return fs.readFileSync(cacheFile, 'utf8');
+      }
+    }
+
+    const tei = await this.withSlot(() => this.withRetries(async () => {
+      // The form streams the file, so it is rebuilt for every attempt
+      const form = new FormData();
+      form.append('input', fs.createReadStream(pdfPath));
+      for (const [name, value] of Object.entries(grobidOptions)) {
+        form.append(name, String(value));
+      }
+
+      const response = await this.request(endpoint, { method: 'POST', body: form });
+      if (response.status === 204) {
+        throw new GrobidError('GROBID extracted no content from the PDF', { status: 204 });
+      }
+      if (!response.ok) {
+        throw new GrobidError(`GROBID API error: ${response.status}`, {
+          status: response.status,
+          retryable: response.status === 503 || response.status === 429
+        });
+      }
+      return response.body;
+    }));
+
+    if (cacheFile) {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      // Write then rename, so an interrupted run never leaves a truncated entry
+      fs.writeFileSync(`${cacheFile}.tmp`, tei);
+      fs.renameSync(`${cacheFile}.tmp`, cacheFile);
+    }
+    return tei;
+  }
+}
+
+export { GrobidClient, GrobidError, GROBID_OPTIONS };
@@ -1,126 +1,148 @@
 import neo4j from 'neo4j-driver';
 import dotenv from 'dotenv';
-import fetch from 'node-fetch';
-import FormData from 'form-data';
 import fs from 'fs';
 import path from 'path';
+import { createHash } from 'crypto';
+import { StringDecoder } from 'string_decoder';
+import { parseTei } from './tei-parser.js';
+import { normalizeTitle, normalizeDoi, resolveReferences } from './reference-resolver.js';
+import { authorKey, toAuthor, resolveAuthorIds } from './author-disambiguation.js';
+import { IngestManifest, hashFile } from './ingest-manifest.js';
+import { GrobidClient } from './grobid-client.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+import { mapRecords, toPlain, toNumber } from './result-mapping.js';
+import { Paper, Author } from './models.js';
+import { storeOrganizations, rebuildAffiliations, organizationKeys, pruneOrganizations } from './organizations.js';
+import { readFixture } from './fixtures.js';
 
 // Load environment variables
 dotenv.config();
 
-const driver = neo4j.driver(
-  process.env.NEO4J_URI,
-  neo4j.auth.basic(process.env.NEO4J_USERNAME, process.env.NEO4J_PASSWORD)
-);
+// GROBID's batch clients name their output after the PDF: paper.tei.xml or
+// paper.grobid.tei.xml for paper.pdf
+const TEI_SUFFIX = /(\.grobid)?\.tei\.xml$/i;
+const TEI_END = /<\/(?:[\w-]+:)?TEI\s*>/;
 
-// GROBID service configuration
-const GROBID_URL = process.env.GROBID_URL || 'http://localhost:8070';
+function isTeiFile(file) {
+  return TEI_SUFFIX.test(file);
+}
+
+function isPdfFile(file) {
+  return file.toLowerCase().endsWith('.pdf');
+}
+
+// The name of the PDF a TEI file was produced from
+function pdfNameForTei(file) {
+  return path.basename(file).replace(TEI_SUFFIX, '.pdf');
+}
+
+function hashText(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// Split a stream of one or more concatenated TEI documents (such as
+// `cat *.tei.xml`) into documents; trailing text that is not a complete
+// document is yielded as is, so parsing reports it
+async function* teiDocuments(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  const take = () => {
+    const match = TEI_END.exec(buffer);
+    if (!match) return null;
+    const end = match.index + match[0].length;
+    const document = buffer.substring(0, end);
+    buffer = buffer.substring(end);
+    return document.substring(document.indexOf('<'));
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    let document;
+    while ((document = take()) !== null) yield document;
+  }
+  buffer += decoder.end();
+  let document;
+  while ((document = take()) !== null) yield document;
+  if (buffer.trim()) yield buffer.trim();
+}
 
 class ResearchGraphBuilder {
-  constructor() {
-    this.session = driver.session({ database: process.env.NEO4J_DATABASE });
+  // options.fullText: use processFulltextDocument instead of processHeaderDocument
+  // options.grobid: a shared GrobidClient, or options for a new one
+  // (concurrency, timeouts, consolidation, cache)
+  constructor(options = {}) {
+    this.session = openSession();
+    this.fullText = options.fullText || false;
+    this.grobid = options.grobid instanceof GrobidClient ? options.grobid : new GrobidClient(options.grobid);
   }
 
   async close() {
     await this.session.close();
-    await driver.close();
+    await closeDriver();
+  }
+
+  // Close only this builder's session, leaving the shared driver open
+  async release() {
+    await this.session.close();
   }
 
   // Check if GROBID service is available
   async checkGrobidService() {
-    try {
-      const response = await fetch(`${GROBID_URL}/api/version`);
-      if (response.ok) {
-        const data = await response.text();
-        console.log('✅ GROBID service is running:', data);
-        return true;
-      }
-    } catch (error) {
-      console.log('❌ GROBID service not available:', error.message);
-      console.log('💡 To start GROBID service, run:');
-      console.log('   docker run -t --rm -p 8070:8070 lfoppiano/grobid:0.8.0');
-      return false;
+    if (await this.grobid.isAlive()) {
+      const version = await this.grobid.version().catch(() => 'unknown version');
+      console.log('✅ GROBID service is running:', version);
+      return true;
     }
+    console.log(`❌ GROBID service not available at ${this.grobid.url}`);
+    console.log('💡 To start GROBID service, run:');
+    console.log('   docker run -t --rm -p 8070:8070 lfoppiano/grobid:0.8.0');
+    return false;
   }
 
-  // Process PDF with GROBID to extract metadata
-  async processPdfWithGrobid(pdfPath) {
+  // Process PDF with GROBID to extract metadata. Options are passed to
+  // GrobidClient.processPdf (consolidateHeader, consolidateCitations,
+  // includeRawCitations, contentHash). Returns null when GROBID fails.
+  async processPdfWithGrobid(pdfPath, { fullText = this.fullText, ...options } = {}) {
     if (!fs.existsSync(pdfPath)) {
       throw new Error(`PDF file not found: ${pdfPath}`);
     }
 
-    const form = new FormData();
-    form.append('input', fs.createReadStream(pdfPath));
-
     try {
-      const response = await fetch(`${GROBID_URL}/api/processHeaderDocument`, {
-        method: 'POST',
-        body: form
-      });
-
-      if (!response.ok) {
-        throw new Error(`GROBID API error: ${response.status}`);
-      }
-
-      const xmlData = await response.text();
+      const xmlData = await this.grobid.processPdf(pdfPath, { fullText, ...options });
       return this.parseGrobidXml(xmlData);
     } catch (error) {
-      console.error('Error processing PDF with GROBID:', error.message);
+      console.error(`Error processing ${path.basename(pdfPath)} with GROBID:`, error.message);
       return null;
     }
   }
 
-  // Simple XML parsing to extract key information
-  parseGrobidXml(xmlData) {
-    const paper = {
-      title: this.extractXmlValue(xmlData, '<title[^>]*>([^<]+)</title>'),
-      abstract: this.extractXmlValue(xmlData, '<abstract[^>]*>([^<]+)</abstract>'),
-      authors: this.extractAuthors(xmlData),
-      year: this.extractYear(xmlData),
-      doi: this.extractXmlValue(xmlData, '<idno type="DOI">([^<]+)</idno>'),
-      references: this.extractReferences(xmlData)
+  // Send PDFs ({ pdfPath, contentHash, ... }) to GROBID and yield
+  // { entry, paperData } or { entry, error } in input order. Up to twice the
+  // client's concurrency are requested ahead, so the GROBID pool stays busy
+  // while earlier papers are being stored. options.onStart(entry) is called
+  // as each request is sent.
+  async *processPdfs(entries, { fullText = this.fullText, onStart } = {}) {
+    const lookahead = this.grobid.concurrency * 2;
+    const pending = [];
+    const start = i => {
+      if (onStart) onStart(entries[i]);
+      pending[i] = this.grobid.processPdf(entries[i].pdfPath, { fullText, contentHash: entries[i].contentHash })
+        .then(xmlData => ({ paperData: this.parseGrobidXml(xmlData) }))
+        .catch(error => ({ error }));
     };
+    for (let i = 0; i < Math.min(lookahead, entries.length); i++) start(i);
 
-    return paper;
-  }
-
-  extractXmlValue(xml, pattern) {
-    const match = xml.match(new RegExp(pattern, 'i'));
-    return match ? match[1].trim() : null;
-  }
-
-  extractAuthors(xml) {
-    const authors = [];
-    const authorPattern = /<author[^>]*>.*?<persName[^>]*>.*?<forename[^>]*>([^<]*)<\/forename>.*?<surname[^>]*>([^<]*)<\/surname>.*?<\/persName>.*?<\/author>/g;
-    let match;
-    
-    while ((match = authorPattern.exec(xml)) !== null) {
-      const firstName = match[1].trim();
-      const lastName = match[2].trim();
-      if (firstName && lastName) {
-        authors.push(`${firstName} ${lastName}`);
-      }
+    for (let i = 0; i < entries.length; i++) {
+      const result = await pending[i];
+      pending[i] = null;
+      if (i + lookahead < entries.length) start(i + lookahead);
+      yield { entry: entries[i], ...result };
     }
-    
-    return authors;
-  }
-
-  extractYear(xml) {
-    const yearMatch = xml.match(/<date[^>]*when="(\d{4})[^"]*"/i);
-    return yearMatch ? parseInt(yearMatch[1]) : null;
   }
 
-  extractReferences(xml) {
-    // Simplified reference extraction - in real scenario, this would be more complex
-    const references = [];
-    const refPattern = /<biblStruct[^>]*>.*?<title[^>]*>([^<]+)<\/title>.*?<\/biblStruct>/g;
-    let match;
-    
-    while ((match = refPattern.exec(xml)) !== null) {
-      references.push(match[1].trim());
-    }
-    
-    return references.slice(0, 5); // Limit to first 5 references for demo
+  // Parse the TEI returned by GROBID (header or full text)
+  parseGrobidXml(xmlData) {
+    return parseTei(xmlData);
   }
 
   // Clear research data from Neo4j
@@ -128,112 +150,506 @@ class ResearchGraphBuilder {
     console.log('🧹 Clearing existing research data...');
     await this.session.run('MATCH (n:Paper) DETACH DELETE n');
     await this.session.run('MATCH (n:Author) DETACH DELETE n');
+    await this.session.run('MATCH (n:AuthorAlias) DETACH DELETE n');
     await this.session.run('MATCH (n:Reference) DETACH DELETE n');
+    await this.session.run('MATCH (n:Venue) DETACH DELETE n');
+    await this.session.run('MATCH (n:Institution) DETACH DELETE n');
   }
 
   // Store paper in Neo4j
-  async storePaper(paperData, filename) {
+  // Papers are keyed on DOI, or on the PDF content hash when there is no DOI,
+  // so storing the same paper again updates it in place
+  paperKey(paperData, contentHash) {
+    const doi = normalizeDoi(paperData.doi);
+    if (doi) return `doi:${doi}`;
+    if (contentHash) return `sha256:${contentHash}`;
+    return `title:${normalizeTitle(paperData.title)}`;
+  }
+
+  // Store paper in Neo4j. options.contentHash is the PDF hash; options.previousKey
+  // re-keys a paper whose key changed since it was last ingested; options.dataset
+  // tags the paper as part of a fixture dataset (see fixtures.js). Returns the
+  // paperKey, or null when the paper has no title.
+  async storePaper(paperData, filename, options = {}) {
+    const stored = await this.writePaper(paperData, filename, options);
+    return stored && stored.paperKey;
+  }
+
+  // storePaper, returning { paperKey, created } where created counts the
+  // papers (0 or 1), authors and references this write created
+  async writePaper(paperData, filename, options = {}) {
     if (!paperData.title) {
-      console.log(`⚠️  Skipping paper without title: ${filename}`);
-      return;
+      console.log(`⚠️  Skipping paper without title: ${filename || 'TEI document'}`);
+      return null;
     }
 
-    // Create paper node
-    const paperResult = await this.session.run(`
-      CREATE (p:Paper {
-        title: $title,
-        abstract: $abstract,
-        year: $year,
-        doi: $doi,
-        filename: $filename
-      })
-      RETURN p
-    `, {
-      title: paperData.title,
-      abstract: paperData.abstract,
-      year: paperData.year,
-      doi: paperData.doi,
-      filename: filename
+    const paperKey = this.paperKey(paperData, options.contentHash);
+    // sourceId is the author's own key; authorId the Author it resolves to
+    // after merges and splits (see resolveAuthorIds)
+    const authors = paperData.authors.map(toAuthor)
+      .map(author => ({ ...author, sourceId: authorKey(author), authorId: authorKey(author) }));
+    // Sample data lists references as plain titles
+    const references = paperData.references
+      .map(entry => typeof entry === 'string' ? { title: entry } : entry)
+      .map(reference => ({
+        title: reference.title,
+        authors: reference.authors && reference.authors.length > 0 ? reference.authors : null,
+        year: reference.year || null,
+        venue: reference.venue || null,
+        doi: reference.doi || null,
+        normalizedTitle: normalizeTitle(reference.title),
+        normalizedDoi: normalizeDoi(reference.doi)
+      }));
+
+    // Write the paper, its authors, references, venue and institutions in one transaction
+    const created = await this.session.executeWrite(async tx => {
+      // A fixture never takes over a paper that is real data or another dataset's
+      if (options.dataset) {
+        const existing = await tx.run(`
+          MATCH (p:Paper {paperKey: $paperKey})
+          WHERE p.dataset IS NULL OR p.dataset <> $dataset
+          RETURN p.dataset AS dataset
+        `, { paperKey, dataset: options.dataset });
+        if (existing.records.length > 0) {
+          const owner = existing.records[0].get('dataset');
+          throw new Error(`Paper ${paperKey} already exists ${owner ? `in dataset "${owner}"` : 'outside any dataset'}`);
+        }
+      }
+
+      if (options.previousKey && options.previousKey !== paperKey) {
+        await tx.run(`
+          MATCH (p:Paper {paperKey: $previousKey})
+          WHERE NOT EXISTS { MATCH (:Paper {paperKey: $paperKey}) }
+          SET p.paperKey = $paperKey
+        `, { previousKey: options.previousKey, paperKey });
+      }
+
+      // Authors dropped on re-ingestion still need their affiliations rebuilt
+      const previous = await tx.run(`
+        MATCH (:Paper {paperKey: $paperKey})<-[:AUTHORED]-(a:Author)
+        RETURN collect(a.authorId) AS authorIds
+      `, { paperKey });
+      const previousAuthorIds = previous.records[0].get('authorIds');
+
+      const authorIds = await resolveAuthorIds(tx, paperKey, authors.map(author => author.sourceId));
+      authors.forEach((author, i) => { author.authorId = authorIds[i]; });
+      const organizations = await organizationKeys(tx, paperKey, authorIds);
+
+      // Create or update the paper node, dropping authorship and references
+      // from a previous ingestion so they are rebuilt from the new data
+      const paperWrite = await tx.run(`
+        MERGE (p:Paper {paperKey: $paperKey})
+        ON CREATE SET p.createdAt = datetime()
+        SET p.title = $title,
+            p.abstract = $abstract,
+            p.year = $year,
+            p.doi = $doi,
+            p.venue = $venue,
+            p.keywords = $keywords,
+            p.sections = $sections,
+            p.body = $body,
+            p.filename = $filename,
+            p.contentHash = $contentHash,
+            p.normalizedTitle = $normalizedTitle,
+            p.normalizedDoi = $normalizedDoi,
+            p.dataset = $dataset,
+            p.updatedAt = datetime()
+        WITH p
+        OPTIONAL MATCH (p)<-[w:AUTHORED]-(:Author)
+        DELETE w
+        WITH DISTINCT p
+        OPTIONAL MATCH (p)-[c:CITES]->()
+        DELETE c
+      `, {
+        paperKey,
+        title: paperData.title,
+        abstract: paperData.abstract,
+        year: paperData.year,
+        doi: paperData.doi,
+        venue: paperData.venue || null,
+        keywords: paperData.keywords || [],
+        sections: paperData.sections || [],
+        body: paperData.body || null,
+        filename: filename,
+        contentHash: options.contentHash || null,
+        normalizedTitle: normalizeTitle(paperData.title),
+        normalizedDoi: normalizeDoi(paperData.doi),
+        dataset: options.dataset || null
+      });
+
+      // Create author nodes and relationships, keyed on a stable identity;
+      // AUTHORED.position keeps the author order. A dataset paper only fills
+      // in authors it creates, since teardown could not undo changes to
+      // authors other papers share.
+      const authorWrite = await tx.run(`
+        MATCH (p:Paper {paperKey: $paperKey})
+        UNWIND range(0, size($authors) - 1) AS position
+        WITH p, position, $authors[position] AS author
+        MERGE (a:Author {authorId: author.authorId})
+        ON CREATE SET a.name = author.name, a.aliases = [], a.affiliations = []
+        ${options.dataset ? 'ON CREATE SET' : 'SET'} a.orcid = coalesce(author.orcid, a.orcid),
+            a.email = coalesce(author.email, a.email),
+            a.aliases = CASE WHEN author.name IN a.aliases OR author.name = a.name
+              THEN a.aliases ELSE a.aliases + author.name END,
+            a.affiliations = reduce(acc = a.affiliations, name IN author.affiliations |
+              CASE WHEN name IN acc THEN acc ELSE acc + name END)
+        MERGE (a)-[w:AUTHORED]->(p)
+        SET w.affiliations = author.affiliations, w.position = position, w.sourceId = author.sourceId
+      `, { paperKey, authors });
+
+      // Create reference nodes and relationships
+      const referenceWrite = await tx.run(`
+        MATCH (p:Paper {paperKey: $paperKey})
+        UNWIND $references AS reference
+        MERGE (r:Reference {title: reference.title})
+        SET r.authors = coalesce(reference.authors, r.authors),
+            r.year = coalesce(reference.year, r.year),
+            r.venue = coalesce(reference.venue, r.venue),
+            r.doi = coalesce(reference.doi, r.doi),
+            r.normalizedTitle = reference.normalizedTitle,
+            r.normalizedDoi = coalesce(reference.normalizedDoi, r.normalizedDoi)
+        MERGE (p)-[:CITES]->(r)
+      `, { paperKey, references });
+
+      await storeOrganizations(tx, paperKey, { venue: paperData.venueDetails || paperData.venue, authors });
+      await rebuildAffiliations(tx, [...new Set([...previousAuthorIds, ...authors.map(author => author.authorId)])]);
+      await pruneOrganizations(tx, organizations);
+
+      // Each of these statements creates nodes of one label only
+      const nodesCreated = write => write.summary.counters.updates().nodesCreated;
+      return {
+        papers: nodesCreated(paperWrite),
+        authors: nodesCreated(authorWrite),
+        references: nodesCreated(referenceWrite)
+      };
+    });
+
+    console.log(`✅ Stored paper: "${paperData.title}"`);
+    authors.forEach(author => console.log(`  👤 Added author: ${author.name}`));
+    references.forEach(reference => {
+      console.log(`  📚 Added reference: ${reference.title.substring(0, 50)}...`);
     });
 
-    const paperId = paperResult.records[0].get('p').identity;
-    console.log(`✅ Created paper: "${paperData.title}"`);
-
-    // Create author nodes and relationships
-    for (const authorName of paperData.authors) {
-      // Create or match author
-      await this.session.run(`
-        MERGE (a:Author {name: $name})
-        WITH a
-        MATCH (p:Paper) WHERE id(p) = $paperId
-        MERGE (a)-[:AUTHORED]->(p)
-      `, { name: authorName, paperId });
-      
-      console.log(`  👤 Added author: ${authorName}`);
+    return { paperKey, created };
+  }
+
+  // Remove a paper and any authors, references, venues or institutions left
+  // without relationships
+  async removePaper(paperKey) {
+    await this.session.executeWrite(async tx => {
+      const organizations = await organizationKeys(tx, paperKey);
+      const result = await tx.run(`
+        MATCH (p:Paper {paperKey: $paperKey})
+        OPTIONAL MATCH (p)-[:CITES]->(r:Reference)
+        OPTIONAL MATCH (p)<-[:AUTHORED]-(a:Author)
+        WITH p, collect(DISTINCT r) AS references, collect(DISTINCT a.authorId) AS authorIds
+        DETACH DELETE p
+        WITH references, authorIds
+        CALL {
+          WITH references
+          UNWIND references AS r
+          WITH r WHERE NOT (r)--()
+          DELETE r
+        }
+        RETURN authorIds
+      `, { paperKey });
+      if (result.records.length === 0) return;
+
+      // Affiliations come from the remaining papers; authors without any go,
+      // with the merge aliases that redirect to them
+      const authorIds = result.records[0].get('authorIds');
+      await rebuildAffiliations(tx, authorIds);
+      await tx.run(`
+        MATCH (a:Author) WHERE a.authorId IN $authorIds
+          AND NOT EXISTS { MATCH (a)-[r]-() WHERE type(r) <> 'ALIAS_OF' }
+        OPTIONAL MATCH (alias:AuthorAlias)-[:ALIAS_OF]->(a)
+        DETACH DELETE alias, a
+      `, { authorIds });
+      await pruneOrganizations(tx, organizations);
+    });
+  }
+
+  // Ingest every PDF in a directory, skipping files whose content is unchanged
+  // since the last run. With prune, papers whose files were deleted are removed.
+  // Up to the GROBID client's concurrency PDFs are processed at once; papers
+  // are stored one at a time, in file order.
+  async ingestDirectory(dir, { prune = false, manifest = new IngestManifest() } = {}) {
+    const stats = { added: 0, updated: 0, skipped: 0, failed: 0, pruned: 0 };
+    const files = fs.readdirSync(dir).filter(isPdfFile).sort();
+
+    const changed = [];
+    for (const file of files) {
+      const pdfPath = path.join(dir, file);
+      const contentHash = await hashFile(pdfPath);
+      if (manifest.isUnchanged(pdfPath, contentHash)) {
+        console.log(`⏭️  Unchanged: ${file}`);
+        stats.skipped++;
+      } else {
+        changed.push({ file, pdfPath, contentHash });
+      }
     }
 
-    // Create reference nodes and relationships
-    for (const refTitle of paperData.references) {
-      await this.session.run(`
-        MERGE (r:Reference {title: $title})
-        WITH r
-        MATCH (p:Paper) WHERE id(p) = $paperId
-        MERGE (p)-[:CITES]->(r)
-      `, { title: refTitle, paperId });
-      
-      console.log(`  📚 Added reference: ${refTitle.substring(0, 50)}...`);
+    await this.ingestPdfs(changed, manifest, stats);
+
+    if (prune) {
+      // TEI files ingested from the same directory are pruned by ingestTeiDirectory
+      for (const file of manifest.missingFiles(dir).filter(isPdfFile)) {
+        const { paperKey } = manifest.get(file);
+        await this.removePaper(paperKey);
+        manifest.remove(file);
+        manifest.save();
+        console.log(`🗑️  Pruned: ${file}`);
+        stats.pruned++;
+      }
     }
+
+    console.log(`\n📦 Ingestion: ${stats.added} added, ${stats.updated} updated, ${stats.skipped} unchanged, ${stats.failed} failed, ${stats.pruned} pruned`);
+    return stats;
+  }
+
+  // Ingest one PDF the way ingestDirectory ingests each of its files: keyed on
+  // its hash, stored under its basename and recorded in the manifest
+  async ingestPdf(pdfPath, { manifest = new IngestManifest() } = {}) {
+    const stats = { added: 0, updated: 0, skipped: 0, failed: 0, pruned: 0 };
+    const file = path.basename(pdfPath);
+    const contentHash = await hashFile(pdfPath);
+    if (manifest.isUnchanged(pdfPath, contentHash)) {
+      console.log(`⏭️  Unchanged: ${file}`);
+      stats.skipped++;
+    } else {
+      await this.ingestPdfs([{ file, pdfPath, contentHash }], manifest, stats);
+    }
+    return stats;
+  }
+
+  // Process hashed PDFs ({ file, pdfPath, contentHash }) with GROBID, store
+  // them and record them in the manifest, counting into stats. A paper is
+  // updated rather than added when its file or its paperKey was seen before.
+  async ingestPdfs(entries, manifest, stats) {
+    for await (const { entry: { file, pdfPath, contentHash }, paperData, error } of this.processPdfs(entries)) {
+      const entry = manifest.get(pdfPath);
+
+      console.log(`\nProcessing: ${file}`);
+      if (error) console.error(`Error processing ${file} with GROBID:`, error.message);
+      if (!paperData) {
+        stats.failed++;
+        continue;
+      }
+
+      const existed = Boolean(entry) || await this.hasPaper(this.paperKey(paperData, contentHash));
+      const paperKey = await this.storePaper(paperData, file, { contentHash, previousKey: entry && entry.paperKey });
+      if (!paperKey) {
+        stats.failed++;
+        continue;
+      }
+
+      manifest.record(pdfPath, { hash: contentHash, paperKey });
+      manifest.save();
+      stats[existed ? 'updated' : 'added']++;
+    }
+  }
+
+  async hasPaper(paperKey) {
+    const result = await this.session.run(
+      'RETURN EXISTS { MATCH (:Paper {paperKey: $paperKey}) } AS found',
+      { paperKey }
+    );
+    return result.records[0].get('found');
+  }
+
+  // Ingest TEI that GROBID already produced, without calling GROBID. A TEI
+  // file is stored exactly as its PDF would be: under the PDF's filename and,
+  // when the PDF is found next to it (or in pdfDir), under the PDF's hash, so
+  // papers without a DOI get the same paperKey either way. Without the PDF the
+  // TEI's own hash is used.
+  async teiSource(teiPath, { pdfDir } = {}) {
+    const file = pdfNameForTei(teiPath);
+    const pdfPath = path.join(pdfDir || path.dirname(teiPath), file);
+    const contentHash = fs.existsSync(pdfPath) ? await hashFile(pdfPath) : await hashFile(teiPath);
+    return { file, contentHash };
+  }
+
+  // Parse and store one TEI document; returns the paperKey, or null when the
+  // document is invalid or has no title
+  async storeTei(xmlData, filename, options = {}) {
+    let paperData;
+    try {
+      paperData = this.parseGrobidXml(xmlData);
+    } catch (error) {
+      console.error(`Error parsing TEI${filename ? ` for ${filename}` : ''}:`, error.message);
+      return null;
+    }
+    return this.storePaper(paperData, filename, options);
+  }
+
+  async ingestTeiFile(teiPath, { pdfDir, previousKey } = {}) {
+    const { file, contentHash } = await this.teiSource(teiPath, { pdfDir });
+    return this.storeTei(fs.readFileSync(teiPath, 'utf8'), file, { contentHash, previousKey });
+  }
+
+  // Like ingestDirectory, for the .tei.xml files in a directory. Unchanged
+  // TEI files are skipped and, with prune, papers whose TEI files were deleted
+  // are removed.
+  async ingestTeiDirectory(dir, { prune = false, manifest = new IngestManifest(), pdfDir } = {}) {
+    const stats = { added: 0, updated: 0, skipped: 0, failed: 0, pruned: 0 };
+    const files = fs.readdirSync(dir).filter(isTeiFile).sort();
+
+    for (const file of files) {
+      const teiPath = path.join(dir, file);
+      const hash = await hashFile(teiPath);
+      if (manifest.isUnchanged(teiPath, hash)) {
+        console.log(`⏭️  Unchanged: ${file}`);
+        stats.skipped++;
+        continue;
+      }
+
+      const entry = manifest.get(teiPath);
+      console.log(`\nProcessing: ${file}`);
+      const paperKey = await this.ingestTeiFile(teiPath, { pdfDir, previousKey: entry && entry.paperKey });
+      if (!paperKey) {
+        stats.failed++;
+        continue;
+      }
+
+      manifest.record(teiPath, { hash, paperKey });
+      manifest.save();
+      stats[entry ? 'updated' : 'added']++;
+    }
+
+    if (prune) {
+      for (const file of manifest.missingFiles(dir).filter(isTeiFile)) {
+        const { paperKey } = manifest.get(file);
+        await this.removePaper(paperKey);
+        manifest.remove(file);
+        manifest.save();
+        console.log(`🗑️  Pruned: ${file}`);
+        stats.pruned++;
+      }
+    }
+
+    console.log(`\n📦 TEI ingestion: ${stats.added} added, ${stats.updated} updated, ${stats.skipped} unchanged, ${stats.failed} failed, ${stats.pruned} pruned`);
+    return stats;
+  }
+
+  // Ingest TEI documents from a stream (e.g. process.stdin). There is no file
+  // to name them after, so they are keyed on DOI, else on the TEI's hash.
+  async ingestTeiStream(stream) {
+    const stats = { stored: 0, failed: 0 };
+    for await (const document of teiDocuments(stream)) {
+      const paperKey = await this.storeTei(document, null, { contentHash: hashText(document) });
+      stats[paperKey ? 'stored' : 'failed']++;
+    }
+    console.log(`\n📦 TEI ingestion: ${stats.stored} stored, ${stats.failed} failed`);
+    return stats;
+  }
+
+  // Link references to papers already in the graph
+  async resolveReferences() {
+    console.log('\n🔗 Resolving references to papers...');
+    const stats = await resolveReferences(this.session);
+    console.log(`   ✅ Resolved ${stats.byDoi} by DOI, ${stats.byTitle} by title`);
+    console.log(`   📎 ${stats.citations} paper-to-paper citations`);
+    return stats;
+  }
+
+  // A paper with its authors and references, or null when it does not exist
+  async getPaper(paperKey) {
+    const result = await this.session.run(`
+      MATCH (p:Paper {paperKey: $paperKey})
+      OPTIONAL MATCH (a:Author)-[w:AUTHORED]->(p)
+      WITH p, a, w ORDER BY w.position
+      WITH p, collect(CASE WHEN a IS NULL THEN null ELSE {
+        authorId: a.authorId, name: a.name, affiliations: w.affiliations
+      } END) AS authors
+      OPTIONAL MATCH (p)-[:CITES]->(r:Reference)
+      OPTIONAL MATCH (r)-[:RESOLVES_TO]->(cited:Paper)
+      RETURN p, authors, collect(CASE WHEN r IS NULL THEN null ELSE {
+        title: r.title, authors: r.authors, year: r.year, venue: r.venue, doi: r.doi,
+        paperKey: cited.paperKey
+      } END) AS references
+    `, { paperKey });
+
+    if (result.records.length === 0) return null;
+    const record = result.records[0];
+    return {
+      ...Paper.fromRecord(record, 'p').toJSON(),
+      authors: toPlain(record.get('authors')),
+      references: toPlain(record.get('references'))
+    };
+  }
+
+  // Papers ordered by year (newest first), with the total for pagination
+  async listPapers({ skip = 0, limit = 20 } = {}) {
+    const result = await this.session.run(`
+      MATCH (p:Paper)
+      RETURN p.paperKey AS paperKey, p.title AS title, p.year AS year, p.doi AS doi
+      ORDER BY p.year DESC, p.title
+      SKIP $skip LIMIT $limit
+    `, { skip: neo4j.int(skip), limit: neo4j.int(limit) });
+    const total = await this.session.run('MATCH (p:Paper) RETURN count(p) AS total');
+
+    return {
+      papers: mapRecords(result),
+      total: toNumber(total.records[0].get('total'))
+    };
+  }
+
+  // An author's papers, or null when the author does not exist
+  async getAuthorPapers(authorId, { skip = 0, limit = 20 } = {}) {
+    const author = await this.session.run(`
+      MATCH (a:Author {authorId: $authorId})
+      OPTIONAL MATCH (a)-[:AUTHORED]->(p:Paper)
+      RETURN a, count(p) AS total
+    `, { authorId });
+    if (author.records.length === 0) return null;
+
+    const papers = await this.session.run(`
+      MATCH (:Author {authorId: $authorId})-[:AUTHORED]->(p:Paper)
+      RETURN p.paperKey AS paperKey, p.title AS title, p.year AS year, p.doi AS doi
+      ORDER BY p.year DESC, p.title
+      SKIP $skip LIMIT $limit
+    `, { authorId, skip: neo4j.int(skip), limit: neo4j.int(limit) });
+
+    return {
+      author: Author.fromRecord(author.records[0], 'a'),
+      papers: mapRecords(papers),
+      total: toNumber(author.records[0].get('total'))
+    };
   }
 
   // Create sample research data (when GROBID is not available)
-  async createSampleData() {
+  // Store the sample papers from fixtures/research.json, replacing an earlier
+  // load; they are tagged with the dataset, so removeDataset() takes them out
+  // again without touching other papers
+  async createSampleData(dataset = 'research') {
     console.log('📚 Creating sample research data...');
-    
-    const samplePapers = [
-      {
-        title: "Deep Learning Approaches for Natural Language Processing",
-        abstract: "This paper presents a comprehensive survey of deep learning methods applied to natural language processing tasks.",
-        authors: ["Sarah Johnson", "Michael Chen", "David Rodriguez"],
-        year: 2023,
-        doi: "10.1000/sample.2023.001",
-        filename: "deep_learning_nlp.pdf",
-        references: [
-          "Attention Is All You Need",
-          "BERT: Pre-training of Deep Bidirectional Transformers",
-          "GPT-3: Language Models are Few-Shot Learners"
-        ]
-      },
-      {
-        title: "Graph Neural Networks for Knowledge Representation",
-        abstract: "We explore the application of graph neural networks to represent and reason over structured knowledge.",
-        authors: ["Michael Chen", "Alice Wang", "Robert Kim"],
-        year: 2023,
-        doi: "10.1000/sample.2023.002",
-        filename: "gnn_knowledge.pdf",
-        references: [
-          "Graph Convolutional Networks",
-          "GraphSAGE: Inductive Representation Learning",
-          "Deep Learning Approaches for Natural Language Processing"
-        ]
-      },
-      {
-        title: "Neo4j for Scientific Literature Analysis",
-        abstract: "This study demonstrates how graph databases can be used to analyze citation networks and research trends.",
-        authors: ["Alice Wang", "Sarah Johnson"],
-        year: 2024,
-        doi: "10.1000/sample.2024.001",
-        filename: "neo4j_analysis.pdf",
-        references: [
-          "Graph Neural Networks for Knowledge Representation",
-          "Network Analysis of Scientific Collaborations",
-          "Citation Networks and Academic Impact"
-        ]
-      }
-    ];
+    const { papers } = readFixture('research');
+
+    await this.removeDataset(dataset);
+    for (const paper of papers) {
+      await this.storePaper(paper, paper.filename, { dataset });
+    }
+    return papers.length;
+  }
 
-    for (const paper of samplePapers) {
-      await this.storePaper(paper, paper.filename);
+  // Remove the papers of a fixture dataset, and the references only they cited
+  async removeDataset(dataset) {
+    const result = await this.session.run(`
+      MATCH (p:Paper {dataset: $dataset})
+      OPTIONAL MATCH (p)-[:CITES]->(r:Reference)
+      RETURN collect(DISTINCT p.paperKey) AS paperKeys, collect(DISTINCT elementId(r)) AS referenceIds
+    `, { dataset });
+    const { paperKeys, referenceIds } = result.records[0].toObject();
+
+    for (const paperKey of paperKeys) {
+      await this.removePaper(paperKey);
     }
+    // References resolved to another of the papers outlive the paper citing them
+    await this.session.run(`
+      MATCH (r:Reference) WHERE elementId(r) IN $referenceIds AND NOT (r)--()
+      DELETE r
+    `, { referenceIds });
+    return paperKeys.length;
   }
 
   // Query research graph
@@ -295,43 +711,62 @@ class ResearchGraphBuilder {
       console.log(`   📖 ${shortTitle}: ${record.get('citations')} citations`);
     });
 
-    // 5. Research network visualization query
-    console.log('\n5️⃣  Research Network (for visualization):');
-    console.log('   Run this query in Neo4j Browser to see the research graph:');
+    // 5. Citation chains between papers in the graph
+    console.log('\n5️⃣  Citation Chains:');
+    const chains = await this.session.run(`
+      MATCH path = (p:Paper)-[:CITES*1..3]->(cited:Paper)
+      WHERE NOT ()-[:CITES]->(p)
+      RETURN [n IN nodes(path) | n.title] as titles
+      ORDER BY length(path) DESC
+      LIMIT 5
+    `);
+
+    chains.records.forEach(record => {
+      console.log(`   🔗 ${record.get('titles').join(' → ')}`);
+    });
+
+    // 6. Research network visualization query
+    console.log('\n6️⃣  Research Network (for visualization):');
+    console.log('   Write an offline HTML view of the research graph (no Neo4j Browser needed):');
+    console.log('   npm run visualize -- research --out research.html');
+    console.log('   Or run this query in Neo4j Browser:');
     console.log('   MATCH (n) WHERE n:Paper OR n:Author OR n:Reference RETURN n LIMIT 100');
   }
 }
 
 // Main demo function
 async function runGrobidDemo() {
-  const builder = new ResearchGraphBuilder();
+  if (!checkConnectionConfig()) return;
+
+  const builder = new ResearchGraphBuilder({
+    fullText: process.argv.includes('--full-text') || process.env.GROBID_FULLTEXT === 'true'
+  });
   
+  // --tei <dir> ingests existing GROBID output instead of PDFs
+  const teiIndex = process.argv.indexOf('--tei');
+  const teiDir = teiIndex === -1 ? null : process.argv[teiIndex + 1];
+
   try {
     console.log('🔬 GROBID + Neo4j Research Graph Demo\n');
     
     // Check if GROBID service is available
-    const grobidAvailable = await builder.checkGrobidService();
+    const grobidAvailable = teiDir ? false : await builder.checkGrobidService();
     
-    // Clear existing data
-    await builder.clearResearchData();
+    // Only wipe research data when asked; ingestion is incremental otherwise
+    if (process.argv.includes('--clear')) {
+      await builder.clearResearchData();
+    }
     
-    if (grobidAvailable) {
+    if (teiDir) {
+      console.log(`\n📄 Ingesting TEI files from ${teiDir}...`);
+      await builder.ingestTeiDirectory(teiDir, { prune: process.argv.includes('--prune') });
+    } else if (grobidAvailable) {
       console.log('\n📄 Processing PDFs with GROBID...');
       
       // Look for PDF files in a sample directory
-      const sampleDir = './sample-papers';
+      const sampleDir = process.env.PAPERS_DIR || './sample-papers';
       if (fs.existsSync(sampleDir)) {
-        const files = fs.readdirSync(sampleDir).filter(f => f.endsWith('.pdf'));
-        
-        for (const file of files) {
-          const pdfPath = path.join(sampleDir, file);
-          console.log(`\nProcessing: ${file}`);
-          
-          const paperData = await builder.processPdfWithGrobid(pdfPath);
-          if (paperData) {
-            await builder.storePaper(paperData, file);
-          }
-        }
+        await builder.ingestDirectory(sampleDir, { prune: process.argv.includes('--prune') });
       } else {
         console.log('📁 No sample-papers directory found, creating sample data instead...');
         await builder.createSampleData();
@@ -341,16 +776,19 @@ async function runGrobidDemo() {
       await builder.createSampleData();
     }
 
+    await builder.resolveReferences();
+
     // Query the research graph
     await builder.queryResearchGraph();
     
     console.log('\n✨ Research graph demo completed!');
     
-    if (!grobidAvailable) {
+    if (!teiDir && !grobidAvailable) {
       console.log('\n💡 To use real PDF processing:');
       console.log('1. Start GROBID service: docker run -t --rm -p 8070:8070 lfoppiano/grobid:0.8.0');
       console.log('2. Create a "sample-papers" directory and add PDF files');
       console.log('3. Run this demo again');
+      console.log('Or ingest TEI files GROBID already produced: npm run grobid-demo -- --tei <dir>');
     }
     
   } catch (error) {
@@ -361,7 +799,7 @@ async function runGrobidDemo() {
 }
 
 // Export for use in other files
-export { ResearchGraphBuilder };
+export { ResearchGraphBuilder, isTeiFile, pdfNameForTei, teiDocuments };
 
 // Run demo if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
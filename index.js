@@ -1,77 +1,89 @@
-import neo4j from 'neo4j-driver';
-import dotenv from 'dotenv';
+import { UnitOfWork, batches, DEFAULT_BATCH_SIZE } from './unit-of-work.js';
+import { checkConnectionConfig, openSession, withSession, closeDriver } from './connection.js';
+import { mapRecords } from './result-mapping.js';
+import { User } from './models.js';
+import { readFixture, loadFixture } from './fixtures.js';
+import { recommendProducts, suggestFollows } from './recommendations.js';
 
-// Load environment variables
-dotenv.config();
+const DATASET = 'users';
 
-const driver = neo4j.driver(
-  process.env.NEO4J_URI,
-  neo4j.auth.basic(process.env.NEO4J_USERNAME, process.env.NEO4J_PASSWORD)
-);
+// Example functions demonstrating various Neo4j operations.
+// Labels, relationship types and property keys are escaped by query-builder.js.
+// Each helper runs in its own managed transaction; use withTransaction() to
+// group several operations so they commit or roll back together.
 
-// Example functions demonstrating various Neo4j operations
-
-async function createNode(name, properties) {
-  const session = driver.session({ database: process.env.NEO4J_DATABASE });
+async function withTransaction(work) {
+  const session = openSession();
   try {
-    const result = await session.run(
-      `CREATE (n:${name} $props) RETURN n`,
-      { props: properties }
-    );
-    return result.records[0].get('n');
+    return await session.executeWrite(tx => work(new UnitOfWork(tx)));
   } finally {
     await session.close();
   }
 }
 
-async function findNodes(label, properties = {}) {
-  const session = driver.session({ database: process.env.NEO4J_DATABASE });
+async function withReadTransaction(work) {
+  const session = openSession();
   try {
-    const whereClause = Object.keys(properties).length > 0
-      ? `WHERE ${Object.keys(properties).map(key => `n.${key} = $${key}`).join(' AND ')}`
-      : '';
-    
-    const result = await session.run(
-      `MATCH (n:${label}) ${whereClause} RETURN n`,
-      properties
-    );
-    return result.records.map(record => record.get('n'));
+    return await session.executeRead(tx => work(new UnitOfWork(tx)));
   } finally {
     await session.close();
   }
 }
 
+async function createNode(labels, properties) {
+  return withTransaction(uow => uow.createNode(labels, properties));
+}
+
+// filters: { key: value } for equality or { key: { gt, lt, in, contains, startsWith, isNull } }
+// options: { orderBy, skip, limit, properties }
+async function findNodes(labels, filters = {}, options = {}) {
+  return withReadTransaction(uow => uow.findNodes(labels, filters, options));
+}
+
+async function countNodes(labels, filters = {}) {
+  return withReadTransaction(uow => uow.countNodes(labels, filters));
+}
+
+async function getNode(id) {
+  return withReadTransaction(uow => uow.getNode(id));
+}
+
+// Merge properties into an existing node; a null value removes that property
+async function updateNode(id, properties) {
+  return withTransaction(uow => uow.updateNode(id, properties));
+}
+
+async function deleteNode(id) {
+  return withTransaction(uow => uow.deleteNode(id));
+}
+
 async function createRelationship(fromLabel, fromProps, toLabel, toProps, relType, relProps = {}) {
-  const session = driver.session({ database: process.env.NEO4J_DATABASE });
-  try {
-    // Build WHERE clauses for matching nodes
-    const fromWhere = Object.keys(fromProps).map((key, i) => `a.${key} = $fromProp${i}`).join(' AND ');
-    const toWhere = Object.keys(toProps).map((key, i) => `b.${key} = $toProp${i}`).join(' AND ');
-    
-    // Build parameters for the query
-    const params = { relProps };
-    Object.keys(fromProps).forEach((key, i) => {
-      params[`fromProp${i}`] = fromProps[key];
-    });
-    Object.keys(toProps).forEach((key, i) => {
-      params[`toProp${i}`] = toProps[key];
-    });
-    
-    const result = await session.run(
-      `MATCH (a:${fromLabel}), (b:${toLabel})
-       WHERE ${fromWhere} AND ${toWhere}
-       CREATE (a)-[r:${relType} $relProps]->(b)
-       RETURN a, r, b`,
-      params
-    );
-    return result.records[0];
-  } finally {
-    await session.close();
+  return withTransaction(uow => uow.createRelationship(fromLabel, fromProps, toLabel, toProps, relType, relProps));
+}
+
+// Bulk create through UNWIND. Each batch commits in its own transaction, so
+// large loads don't build one huge transaction; wrap the call in
+// withTransaction() instead when the load must be all-or-nothing.
+async function createNodes(labels, rows, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  let count = 0;
+  for (const batch of batches(rows, batchSize)) {
+    count += await withTransaction(uow => uow.createNodes(labels, batch, { batchSize }));
   }
+  return count;
+}
+
+// spec: { from: { label, key }, to: { label, key }, type }
+// rows: [{ from: <key value>, to: <key value>, properties: {...} }]
+async function createRelationships(spec, rows, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  let count = 0;
+  for (const batch of batches(rows, batchSize)) {
+    count += await withTransaction(uow => uow.createRelationships(spec, batch, { batchSize }));
+  }
+  return count;
 }
 
 async function runCypherQuery(query, params = {}) {
-  const session = driver.session({ database: process.env.NEO4J_DATABASE });
+  const session = openSession();
   try {
     const result = await session.run(query, params);
     return result.records;
@@ -80,60 +92,89 @@ async function runCypherQuery(query, params = {}) {
   }
 }
 
+// Like runCypherQuery, but returns plain objects (see result-mapping.js);
+// options.integers sets the large-integer policy
+async function queryRows(query, params = {}, options = {}) {
+  return mapRecords(await runCypherQuery(query, params), options);
+}
+
+// Like runCypherQuery, but in a read transaction so the query cannot write
+async function runReadQuery(query, params = {}) {
+  return withReadTransaction(uow => uow.run(query, params));
+}
+
+// Load the example users, products, purchases and follows from
+// fixtures/users.json, replacing only an earlier load of that dataset
+async function seedExampleData({ dataset = DATASET } = {}) {
+  const session = openSession();
+  try {
+    return await loadFixture(session, readFixture('users'), { dataset });
+  } finally {
+    await session.close();
+  }
+}
+
 // Example usage
 async function main() {
+  if (!checkConnectionConfig()) return;
+
   try {
     console.log('🚀 Neo4j Test Application\n');
     
-    // Create some example nodes
-    console.log('📝 Creating example nodes...');
-    const user1 = await createNode('User', { name: 'Alice', age: 30, email: 'alice@example.com' });
-    console.log('✅ Created user:', user1.properties);
-    
-    const user2 = await createNode('User', { name: 'Bob', age: 25, email: 'bob@example.com' });
-    console.log('✅ Created user:', user2.properties);
-    
-    const product = await createNode('Product', { name: 'Laptop', price: 999.99, category: 'Electronics' });
-    console.log('✅ Created product:', product.properties);
-    
-    // Create relationships
-    console.log('\n🔗 Creating relationships...');
-    await createRelationship('User', { name: 'Alice' }, 'Product', { name: 'Laptop' }, 'PURCHASED', { date: '2024-01-15', quantity: 1 });
-    console.log('✅ Alice purchased Laptop');
-    
-    await createRelationship('User', { name: 'Alice' }, 'User', { name: 'Bob' }, 'FOLLOWS', { since: '2023-12-01' });
-    console.log('✅ Alice follows Bob');
+    await seedExampleData();
     
     // Query data
     console.log('\n🔍 Querying data...');
     
-    // Find all users
-    const users = await findNodes('User');
+    // Find all users of the example dataset, ordered by name
+    const users = (await findNodes('User', { dataset: DATASET }, { orderBy: 'name' })).map(node => User.fromNode(node));
     console.log(`\nFound ${users.length} users:`);
     users.forEach(user => {
-      console.log(`  - ${user.properties.name} (${user.properties.email})`);
+      console.log(`  - ${user.name} (${user.email})`);
+    });
+    
+    // Filter with operators
+    const adults = await findNodes('User', { dataset: DATASET, age: { gte: 18 }, email: { isNull: false } }, { properties: ['name', 'age'] });
+    console.log(`\nFound ${adults.length} adult users with an email:`);
+    adults.forEach(user => {
+      console.log(`  - ${user.name} (${user.age})`);
     });
     
     // Custom query - Find who purchased what
-    const purchases = await runCypherQuery(
-      `MATCH (u:User)-[r:PURCHASED]->(p:Product)
-       RETURN u.name AS buyer, p.name AS product, r.date AS date, r.quantity AS quantity`
+    const purchases = await queryRows(
+      `MATCH (u:User)-[r:PURCHASED {dataset: $dataset}]->(p:Product)
+       RETURN u.name AS buyer, p.name AS product, r.date AS date, r.quantity AS quantity`,
+      { dataset: DATASET }
     );
     
     console.log('\n🛒 Purchase history:');
-    purchases.forEach(record => {
-      console.log(`  - ${record.get('buyer')} bought ${record.get('quantity')} ${record.get('product')} on ${record.get('date')}`);
+    purchases.forEach(({ buyer, product, date, quantity }) => {
+      console.log(`  - ${buyer} bought ${quantity} ${product} on ${date}`);
     });
     
     // Find social connections
-    const connections = await runCypherQuery(
-      `MATCH (a:User)-[r:FOLLOWS]->(b:User)
-       RETURN a.name AS follower, b.name AS following, r.since AS since`
+    const connections = await queryRows(
+      `MATCH (a:User)-[r:FOLLOWS {dataset: $dataset}]->(b:User)
+       RETURN a.name AS follower, b.name AS following, r.since AS since`,
+      { dataset: DATASET }
     );
     
     console.log('\n👥 Social connections:');
-    connections.forEach(record => {
-      console.log(`  - ${record.get('follower')} follows ${record.get('following')} since ${record.get('since')}`);
+    connections.forEach(({ follower, following, since }) => {
+      console.log(`  - ${follower} follows ${following} since ${since}`);
+    });
+    
+    // Recommendations, with what each one is based on
+    const recommended = await withSession(session => recommendProducts(session, 'alice@example.com', { limit: 3 }));
+    console.log('\n💡 Recommended for Alice:');
+    recommended.forEach(({ product, score, because }) => {
+      console.log(`  - ${product} (${score}), bought by people who also bought ${because.join(', ')}`);
+    });
+    
+    const suggestions = await withSession(session => suggestFollows(session, 'alice@example.com', { limit: 3 }));
+    console.log('\n🤝 Alice might follow:');
+    suggestions.forEach(({ name, via }) => {
+      console.log(`  - ${name}, followed by ${via.join(', ')}`);
     });
     
     console.log('\n✨ Test completed successfully!');
@@ -142,9 +183,31 @@ async function main() {
   } catch (error) {
     console.error('❌ Error:', error.message);
   } finally {
-    await driver.close();
+    await closeDriver();
   }
 }
 
-// Run the main function
-main();
+// Export for use in other files
+export {
+  seedExampleData,
+  withTransaction,
+  withReadTransaction,
+  createNode,
+  findNodes,
+  countNodes,
+  getNode,
+  updateNode,
+  deleteNode,
+  createRelationship,
+  createNodes,
+  createRelationships,
+  runCypherQuery,
+  queryRows,
+  runReadQuery,
+  closeDriver
+};
+
+// Run the main function if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,356 @@
+import fs from 'fs';
+import path from 'path';
+import { IngestManifest, hashFile } from './ingest-manifest.js';
+import { formatMarkdownTable } from './output.js';
+import { checkConnectionConfig } from './connection.js';
+
+// Resumable batch ingestion. A job records every PDF of a directory with its
+// state (pending, processing, done, failed or skipped) in a local JSON file
+// that is saved after each change, so an interrupted run picks up where it
+// stopped and failed files can be retried later.
+//
+//   node ingest-jobs.js start <dir> [--full-text]   create a job and run it
+//   node ingest-jobs.js resume [id]                 continue a job (default: latest)
+//   node ingest-jobs.js retry [id]                  run a job's failed files again
+//   node ingest-jobs.js status [id]                 item counts and failures
+//   node ingest-jobs.js list                        all jobs
+
+const DEFAULT_JOBS_DIR = '.ingest-jobs';
+
+// Neo4j being unreachable stops the job instead of failing every remaining file
+const UNAVAILABLE_CODES = new Set(['ServiceUnavailable', 'SessionExpired']);
+
+function jobsDir() {
+  return process.env.INGEST_JOBS_DIR || DEFAULT_JOBS_DIR;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+class IngestJob {
+  constructor(data, dir = jobsDir()) {
+    this.dir = dir;
+    Object.assign(this, data);
+  }
+
+  // A new job with every PDF in sourceDir pending
+  static create(sourceDir, { fullText = false, dir = jobsDir() } = {}) {
+    if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) {
+      throw new Error(`Not a directory: ${sourceDir}`);
+    }
+    const createdAt = new Date();
+    const stamp = createdAt.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+    const name = path.basename(path.resolve(sourceDir)).replace(/[^\w.-]+/g, '_');
+
+    const files = fs.readdirSync(sourceDir).filter(f => f.toLowerCase().endsWith('.pdf')).sort();
+    const job = new IngestJob({
+      id: `${stamp}-${name}`,
+      sourceDir,
+      fullText,
+      createdAt: createdAt.toISOString(),
+      runs: [],
+      items: files.map(file => ({ file, status: 'pending', attempts: 0 }))
+    }, dir);
+    job.save();
+    return job;
+  }
+
+  static load(id, dir = jobsDir()) {
+    const file = path.join(dir, `${id}.json`);
+    if (!fs.existsSync(file)) throw new Error(`No such job: ${id}`);
+    return new IngestJob(JSON.parse(fs.readFileSync(file, 'utf8')), dir);
+  }
+
+  // All jobs, oldest first (ids start with their creation time)
+  static list(dir = jobsDir()) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => IngestJob.load(file.replace(/\.json$/, ''), dir));
+  }
+
+  static latest(dir = jobsDir()) {
+    const jobs = IngestJob.list(dir);
+    if (jobs.length === 0) throw new Error('No ingestion jobs yet; start one first');
+    return jobs[jobs.length - 1];
+  }
+
+  get path() {
+    return path.join(this.dir, `${this.id}.json`);
+  }
+
+  get reportPath() {
+    return path.join(this.dir, `${this.id}.report.md`);
+  }
+
+  // Write to a temporary file first, so a crash mid-write keeps the previous state
+  save() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const { dir: _dir, ...data } = this;
+    fs.writeFileSync(`${this.path}.tmp`, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(`${this.path}.tmp`, this.path);
+  }
+
+  counts() {
+    const counts = { total: this.items.length, pending: 0, processing: 0, done: 0, failed: 0, skipped: 0 };
+    this.items.forEach(item => counts[item.status]++);
+    return counts;
+  }
+
+  // Items left in processing by an interrupted run start over
+  resetInterrupted() {
+    this.items.filter(item => item.status === 'processing').forEach(item => {
+      item.status = 'pending';
+    });
+  }
+
+  retryFailed() {
+    const failed = this.items.filter(item => item.status === 'failed');
+    failed.forEach(item => {
+      item.status = 'pending';
+      delete item.reason;
+    });
+    return failed.length;
+  }
+
+  update(item, changes) {
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+  }
+}
+
+// Progress line with throughput and an estimate of the time left
+function logProgress(job, item, run) {
+  const counts = job.counts();
+  const finished = counts.done + counts.failed + counts.skipped;
+  const elapsed = Date.now() - run.started;
+  const perMinute = run.processed / (elapsed / 60000);
+  const remaining = counts.pending + counts.processing;
+  const eta = run.processed > 0 ? formatDuration(remaining * elapsed / run.processed) : '?';
+  const icon = { done: '✅', failed: '❌', skipped: '⏭️ ' }[item.status];
+  const detail = item.status === 'failed' ? ` - ${item.reason}` : '';
+  console.log(`[${finished}/${counts.total}] ${icon} ${item.file}${detail} ` +
+    `(${perMinute.toFixed(1)} files/min, ${remaining} left, ETA ${eta})`);
+}
+
+// Process a job's pending items with a ResearchGraphBuilder, then resolve
+// references and write the summary report. Returns the summary.
+async function runJob(builder, job, { manifest = new IngestManifest() } = {}) {
+  job.resetInterrupted();
+  job.save();
+
+  // Nodes created by this run's writes, summed per stored file
+  const added = { papers: 0, authors: 0, references: 0 };
+  const run = { started: Date.now(), startedAt: new Date().toISOString(), processed: 0 };
+  console.log(`📦 Job ${job.id}: ${job.counts().pending} of ${job.items.length} files to process`);
+
+  // Files unchanged since an earlier ingestion are skipped without calling GROBID
+  const entries = [];
+  for (const item of job.items.filter(item => item.status === 'pending')) {
+    const pdfPath = path.join(job.sourceDir, item.file);
+    if (!fs.existsSync(pdfPath)) {
+      job.update(item, { status: 'failed', reason: 'File no longer exists' });
+      run.processed++;
+      logProgress(job, item, run);
+      continue;
+    }
+    const contentHash = await hashFile(pdfPath);
+    if (manifest.isUnchanged(pdfPath, contentHash)) {
+      job.update(item, { status: 'skipped', reason: 'Unchanged since last ingestion' });
+      logProgress(job, item, run);
+      continue;
+    }
+    entries.push({ item, pdfPath, contentHash });
+  }
+
+  const onStart = ({ item }) => job.update(item, { status: 'processing', attempts: item.attempts + 1 });
+  for await (const { entry, paperData, error } of builder.processPdfs(entries, { fullText: job.fullText, onStart })) {
+    const { item, pdfPath, contentHash } = entry;
+    const previous = manifest.get(pdfPath);
+
+    if (error) {
+      job.update(item, { status: 'failed', reason: `GROBID: ${error.message}` });
+    } else {
+      let stored;
+      try {
+        stored = await builder.writePaper(paperData, item.file, {
+          contentHash,
+          previousKey: previous && previous.paperKey
+        });
+      } catch (storeError) {
+        if (UNAVAILABLE_CODES.has(storeError.code)) throw storeError;
+        job.update(item, { status: 'failed', reason: `Neo4j: ${storeError.message}` });
+      }
+
+      if (stored) {
+        const { paperKey, created } = stored;
+        manifest.record(pdfPath, { hash: contentHash, paperKey });
+        manifest.save();
+        Object.keys(added).forEach(key => { added[key] += created[key]; });
+        job.update(item, {
+          status: 'done',
+          result: created.papers > 0 ? 'added' : 'updated',
+          paperKey,
+          title: paperData.title,
+          created,
+          reason: undefined
+        });
+      } else if (stored === null) {
+        job.update(item, { status: 'failed', reason: 'No title could be extracted' });
+      }
+    }
+
+    run.processed++;
+    logProgress(job, item, run);
+  }
+
+  await builder.resolveReferences();
+
+  const durationMs = Date.now() - run.started;
+  job.runs.push({
+    startedAt: run.startedAt,
+    finishedAt: new Date().toISOString(),
+    processed: run.processed,
+    durationMs,
+    added
+  });
+  job.save();
+
+  const summary = jobSummary(job);
+  fs.writeFileSync(job.reportPath, formatJobReport(job, summary) + '\n');
+  console.log(`\n📊 ${summary.counts.done} done, ${summary.counts.failed} failed, ${summary.counts.skipped} skipped ` +
+    `in ${formatDuration(durationMs)}; report written to ${job.reportPath}`);
+  return summary;
+}
+
+// Totals across all of a job's runs
+function jobSummary(job) {
+  const added = { papers: 0, authors: 0, references: 0 };
+  job.runs.forEach(run => Object.keys(added).forEach(key => { added[key] += run.added[key]; }));
+  return {
+    id: job.id,
+    sourceDir: job.sourceDir,
+    counts: job.counts(),
+    added,
+    papers: job.items
+      .filter(item => item.status === 'done')
+      .map(({ file, result, paperKey, title }) => ({ file, result, paperKey, title })),
+    failures: job.items
+      .filter(item => item.status === 'failed')
+      .map(({ file, attempts, reason }) => ({ file, attempts, reason }))
+  };
+}
+
+function formatJobReport(job, summary = jobSummary(job)) {
+  const { counts, added } = summary;
+  return [
+    `# Ingestion job ${job.id}`,
+    '',
+    `Source: \`${job.sourceDir}\`${job.fullText ? ' (full text)' : ''}. Created ${job.createdAt}, ${job.runs.length} runs.`,
+    '',
+    `- Files: ${counts.total} (${counts.done} done, ${counts.failed} failed, ${counts.skipped} skipped, ${counts.pending + counts.processing} pending)`,
+    `- Added: ${added.papers} papers, ${added.authors} authors, ${added.references} references`,
+    '',
+    '## Papers',
+    '',
+    formatMarkdownTable(summary.papers),
+    '',
+    '## Failed files',
+    '',
+    formatMarkdownTable(summary.failures),
+    '',
+    '## Runs',
+    '',
+    formatMarkdownTable(job.runs.map(run => ({
+      startedAt: run.startedAt,
+      processed: run.processed,
+      duration: formatDuration(run.durationMs),
+      papers: run.added.papers,
+      authors: run.added.authors,
+      references: run.added.references
+    })))
+  ].join('\n');
+}
+
+function printStatus(job) {
+  const counts = job.counts();
+  console.log(`📦 Job ${job.id} (${job.sourceDir})`);
+  console.log(`   ${counts.done} done, ${counts.failed} failed, ${counts.skipped} skipped, ` +
+    `${counts.pending + counts.processing} pending of ${counts.total}`);
+  job.items.filter(item => item.status === 'failed').forEach(item => {
+    console.log(`   ❌ ${item.file} (${item.attempts} attempts): ${item.reason}`);
+  });
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2).filter(a => !a.startsWith('--'));
+  const fullText = process.argv.includes('--full-text');
+
+  // Checked before a job file is written for a run that could not connect
+  if (['start', 'resume', 'retry'].includes(command) && !checkConnectionConfig()) return;
+
+  let job;
+  try {
+    switch (command) {
+      case 'start':
+        if (!arg) throw new Error('Usage: start <dir> [--full-text]');
+        job = IngestJob.create(arg, { fullText });
+        break;
+      case 'resume':
+      case 'retry':
+      case 'status':
+        job = arg ? IngestJob.load(arg) : IngestJob.latest();
+        break;
+      case 'list':
+        IngestJob.list().forEach(existing => {
+          const counts = existing.counts();
+          console.log(`${existing.id}  ${counts.done}/${counts.total} done, ${counts.failed} failed  ${existing.sourceDir}`);
+        });
+        return;
+      default:
+        throw new Error(`Unknown command: ${command} (expected start, resume, retry, status or list)`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (command === 'status') {
+    printStatus(job);
+    return;
+  }
+  if (command === 'retry') {
+    console.log(`🔁 Retrying ${job.retryFailed()} failed files`);
+    job.save();
+  }
+
+  // Loaded here so status and list work without a database
+  const { ResearchGraphBuilder } = await import('./grobid-demo.js');
+  let builder = null;
+  try {
+    builder = new ResearchGraphBuilder();
+    if (!(await builder.checkGrobidService())) {
+      throw new Error('GROBID service is not available; the job can be resumed once it is');
+    }
+    const summary = await runJob(builder, job);
+    if (summary.counts.failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.error(`   Resume with: node ingest-jobs.js resume ${job.id}`);
+    process.exitCode = 1;
+  } finally {
+    if (builder) await builder.close();
+  }
+}
+
+export { IngestJob, runJob, jobSummary, formatJobReport };
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
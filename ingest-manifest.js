@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// Local record of which PDFs have been ingested, so re-running ingestion over
+// a growing library only processes new or changed files.
+
+const DEFAULT_MANIFEST_PATH = '.ingest-manifest.json';
+
+// SHA-256 of a file's contents
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+class IngestManifest {
+  constructor(manifestPath = process.env.INGEST_MANIFEST || DEFAULT_MANIFEST_PATH) {
+    this.path = manifestPath;
+    this.files = {};
+
+    if (fs.existsSync(this.path)) {
+      this.files = JSON.parse(fs.readFileSync(this.path, 'utf8')).files || {};
+    }
+  }
+
+  // Manifest entries are keyed on the file path relative to the working directory
+  key(filePath) {
+    return path.relative(process.cwd(), path.resolve(filePath));
+  }
+
+  get(filePath) {
+    return this.files[this.key(filePath)] || null;
+  }
+
+  isUnchanged(filePath, hash) {
+    const entry = this.get(filePath);
+    return entry !== null && entry.hash === hash;
+  }
+
+  record(filePath, { hash, paperKey }) {
+    this.files[this.key(filePath)] = { hash, paperKey, ingestedAt: new Date().toISOString() };
+  }
+
+  remove(filePath) {
+    delete this.files[this.key(filePath)];
+  }
+
+  // Entries under a directory whose files no longer exist
+  missingFiles(dir) {
+    const prefix = this.key(dir);
+    return Object.keys(this.files).filter(file =>
+      (prefix === '' || file.startsWith(prefix + path.sep)) && !fs.existsSync(file)
+    );
+  }
+
+  save() {
+    fs.writeFileSync(this.path, JSON.stringify({ files: this.files }, null, 2) + '\n');
+  }
+}
+
+export { IngestManifest, hashFile };
@@ -0,0 +1,317 @@
+import neo4j from 'neo4j-driver';
+import { batches } from './unit-of-work.js';
+import { formatTable, formatJson } from './output.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+
+// Keyword extraction and similar papers from titles and abstracts, computed
+// offline in Node.js. Each paper's text is tokenized, stopwords are removed,
+// and every term (single words and two-word phrases) is weighted by TF-IDF
+// across the corpus. The results are written back as
+//
+//   (:Paper)-[:HAS_KEYWORD {weight}]->(:Keyword {name})
+//       the paper's highest-weighted terms
+//   (:Paper)-[:SIMILAR_TO {score, rank}]->(:Paper)
+//       its top-k papers by cosine similarity of the TF-IDF vectors
+//
+//   node keywords.js compute [--keywords n] [--top-k n] [--min-score x]
+//   node keywords.js keywords <paperKey>
+//   node keywords.js similar <paperKey>
+//   node keywords.js papers <keyword>
+
+const DEFAULT_KEYWORDS_PER_PAPER = 10;
+const DEFAULT_TOP_K = 5;
+const DEFAULT_MIN_SCORE = 0.05;
+const TITLE_WEIGHT = 2; // title terms count twice, titles being denser than abstracts
+const MIN_TOKEN_LENGTH = 3;
+
+const STOPWORDS = new Set(`
+  a about above after again against all also although am among an and any approach are as at based be
+  because been before being below between both but by can could did do does doing done down due during
+  each either et al few for from further had has have having he her here hers him his how however i if in
+  into is it its itself just less may me might more most much must my new no nor not now of off often on
+  once one only or other our ours out over own paper per present presents propose proposed provide
+  results same several she should show shown shows since so some such than that the their theirs them
+  then there these they this those through thus to too two under until up upon use used uses using very
+  via was we well were what when where whether which while who whom why will with within without would
+  yet you your
+`.trim().split(/\s+/));
+
+// Lowercase word tokens of a text, accents folded. Stopwords, numbers and
+// very short words are dropped; null marks where one was, so phrases are
+// not formed across them.
+function tokenize(text) {
+  if (!text) return [];
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}-]+/u)
+    .map(token => token.replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .map(token => STOPWORDS.has(token) || token.length < MIN_TOKEN_LENGTH || /^[\d-]+$/.test(token) ? null : token);
+}
+
+// Term counts of a text: single words, plus two-word phrases of adjacent words
+function termCounts(text, weight = 1, counts = new Map()) {
+  const tokens = tokenize(text);
+  tokens.forEach((token, i) => {
+    if (!token) return;
+    counts.set(token, (counts.get(token) || 0) + weight);
+    const next = tokens[i + 1];
+    if (next) {
+      const phrase = `${token} ${next}`;
+      counts.set(phrase, (counts.get(phrase) || 0) + weight);
+    }
+  });
+  return counts;
+}
+
+// TF-IDF vectors for documents [{ id, title, abstract }]: sublinear term
+// frequency times smoothed inverse document frequency, normalized to unit
+// length. Returns Map id -> Map term -> weight.
+function tfidfVectors(documents) {
+  const counts = documents.map(doc => {
+    const terms = termCounts(doc.title, TITLE_WEIGHT);
+    return termCounts(doc.abstract, 1, terms);
+  });
+
+  const documentFrequency = new Map();
+  for (const terms of counts) {
+    for (const term of terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const n = documents.length;
+  const vectors = new Map();
+  documents.forEach((doc, i) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of counts[i]) {
+      const weight = (1 + Math.log(count)) * (Math.log((1 + n) / (1 + documentFrequency.get(term))) + 1);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    if (vector.size > 0) vectors.set(doc.id, vector);
+  });
+  return vectors;
+}
+
+// The highest-weighted terms of a vector. A term is skipped when any of its
+// words is already part of a chosen term, whichever was ranked first, so
+// keywords do not repeat each other ("graph" and "graph neural", or "graph
+// neural" and "neural networks").
+function topTerms(vector, limit = DEFAULT_KEYWORDS_PER_PAPER) {
+  const ranked = [...vector.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const chosen = [];
+  const covered = new Set();
+  for (const [term, weight] of ranked) {
+    if (chosen.length >= limit) break;
+    const words = term.split(' ');
+    if (words.some(word => covered.has(word))) continue;
+    chosen.push({ term, weight });
+    words.forEach(word => covered.add(word));
+  }
+  return chosen;
+}
+
+// The topK most similar documents to each one, by cosine similarity (the
+// vectors have unit length, so this is their dot product). Dot products are
+// accumulated through an inverted index, so only documents sharing a term
+// are compared. Returns Map id -> [{ id, score }] best first.
+function similarDocuments(vectors, { topK = DEFAULT_TOP_K, minScore = DEFAULT_MIN_SCORE } = {}) {
+  const postings = new Map();
+  for (const [id, vector] of vectors) {
+    for (const [term, weight] of vector) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([id, weight]);
+    }
+  }
+
+  const similar = new Map();
+  for (const [id, vector] of vectors) {
+    const scores = new Map();
+    for (const [term, weight] of vector) {
+      for (const [other, otherWeight] of postings.get(term)) {
+        if (other !== id) scores.set(other, (scores.get(other) || 0) + weight * otherWeight);
+      }
+    }
+    similar.set(id, [...scores.entries()]
+      .filter(([, score]) => score >= minScore)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topK)
+      .map(([other, score]) => ({ id: other, score })));
+  }
+  return similar;
+}
+
+async function writeRows(session, query, rows) {
+  for (const batch of batches(rows)) {
+    await session.executeWrite(tx => tx.run(query, { rows: batch }));
+  }
+}
+
+// Recompute keywords and similar papers for the whole corpus. Previous
+// HAS_KEYWORD and SIMILAR_TO relationships are replaced, and keywords no
+// paper has any more are removed.
+async function computeKeywords(session, {
+  keywordsPerPaper = DEFAULT_KEYWORDS_PER_PAPER,
+  topK = DEFAULT_TOP_K,
+  minScore = DEFAULT_MIN_SCORE
+} = {}) {
+  const result = await session.run(`
+    MATCH (p:Paper)
+    RETURN elementId(p) AS id, p.title AS title, p.abstract AS abstract
+  `);
+  const documents = result.records.map(record => record.toObject());
+  const vectors = tfidfVectors(documents);
+  const similar = similarDocuments(vectors, { topK, minScore });
+
+  await session.executeWrite(tx => tx.run('MATCH (:Paper)-[r:HAS_KEYWORD|SIMILAR_TO]->() DELETE r'));
+
+  const keywordRows = [...vectors].flatMap(([id, vector]) =>
+    topTerms(vector, keywordsPerPaper).map(({ term, weight }) => ({ id, name: term, weight })));
+  await writeRows(session, `
+    UNWIND $rows AS row
+    MATCH (p:Paper) WHERE elementId(p) = row.id
+    MERGE (k:Keyword {name: row.name})
+    CREATE (p)-[:HAS_KEYWORD {weight: row.weight}]->(k)
+  `, keywordRows);
+
+  const similarRows = [...similar].flatMap(([id, neighbors]) =>
+    neighbors.map(({ id: other, score }, i) => ({ id, other, score, rank: neo4j.int(i + 1) })));
+  await writeRows(session, `
+    UNWIND $rows AS row
+    MATCH (p:Paper) WHERE elementId(p) = row.id
+    MATCH (other:Paper) WHERE elementId(other) = row.other
+    CREATE (p)-[:SIMILAR_TO {score: row.score, rank: row.rank}]->(other)
+  `, similarRows);
+
+  const removed = await session.executeWrite(tx => tx.run(`
+    MATCH (k:Keyword) WHERE NOT (:Paper)-[:HAS_KEYWORD]->(k)
+    DELETE k
+    RETURN count(k) AS removed
+  `));
+
+  return {
+    papers: vectors.size,
+    keywords: new Set(keywordRows.map(row => row.name)).size,
+    keywordLinks: keywordRows.length,
+    similarLinks: similarRows.length,
+    removedKeywords: removed.records[0].get('removed').toNumber()
+  };
+}
+
+async function paperKeywords(session, paperKey) {
+  const result = await session.run(`
+    MATCH (:Paper {paperKey: $paperKey})-[r:HAS_KEYWORD]->(k:Keyword)
+    RETURN k.name AS keyword, round(r.weight, 4) AS weight,
+      COUNT { (:Paper)-[:HAS_KEYWORD]->(k) } AS papers
+    ORDER BY r.weight DESC
+  `, { paperKey });
+  return result.records.map(record => record.toObject());
+}
+
+// "What else in the library is about this?" Shared keywords explain the score.
+async function similarPapers(session, paperKey, { limit = DEFAULT_TOP_K } = {}) {
+  const result = await session.run(`
+    MATCH (p:Paper {paperKey: $paperKey})-[s:SIMILAR_TO]->(other:Paper)
+    OPTIONAL MATCH (p)-[:HAS_KEYWORD]->(k:Keyword)<-[:HAS_KEYWORD]-(other)
+    WITH other, s, collect(k.name) AS sharedKeywords
+    RETURN other.paperKey AS paperKey, other.title AS title, other.year AS year,
+      round(s.score, 4) AS score, sharedKeywords
+    ORDER BY s.rank
+    LIMIT $limit
+  `, { paperKey, limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+async function papersWithKeyword(session, keyword, { limit = 20 } = {}) {
+  const result = await session.run(`
+    MATCH (p:Paper)-[r:HAS_KEYWORD]->(:Keyword {name: $keyword})
+    RETURN p.paperKey AS paperKey, p.title AS title, p.year AS year, round(r.weight, 4) AS weight
+    ORDER BY r.weight DESC
+    LIMIT $limit
+  `, { keyword: keyword.toLowerCase(), limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+function numberOption(args, name, fallback, parse = parseInt) {
+  const index = args.indexOf(name);
+  if (index === -1) return fallback;
+  const value = parse(args[index + 1]);
+  if (Number.isNaN(value) || value < 0) throw new Error(`${name} must be a non-negative number`);
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const optionNames = ['--keywords', '--top-k', '--min-score'];
+  const [command, target] = args.filter((arg, i) =>
+    !arg.startsWith('--') && !optionNames.includes(args[i - 1]));
+
+  let options;
+  try {
+    options = {
+      keywordsPerPaper: numberOption(args, '--keywords', DEFAULT_KEYWORDS_PER_PAPER),
+      topK: numberOption(args, '--top-k', DEFAULT_TOP_K),
+      minScore: numberOption(args, '--min-score', DEFAULT_MIN_SCORE, parseFloat)
+    };
+    if (!['compute', 'keywords', 'similar', 'papers'].includes(command)) {
+      throw new Error('Usage: keywords.js compute | keywords <paperKey> | similar <paperKey> | papers <keyword>');
+    }
+    if (command !== 'compute' && !target) throw new Error(`${command} needs an argument`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+
+  try {
+    if (command === 'compute') {
+      console.log('🔤 Extracting keywords from titles and abstracts...');
+      const stats = await computeKeywords(session, options);
+      console.log(`   ✅ ${stats.papers} papers with text, ${stats.keywords} keywords (${stats.keywordLinks} links)`);
+      console.log(`   ✅ ${stats.similarLinks} SIMILAR_TO relationships`);
+      if (stats.removedKeywords > 0) console.log(`   🧹 Removed ${stats.removedKeywords} unused keywords`);
+      return;
+    }
+
+    const rows = command === 'keywords'
+      ? await paperKeywords(session, target)
+      : command === 'similar'
+        ? await similarPapers(session, target, { limit: options.topK })
+        : await papersWithKeyword(session, target);
+    console.log(json ? formatJson(rows) : formatTable(rows));
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export {
+  STOPWORDS,
+  tokenize,
+  termCounts,
+  tfidfVectors,
+  topTerms,
+  similarDocuments,
+  computeKeywords,
+  paperKeywords,
+  similarPapers,
+  papersWithKeyword
+};
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,164 @@
+import neo4j from 'neo4j-driver';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { checkSchema } from './schema.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+
+// Versioned schema migrations. Each file in ./migrations is named
+// <version>_<name>.js and exports `up` and `down`, either as arrays of Cypher
+// statements or as async functions taking a session. Applied migrations are
+// recorded as (:SchemaMigration {version}) nodes in the database.
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter(f => /^\d+_.+\.js$/.test(f)).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(dir, file)).href);
+    const [, version, name] = file.match(/^(\d+)_(.+)\.js$/);
+    if (!module.up || !module.down) {
+      throw new Error(`Migration ${file} must export both up and down`);
+    }
+    migrations.push({ version: parseInt(version), name, description: module.description || name, up: module.up, down: module.down });
+  }
+
+  return migrations;
+}
+
+// Schema changes cannot share a transaction with data writes, so each
+// statement runs on its own
+async function runStep(session, step) {
+  if (typeof step === 'function') {
+    await step(session);
+    return;
+  }
+  for (const statement of step) {
+    await session.run(statement);
+  }
+}
+
+async function appliedVersions(session) {
+  await session.run(
+    'CREATE CONSTRAINT schemamigration_version_unique IF NOT EXISTS FOR (m:SchemaMigration) REQUIRE m.version IS UNIQUE'
+  );
+  const result = await session.run(
+    'MATCH (m:SchemaMigration) RETURN m.version AS version, m.appliedAt AS appliedAt ORDER BY version'
+  );
+  return new Map(result.records.map(record => [
+    record.get('version').toNumber(),
+    record.get('appliedAt').toString()
+  ]));
+}
+
+async function migrationStatus(session) {
+  const applied = await appliedVersions(session);
+  const migrations = await loadMigrations();
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    appliedAt: applied.get(migration.version) || null
+  }));
+}
+
+// Apply every pending migration in version order
+async function migrateUp(session) {
+  const applied = await appliedVersions(session);
+  const pending = (await loadMigrations()).filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    console.log(`⬆️  Applying ${migration.version}_${migration.name}: ${migration.description}`);
+    await runStep(session, migration.up);
+    await session.run(`
+      CREATE (m:SchemaMigration {version: $version, name: $name, appliedAt: datetime()})
+    `, { version: neo4j.int(migration.version), name: migration.name });
+  }
+
+  return pending;
+}
+
+// Roll back the most recently applied migrations
+async function migrateRollback(session, steps = 1) {
+  const applied = await appliedVersions(session);
+  const toRollBack = (await loadMigrations())
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRollBack) {
+    console.log(`⬇️  Rolling back ${migration.version}_${migration.name}`);
+    await runStep(session, migration.down);
+    await session.run(
+      'MATCH (m:SchemaMigration {version: $version}) DELETE m',
+      { version: neo4j.int(migration.version) }
+    );
+  }
+
+  return toRollBack;
+}
+
+// Command-line entry point: up | status | rollback [steps]
+async function main() {
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(session);
+        console.log(applied.length > 0
+          ? `✅ Applied ${applied.length} migrations`
+          : '✅ Database schema is up to date');
+        break;
+      }
+      case 'rollback': {
+        const steps = arg ? parseInt(arg) : 1;
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('Usage: rollback [steps] (steps must be a positive integer)');
+        }
+        const rolledBack = await migrateRollback(session, steps);
+        console.log(`✅ Rolled back ${rolledBack.length} migrations`);
+        break;
+      }
+      case 'status': {
+        console.log('📋 Migrations:');
+        for (const migration of await migrationStatus(session)) {
+          const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+          console.log(`   ${migration.appliedAt ? '✅' : '⏳'} ${migration.version}_${migration.name} (${state})`);
+        }
+
+        const { missing, violations } = await checkSchema(session);
+        console.log('\n📐 Schema:');
+        if (missing.length === 0 && violations.length === 0) {
+          console.log('   ✅ Database matches the declared schema');
+        }
+        missing.forEach(object => {
+          console.log(`   ⚠️  Missing ${object.type} ${object.name} on :${object.label}(${object.property ?? object.properties.join(', ')})`);
+        });
+        violations.forEach(violation => {
+          console.log(`   ⚠️  ${violation.count} :${violation.label} nodes without required ${violation.property}`);
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command} (expected up, status or rollback)`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export { loadMigrations, migrationStatus, migrateUp, migrateRollback };
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,47 @@
+// Constraints and indexes for the research, movie and user/product graphs
+
+export const description = 'Initial constraints and indexes';
+
+export const up = [
+  'CREATE CONSTRAINT paper_paperkey_unique IF NOT EXISTS FOR (n:Paper) REQUIRE n.paperKey IS UNIQUE',
+  'CREATE CONSTRAINT paper_doi_unique IF NOT EXISTS FOR (n:Paper) REQUIRE n.doi IS UNIQUE',
+  'CREATE INDEX paper_normalizedtitle_index IF NOT EXISTS FOR (n:Paper) ON (n.normalizedTitle)',
+  'CREATE INDEX paper_normalizeddoi_index IF NOT EXISTS FOR (n:Paper) ON (n.normalizedDoi)',
+  'CREATE INDEX paper_year_index IF NOT EXISTS FOR (n:Paper) ON (n.year)',
+  'CREATE CONSTRAINT author_authorid_unique IF NOT EXISTS FOR (n:Author) REQUIRE n.authorId IS UNIQUE',
+  'CREATE INDEX author_name_index IF NOT EXISTS FOR (n:Author) ON (n.name)',
+  'CREATE CONSTRAINT reference_title_unique IF NOT EXISTS FOR (n:Reference) REQUIRE n.title IS UNIQUE',
+  'CREATE INDEX reference_normalizedtitle_index IF NOT EXISTS FOR (n:Reference) ON (n.normalizedTitle)',
+  'CREATE INDEX reference_normalizeddoi_index IF NOT EXISTS FOR (n:Reference) ON (n.normalizedDoi)',
+  'CREATE CONSTRAINT authorproposal_id_unique IF NOT EXISTS FOR (n:AuthorProposal) REQUIRE n.id IS UNIQUE',
+  'CREATE INDEX authorproposal_status_index IF NOT EXISTS FOR (n:AuthorProposal) ON (n.status)',
+  'CREATE CONSTRAINT user_email_unique IF NOT EXISTS FOR (n:User) REQUIRE n.email IS UNIQUE',
+  'CREATE INDEX user_name_index IF NOT EXISTS FOR (n:User) ON (n.name)',
+  'CREATE INDEX product_name_index IF NOT EXISTS FOR (n:Product) ON (n.name)',
+  'CREATE INDEX product_category_index IF NOT EXISTS FOR (n:Product) ON (n.category)',
+  'CREATE INDEX person_name_index IF NOT EXISTS FOR (n:Person) ON (n.name)',
+  'CREATE CONSTRAINT movie_title_unique IF NOT EXISTS FOR (n:Movie) REQUIRE n.title IS UNIQUE',
+  'CREATE INDEX movie_released_index IF NOT EXISTS FOR (n:Movie) ON (n.released)'
+];
+
+export const down = [
+  'DROP INDEX movie_released_index IF EXISTS',
+  'DROP CONSTRAINT movie_title_unique IF EXISTS',
+  'DROP INDEX person_name_index IF EXISTS',
+  'DROP INDEX product_category_index IF EXISTS',
+  'DROP INDEX product_name_index IF EXISTS',
+  'DROP INDEX user_name_index IF EXISTS',
+  'DROP CONSTRAINT user_email_unique IF EXISTS',
+  'DROP INDEX authorproposal_status_index IF EXISTS',
+  'DROP CONSTRAINT authorproposal_id_unique IF EXISTS',
+  'DROP INDEX reference_normalizeddoi_index IF EXISTS',
+  'DROP INDEX reference_normalizedtitle_index IF EXISTS',
+  'DROP CONSTRAINT reference_title_unique IF EXISTS',
+  'DROP INDEX author_name_index IF EXISTS',
+  'DROP CONSTRAINT author_authorid_unique IF EXISTS',
+  'DROP INDEX paper_year_index IF EXISTS',
+  'DROP INDEX paper_normalizeddoi_index IF EXISTS',
+  'DROP INDEX paper_normalizedtitle_index IF EXISTS',
+  'DROP CONSTRAINT paper_doi_unique IF EXISTS',
+  'DROP CONSTRAINT paper_paperkey_unique IF EXISTS'
+];
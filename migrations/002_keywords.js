@@ -0,0 +1,11 @@
+// Keyword nodes extracted from paper titles and abstracts
+
+export const description = 'Keyword name constraint';
+
+export const up = [
+  'CREATE CONSTRAINT keyword_name_unique IF NOT EXISTS FOR (n:Keyword) REQUIRE n.name IS UNIQUE'
+];
+
+export const down = [
+  'DROP CONSTRAINT keyword_name_unique IF EXISTS'
+];
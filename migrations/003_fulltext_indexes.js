@@ -0,0 +1,16 @@
+// Full-text indexes used by search.js
+
+export const description = 'Full-text indexes on paper, author and reference text';
+
+export const up = [
+  'CREATE FULLTEXT INDEX paper_fulltext IF NOT EXISTS FOR (n:Paper) ON EACH [n.title, n.abstract]',
+  'CREATE FULLTEXT INDEX author_fulltext IF NOT EXISTS FOR (n:Author) ON EACH [n.name]',
+  'CREATE FULLTEXT INDEX reference_fulltext IF NOT EXISTS FOR (n:Reference) ON EACH [n.title]',
+  'CALL db.awaitIndexes()'
+];
+
+export const down = [
+  'DROP INDEX reference_fulltext IF EXISTS',
+  'DROP INDEX author_fulltext IF EXISTS',
+  'DROP INDEX paper_fulltext IF EXISTS'
+];
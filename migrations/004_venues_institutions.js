@@ -0,0 +1,21 @@
+// Venue and Institution nodes from TEI header metadata
+
+export const description = 'Venue and institution constraints and indexes';
+
+export const up = [
+  'CREATE CONSTRAINT venue_venuekey_unique IF NOT EXISTS FOR (n:Venue) REQUIRE n.venueKey IS UNIQUE',
+  'CREATE INDEX venue_name_index IF NOT EXISTS FOR (n:Venue) ON (n.name)',
+  'CREATE INDEX venue_issn_index IF NOT EXISTS FOR (n:Venue) ON (n.issn)',
+  'CREATE CONSTRAINT institution_institutionkey_unique IF NOT EXISTS FOR (n:Institution) REQUIRE n.institutionKey IS UNIQUE',
+  'CREATE INDEX institution_name_index IF NOT EXISTS FOR (n:Institution) ON (n.name)',
+  'CREATE INDEX institution_countrycode_index IF NOT EXISTS FOR (n:Institution) ON (n.countryCode)'
+];
+
+export const down = [
+  'DROP INDEX institution_countrycode_index IF EXISTS',
+  'DROP INDEX institution_name_index IF EXISTS',
+  'DROP CONSTRAINT institution_institutionkey_unique IF EXISTS',
+  'DROP INDEX venue_issn_index IF EXISTS',
+  'DROP INDEX venue_name_index IF EXISTS',
+  'DROP CONSTRAINT venue_venuekey_unique IF EXISTS'
+];
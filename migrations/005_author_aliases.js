@@ -0,0 +1,25 @@
+// Merge redirects for author disambiguation: (:AuthorAlias)-[:ALIAS_OF]->(:Author)
+
+export const description = 'Author alias constraint, from the mergedIds of earlier merges';
+
+export async function up(session) {
+  await session.run('CREATE CONSTRAINT authoralias_authorid_unique IF NOT EXISTS FOR (n:AuthorAlias) REQUIRE n.authorId IS UNIQUE');
+  await session.run(`
+    MATCH (a:Author) WHERE a.mergedIds IS NOT NULL
+    UNWIND a.mergedIds AS mergedId
+    MERGE (alias:AuthorAlias {authorId: mergedId})
+    MERGE (alias)-[:ALIAS_OF]->(a)
+    WITH DISTINCT a
+    REMOVE a.mergedIds
+  `);
+}
+
+export async function down(session) {
+  await session.run(`
+    MATCH (alias:AuthorAlias)-[:ALIAS_OF]->(a:Author)
+    WITH a, collect(alias.authorId) AS mergedIds
+    SET a.mergedIds = mergedIds
+  `);
+  await session.run('MATCH (alias:AuthorAlias) DETACH DELETE alias');
+  await session.run('DROP CONSTRAINT authoralias_authorid_unique IF EXISTS');
+}
@@ -0,0 +1,185 @@
+import neo4j from 'neo4j-driver';
+import { SCHEMA } from './schema.js';
+import { toPlain } from './result-mapping.js';
+
+// Typed models for the labels this project writes. fromNode() turns a driver
+// Node (or its toPlain() form) into a model with plain JavaScript values;
+// toParams() turns a model back into query parameters, with integer fields
+// as neo4j Integers and datetime fields as DateTimes, so they are stored with
+// the right type. Required properties come from schema.js.
+//
+//   const paper = Paper.fromRecord(record, 'p');
+//   await session.run('MERGE (p:Paper {paperKey: $paperKey}) SET p += $props',
+//     { paperKey: paper.paperKey, props: paper.toParams() });
+//
+// Field types: string, integer, float, boolean, string[], datetime.
+
+class ModelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelError';
+  }
+}
+
+function toParam(value, type, name) {
+  if (value === null || value === undefined) return null;
+  switch (type) {
+    case 'integer':
+      if (typeof value === 'number' && !Number.isInteger(value)) {
+        throw new ModelError(`${name} must be an integer (got ${value})`);
+      }
+      return neo4j.int(value);
+    case 'float':
+      return Number(value);
+    case 'datetime':
+      return neo4j.types.DateTime.fromStandardDate(value instanceof Date ? value : new Date(value));
+    case 'string[]':
+      return value.map(String);
+    default:
+      return value;
+  }
+}
+
+class Model {
+  // Subclasses set label and fields ({ name: type })
+  static label = null;
+  static fields = {};
+
+  constructor(values = {}) {
+    this.id = values.id || null;
+    for (const [name, type] of Object.entries(this.constructor.fields)) {
+      const value = values[name];
+      this[name] = value === undefined || value === null ? (type === 'string[]' ? [] : null) : value;
+    }
+  }
+
+  static get required() {
+    return (SCHEMA[this.label] && SCHEMA[this.label].required) || [];
+  }
+
+  // options.integers is the toPlain() policy for integers outside ±2^53
+  static fromNode(node, options = {}) {
+    if (!node) return null;
+    const plain = node instanceof neo4j.types.Node ? toPlain(node, options) : node;
+    if (!plain.labels || !plain.labels.includes(this.label)) {
+      throw new ModelError(`Expected a :${this.label} node (got :${(plain.labels || []).join(':')})`);
+    }
+    return new this({ ...toPlain(plain.properties, options), id: plain.id });
+  }
+
+  static fromRecord(record, key, options = {}) {
+    return this.fromNode(record.get(key), options);
+  }
+
+  // Properties for a query; throws ModelError when a required one is missing
+  toParams() {
+    const { fields, required, label } = this.constructor;
+    const missing = required.filter(name => this[name] === null || this[name] === undefined || this[name] === '');
+    if (missing.length > 0) {
+      throw new ModelError(`${label} is missing required properties: ${missing.join(', ')}`);
+    }
+    return Object.fromEntries(Object.entries(fields)
+      .map(([name, type]) => [name, toParam(this[name], type, `${label}.${name}`)]));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      ...Object.fromEntries(Object.keys(this.constructor.fields).map(name => [name, this[name]]))
+    };
+  }
+}
+
+class Paper extends Model {
+  static label = 'Paper';
+  static fields = {
+    paperKey: 'string',
+    title: 'string',
+    abstract: 'string',
+    year: 'integer',
+    doi: 'string',
+    venue: 'string',
+    keywords: 'string[]',
+    sections: 'string[]',
+    body: 'string',
+    filename: 'string',
+    contentHash: 'string',
+    pagerank: 'float',
+    citationCount: 'integer',
+    createdAt: 'datetime',
+    updatedAt: 'datetime'
+  };
+}
+
+class Author extends Model {
+  static label = 'Author';
+  static fields = {
+    authorId: 'string',
+    name: 'string',
+    aliases: 'string[]',
+    affiliations: 'string[]',
+    orcid: 'string',
+    email: 'string',
+    hIndex: 'integer',
+    citationTotal: 'integer',
+    paperCount: 'integer'
+  };
+}
+
+class Reference extends Model {
+  static label = 'Reference';
+  static fields = {
+    title: 'string',
+    authors: 'string[]',
+    year: 'integer',
+    venue: 'string',
+    doi: 'string',
+    citationCount: 'integer'
+  };
+}
+
+class Person extends Model {
+  static label = 'Person';
+  static fields = {
+    name: 'string',
+    born: 'integer'
+  };
+}
+
+class Movie extends Model {
+  static label = 'Movie';
+  static fields = {
+    title: 'string',
+    released: 'integer',
+    tagline: 'string'
+  };
+}
+
+class User extends Model {
+  static label = 'User';
+  static fields = {
+    name: 'string',
+    email: 'string',
+    age: 'integer'
+  };
+}
+
+class Product extends Model {
+  static label = 'Product';
+  static fields = {
+    name: 'string',
+    price: 'float',
+    category: 'string'
+  };
+}
+
+const MODELS = { Paper, Author, Reference, Person, Movie, User, Product };
+
+// The model for a node's first label that has one, or its plain form
+function toModel(node, options = {}) {
+  const plain = node instanceof neo4j.types.Node ? toPlain(node, options) : node;
+  const label = plain.labels.find(name => MODELS[name]);
+  return label ? MODELS[label].fromNode(plain, options) : plain;
+}
+
+export { ModelError, Model, Paper, Author, Reference, Person, Movie, User, Product, MODELS, toModel };
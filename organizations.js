@@ -0,0 +1,465 @@
+import neo4j from 'neo4j-driver';
+import { normalizeTitle } from './reference-resolver.js';
+import { formatTable, formatJson } from './output.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+
+// Venues and institutions for the research graph.
+//
+//   (:Paper)-[:PUBLISHED_IN {year, volume, issue, pages, proceedingsTitle}]->(:Venue)
+//   (:Author)-[:AFFILIATED_WITH {year}]->(:Institution)
+//   (:Institution)-[:PART_OF]->(:Institution)     laboratory > department > institution
+//
+// Venues are keyed on ISSN, else (for conferences) on the conference series
+// with years and ordinals stripped, else on the normalized title, so every
+// year's proceedings of a conference share one Venue. Institutions are keyed
+// on the normalized name, prefixed by their parent's key for sub-units.
+// Countries are normalized to ISO 3166 codes and English names.
+//
+// Which institutions an author listed on a paper is kept on the AUTHORED
+// relationship (institutionKeys); AFFILIATED_WITH is derived from it, one
+// relationship per publication year.
+//
+//   node organizations.js collaborations [--level institution|country] [--limit n] [--json]
+//   node organizations.js institutions [--limit n]
+//   node organizations.js venues [--limit n]
+//   node organizations.js venue <venueKey>
+
+const DEFAULT_LIMIT = 20;
+
+const REGION_NAMES = new Intl.DisplayNames(['en'], { type: 'region' });
+const NOT_COUNTRIES = new Set(['EU', 'EZ', 'UN', 'QO', 'ZZ', 'XA', 'XB']);
+
+// Spellings GROBID commonly finds that are not the English country name
+const COUNTRY_ALIASES = {
+  'usa': 'US', 'u s a': 'US', 'u s': 'US', 'united states of america': 'US', 'america': 'US',
+  'uk': 'GB', 'u k': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB', 'great britain': 'GB',
+  'northern ireland': 'GB', 'pr china': 'CN', 'p r china': 'CN', 'peoples republic of china': 'CN',
+  'people s republic of china': 'CN', 'korea': 'KR', 'south korea': 'KR', 'republic of korea': 'KR',
+  'czech republic': 'CZ', 'russian federation': 'RU', 'the netherlands': 'NL', 'holland': 'NL',
+  'deutschland': 'DE', 'hong kong': 'HK', 'macau': 'MO', 'macao': 'MO', 'viet nam': 'VN',
+  'iran islamic republic of': 'IR', 'turkey': 'TR', 'uae': 'AE'
+};
+
+let countryCodesByName = null;
+
+// Folded English region names for every ISO code, built on first use
+function countryCodeByName(name) {
+  if (!countryCodesByName) {
+    countryCodesByName = new Map();
+    for (let a = 65; a <= 90; a++) {
+      for (let b = 65; b <= 90; b++) {
+        const code = String.fromCharCode(a, b);
+        const regionName = REGION_NAMES.of(code);
+        if (regionName !== code && !NOT_COUNTRIES.has(code)) {
+          countryCodesByName.set(normalizeTitle(regionName), code);
+        }
+      }
+    }
+  }
+  const folded = normalizeTitle(name);
+  return COUNTRY_ALIASES[folded] || countryCodesByName.get(folded) || null;
+}
+
+// { country, countryCode } from GROBID's <country key="..">name</country>;
+// unknown names are kept as given, without a code
+function normalizeCountry(name, code) {
+  let countryCode = code && /^[A-Za-z]{2}$/.test(code) ? code.toUpperCase() : null;
+  if (countryCode && REGION_NAMES.of(countryCode) === countryCode) countryCode = null;
+  if (!countryCode && name) countryCode = countryCodeByName(name);
+  return {
+    country: countryCode ? REGION_NAMES.of(countryCode) : name || null,
+    countryCode
+  };
+}
+
+// The units of one structured affiliation, outermost first, each with its
+// key and its parent's key
+function institutionUnits(affiliation) {
+  const location = {
+    ...normalizeCountry(affiliation.country, affiliation.countryCode),
+    settlement: affiliation.settlement || null,
+    region: affiliation.region || null
+  };
+
+  const units = [];
+  let parentKey = null;
+  for (const type of ['institution', 'department', 'laboratory']) {
+    const name = affiliation[type];
+    const normalized = normalizeTitle(name);
+    if (!normalized) continue;
+    const key = parentKey ? `${parentKey}/${normalized}` : normalized;
+    units.push({ key, parentKey, name, type, ...location });
+    parentKey = key;
+  }
+  return units;
+}
+
+const ORDINAL_WORDS = new RegExp(
+  '\\b((twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)[- ]?)?' +
+  '(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|eleventh|twelfth|thirteenth|' +
+  'fourteenth|fifteenth|sixteenth|seventeenth|eighteenth|nineteenth|twentieth|thirtieth|fortieth|fiftieth)\\b',
+  'gi'
+);
+
+// The conference series of a proceedings title, without the edition:
+// "Proceedings of the 57th Annual Meeting of the ACL (ACL 2019)" gives
+// { series: "Annual Meeting of the ACL", acronym: "ACL" }
+function conferenceSeries(title) {
+  const acronym = title.match(/\(\s*([A-Z][A-Za-z&-]*[A-Z])\s*['’]?\s*(?:\d{2}|\d{4})?\s*\)/);
+  const series = title
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/^\s*(proceedings|proc\.)\s+of\s+/i, '')
+    .replace(/\b(19|20)\d{2}\b/g, ' ')
+    .replace(/\b\d+(st|nd|rd|th)\b/gi, ' ')
+    .replace(ORDINAL_WORDS, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,.:;-]+|[\s,.:;-]+$/g, '')
+    .replace(/^the\s+/i, '');
+  return { series: series || title, acronym: acronym ? acronym[1] : null };
+}
+
+function normalizeIssn(issn) {
+  const digits = (issn || '').toUpperCase().replace(/[^0-9X]/g, '');
+  return digits.length === 8 ? `${digits.substring(0, 4)}-${digits.substring(4)}` : null;
+}
+
+const CONFERENCE_TITLE = /\b(proceedings|proc\.|conference|symposium|workshop|congress|meeting)\b/i;
+
+// A Venue node and PUBLISHED_IN properties from tei-parser's venueDetails,
+// or from a bare venue name (bibliography imports); null without a title
+function normalizeVenue(details) {
+  if (typeof details === 'string') details = { title: details };
+  if (!details || !details.title) return null;
+
+  const issn = normalizeIssn(details.issn);
+  const eissn = normalizeIssn(details.eissn);
+  let type = null;
+  if (details.meeting || CONFERENCE_TITLE.test(details.title)) type = 'conference';
+  else if (details.level === 'j' || issn || eissn) type = 'journal';
+  else if (details.level === 'm') type = 'book';
+
+  const { series, acronym } = type === 'conference' ? conferenceSeries(details.title) : { series: null, acronym: null };
+  const name = series || details.title;
+  let venueKey;
+  if (issn || eissn) venueKey = `issn:${issn || eissn}`;
+  else venueKey = `${type === 'conference' ? 'series' : 'name'}:${normalizeTitle(name)}`;
+
+  return {
+    venueKey,
+    name,
+    type,
+    issn,
+    eissn,
+    abbreviation: details.abbreviation || acronym || null,
+    publisher: details.publisher || null,
+    // PUBLISHED_IN properties
+    proceedingsTitle: type === 'conference' ? details.title : null,
+    volume: details.volume || null,
+    issue: details.issue || null,
+    pages: details.pages || null
+  };
+}
+
+// Write a paper's venue and its authors' institutions inside storePaper's
+// transaction. authors carry authorId and the tei-parser `institutions`;
+// call rebuildAffiliations for them afterwards.
+async function storeOrganizations(tx, paperKey, { venue, authors }) {
+  await tx.run(`
+    MATCH (p:Paper {paperKey: $paperKey})
+    OPTIONAL MATCH (p)-[old:PUBLISHED_IN]->()
+    DELETE old
+    WITH DISTINCT p
+    WHERE $venue IS NOT NULL
+    MERGE (v:Venue {venueKey: $venue.venueKey})
+    ON CREATE SET v.name = $venue.name
+    SET v.type = coalesce(v.type, $venue.type),
+        v.issn = coalesce(v.issn, $venue.issn),
+        v.eissn = coalesce(v.eissn, $venue.eissn),
+        v.abbreviation = coalesce(v.abbreviation, $venue.abbreviation),
+        v.publisher = coalesce(v.publisher, $venue.publisher)
+    CREATE (p)-[r:PUBLISHED_IN]->(v)
+    SET r.year = toInteger(p.year),
+        r.volume = $venue.volume,
+        r.issue = $venue.issue,
+        r.pages = $venue.pages,
+        r.proceedingsTitle = $venue.proceedingsTitle
+  `, { paperKey, venue: normalizeVenue(venue) });
+
+  const affiliations = authors.map(author => {
+    const units = (author.institutions || []).map(institutionUnits).filter(list => list.length > 0);
+    return {
+      authorId: author.authorId,
+      units: units.flat(),
+      institutionKeys: [...new Set(units.map(list => list[list.length - 1].key))]
+    };
+  });
+
+  await tx.run(`
+    MATCH (p:Paper {paperKey: $paperKey})
+    UNWIND $affiliations AS affiliation
+    MATCH (a:Author {authorId: affiliation.authorId})-[w:AUTHORED]->(p)
+    SET w.institutionKeys = affiliation.institutionKeys
+    WITH affiliation
+    UNWIND affiliation.units AS unit
+    MERGE (i:Institution {institutionKey: unit.key})
+    ON CREATE SET i.name = unit.name, i.type = unit.type
+    SET i.country = coalesce(i.country, unit.country),
+        i.countryCode = coalesce(i.countryCode, unit.countryCode),
+        i.settlement = coalesce(i.settlement, unit.settlement),
+        i.region = coalesce(i.region, unit.region)
+    FOREACH (parentKey IN CASE WHEN unit.parentKey IS NULL THEN [] ELSE [unit.parentKey] END |
+      MERGE (parent:Institution {institutionKey: parentKey})
+      MERGE (i)-[:PART_OF]->(parent)
+    )
+  `, { paperKey, affiliations });
+}
+
+// Recreate the authors' AFFILIATED_WITH relationships from the institutions
+// listed on their papers, one per publication year (no year when unknown)
+async function rebuildAffiliations(tx, authorIds) {
+  await tx.run(`
+    MATCH (a:Author) WHERE a.authorId IN $authorIds
+    OPTIONAL MATCH (a)-[old:AFFILIATED_WITH]->()
+    DELETE old
+    WITH DISTINCT a
+    MATCH (a)-[w:AUTHORED]->(p:Paper)
+    UNWIND coalesce(w.institutionKeys, []) AS key
+    MATCH (i:Institution {institutionKey: key})
+    WITH DISTINCT a, i, toInteger(p.year) AS year
+    FOREACH (_ IN CASE WHEN year IS NULL THEN [] ELSE [1] END |
+      MERGE (a)-[:AFFILIATED_WITH {year: year}]->(i)
+    )
+    FOREACH (_ IN CASE WHEN year IS NULL THEN [1] ELSE [] END |
+      MERGE (a)-[:AFFILIATED_WITH]->(i)
+    )
+  `, { authorIds });
+}
+
+// Keys of the venues and institutions a change to a paper could leave unused:
+// the paper's venue, and the institutions its authors (plus authorIds) are
+// affiliated with, directly or through a sub-unit. Read them before the
+// change and pass them to pruneOrganizations after it.
+async function organizationKeys(tx, paperKey, authorIds = []) {
+  const result = await tx.run(`
+    CALL {
+      OPTIONAL MATCH (:Paper {paperKey: $paperKey})-[:PUBLISHED_IN]->(v:Venue)
+      RETURN collect(v.venueKey) AS venueKeys
+    }
+    CALL {
+      CALL {
+        MATCH (a:Author)-[:AUTHORED]->(:Paper {paperKey: $paperKey})
+        RETURN a
+        UNION
+        MATCH (a:Author) WHERE a.authorId IN $authorIds
+        RETURN a
+      }
+      OPTIONAL MATCH (a)-[:AFFILIATED_WITH]->(:Institution)-[:PART_OF*0..]->(i:Institution)
+      RETURN collect(DISTINCT i.institutionKey) AS institutionKeys
+    }
+    RETURN venueKeys, institutionKeys
+  `, { paperKey, authorIds });
+  const record = result.records[0];
+  return { venueKeys: record.get('venueKeys'), institutionKeys: record.get('institutionKeys') };
+}
+
+// Delete those of the given venues no paper is published in and of the given
+// institutions no author is affiliated with (directly or through a sub-unit).
+// Only these are checked, so storing a paper does not scan every venue and
+// institution in the graph.
+async function pruneOrganizations(tx, { venueKeys = [], institutionKeys = [] } = {}) {
+  await tx.run(`
+    MATCH (v:Venue) WHERE v.venueKey IN $venueKeys AND NOT (:Paper)-[:PUBLISHED_IN]->(v)
+    DETACH DELETE v
+  `, { venueKeys });
+  await tx.run(`
+    MATCH (i:Institution) WHERE i.institutionKey IN $institutionKeys
+      AND NOT EXISTS { MATCH (:Author)-[:AFFILIATED_WITH]->(:Institution)-[:PART_OF*0..]->(i) }
+    DETACH DELETE i
+  `, { institutionKeys });
+}
+
+// Root institution (or country) pairs whose members co-authored papers
+async function institutionCollaborations(session, { level = 'institution', limit = DEFAULT_LIMIT } = {}) {
+  if (level !== 'institution' && level !== 'country') {
+    throw new Error(`Unknown level: ${level} (expected institution or country)`);
+  }
+  const group = level === 'country'
+    ? 'root.countryCode AS member WHERE member IS NOT NULL'
+    : 'root AS member';
+  const result = await session.run(`
+    MATCH (p:Paper)<-[w:AUTHORED]-(:Author)
+    UNWIND coalesce(w.institutionKeys, []) AS key
+    MATCH (:Institution {institutionKey: key})-[:PART_OF*0..]->(root:Institution)
+    WHERE NOT (root)-[:PART_OF]->()
+    WITH p, ${group}
+    WITH p, collect(DISTINCT member) AS members
+    WHERE size(members) > 1
+    UNWIND members AS m1
+    UNWIND members AS m2
+    WITH p, m1, m2 WHERE ${level === 'country' ? 'm1 < m2' : 'elementId(m1) < elementId(m2)'}
+    WITH m1, m2, count(p) AS papers, collect(p.title)[..3] AS examples
+    ORDER BY papers DESC
+    LIMIT $limit
+    RETURN ${level === 'country'
+      ? 'm1 AS country1, m2 AS country2'
+      : 'm1.name AS institution1, m1.countryCode AS country1, m2.name AS institution2, m2.countryCode AS country2'},
+      papers, examples
+  `, { limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+// Root institutions by number of papers, with their sub-units and authors
+async function institutionStatistics(session, { limit = DEFAULT_LIMIT } = {}) {
+  const result = await session.run(`
+    MATCH (root:Institution) WHERE NOT (root)-[:PART_OF]->()
+    CALL {
+      WITH root
+      MATCH (unit:Institution)-[:PART_OF*0..]->(root)
+      OPTIONAL MATCH (a:Author)-[w:AUTHORED]->(p:Paper)
+      WHERE unit.institutionKey IN w.institutionKeys
+      RETURN count(DISTINCT unit) - 1 AS subUnits, count(DISTINCT a) AS authors, count(DISTINCT p) AS papers,
+        min(p.year) AS firstYear, max(p.year) AS lastYear
+    }
+    RETURN root.name AS institution, root.country AS country, subUnits, authors, papers,
+      toInteger(firstYear) AS firstYear, toInteger(lastYear) AS lastYear
+    ORDER BY papers DESC, authors DESC, institution
+    LIMIT $limit
+  `, { limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+// Venues by number of papers, with citations received from papers in the graph
+async function venueStatistics(session, { limit = DEFAULT_LIMIT } = {}) {
+  const result = await session.run(`
+    MATCH (v:Venue)<-[r:PUBLISHED_IN]-(p:Paper)
+    WITH v, count(p) AS papers, min(r.year) AS firstYear, max(r.year) AS lastYear,
+      sum(COUNT { (:Paper)-[:CITES]->(p) }) AS citations
+    CALL {
+      WITH v
+      MATCH (v)<-[:PUBLISHED_IN]-(:Paper)<-[:AUTHORED]-(a:Author)
+      RETURN count(DISTINCT a) AS authors
+    }
+    RETURN v.venueKey AS venueKey, v.name AS venue, v.type AS type, papers, authors,
+      firstYear, lastYear, citations, round(toFloat(citations) / papers, 2) AS citationsPerPaper
+    ORDER BY papers DESC, citations DESC, venue
+    LIMIT $limit
+  `, { limit: neo4j.int(limit) });
+  return result.records.map(record => record.toObject());
+}
+
+// One venue: its properties, papers per year, and top authors and institutions
+async function venueDetails(session, venueKey, { limit = 10 } = {}) {
+  const venue = await session.run('MATCH (v:Venue {venueKey: $venueKey}) RETURN v', { venueKey });
+  if (venue.records.length === 0) return null;
+
+  const byYear = await session.run(`
+    MATCH (:Venue {venueKey: $venueKey})<-[r:PUBLISHED_IN]-(p:Paper)
+    RETURN r.year AS year, count(p) AS papers, sum(COUNT { (:Paper)-[:CITES]->(p) }) AS citations
+    ORDER BY year
+  `, { venueKey });
+  const authors = await session.run(`
+    MATCH (:Venue {venueKey: $venueKey})<-[:PUBLISHED_IN]-(p:Paper)<-[:AUTHORED]-(a:Author)
+    RETURN a.authorId AS authorId, a.name AS author, count(p) AS papers
+    ORDER BY papers DESC, author
+    LIMIT $limit
+  `, { venueKey, limit: neo4j.int(limit) });
+  const institutions = await session.run(`
+    MATCH (:Venue {venueKey: $venueKey})<-[:PUBLISHED_IN]-(p:Paper)<-[w:AUTHORED]-(:Author)
+    UNWIND coalesce(w.institutionKeys, []) AS key
+    MATCH (:Institution {institutionKey: key})-[:PART_OF*0..]->(root:Institution)
+    WHERE NOT (root)-[:PART_OF]->()
+    RETURN root.name AS institution, root.country AS country, count(DISTINCT p) AS papers
+    ORDER BY papers DESC, institution
+    LIMIT $limit
+  `, { venueKey, limit: neo4j.int(limit) });
+
+  return {
+    venue: venue.records[0].get('v').properties,
+    byYear: byYear.records.map(record => record.toObject()),
+    authors: authors.records.map(record => record.toObject()),
+    institutions: institutions.records.map(record => record.toObject())
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const json = args.includes('--json');
+  const limit = option('--limit') !== undefined ? parseInt(option('--limit'), 10) : DEFAULT_LIMIT;
+  const [command, venueKey] = args.filter((arg, i) =>
+    !arg.startsWith('--') && !['--limit', '--level'].includes(args[i - 1]));
+
+  if (!['collaborations', 'institutions', 'venues', 'venue'].includes(command) ||
+    (command === 'venue' && !venueKey) || !(limit > 0)) {
+    console.error('Usage: node organizations.js collaborations [--level institution|country] | institutions | venues | venue <venueKey>');
+    console.error('       [--limit n] [--json]');
+    process.exitCode = 2;
+    return;
+  }
+
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+
+  try {
+    let sections;
+    switch (command) {
+      case 'collaborations':
+        sections = { 'Collaborations': await institutionCollaborations(session, { level: option('--level'), limit }) };
+        break;
+      case 'institutions':
+        sections = { 'Institutions': await institutionStatistics(session, { limit }) };
+        break;
+      case 'venues':
+        sections = { 'Venues': await venueStatistics(session, { limit }) };
+        break;
+      case 'venue': {
+        const details = await venueDetails(session, venueKey, { limit });
+        if (!details) throw new Error(`Venue not found: ${venueKey}`);
+        sections = {
+          [details.venue.name]: [details.venue],
+          'Papers by year': details.byYear,
+          'Top authors': details.authors,
+          'Top institutions': details.institutions
+        };
+        break;
+      }
+    }
+
+    if (json) {
+      process.stdout.write(formatJson(sections) + '\n');
+    } else {
+      console.log(Object.entries(sections)
+        .map(([title, rows]) => `${title}\n${formatTable(rows)}`)
+        .join('\n\n'));
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export {
+  normalizeCountry,
+  institutionUnits,
+  conferenceSeries,
+  normalizeVenue,
+  storeOrganizations,
+  rebuildAffiliations,
+  organizationKeys,
+  pruneOrganizations,
+  institutionCollaborations,
+  institutionStatistics,
+  venueStatistics,
+  venueDetails
+};
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,55 @@
+import { toPlain } from './result-mapping.js';
+
+// Turning query results into JSON, text tables or Markdown for the CLI, REST API and reports
+
+// Convert driver values (Integers, Nodes, Relationships, temporals) to JSON;
+// integers outside the safe range become strings
+function serialize(value) {
+  return toPlain(value);
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Plain-text table with a header row; columns are the union of row keys
+function formatTable(rows) {
+  const data = rows.map(serialize);
+  if (data.length === 0) return '(no rows)';
+
+  const columns = [...new Set(data.flatMap(row => Object.keys(row)))];
+  const cells = data.map(row => columns.map(column => cellText(row[column])));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map(row => row[i].length))
+  );
+
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+// GitHub-flavoured Markdown table; pipes and newlines in cells are escaped
+function formatMarkdownTable(rows) {
+  const data = rows.map(serialize);
+  if (data.length === 0) return '_No rows_';
+
+  const columns = [...new Set(data.flatMap(row => Object.keys(row)))];
+  const cell = value => cellText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const line = values => `| ${values.join(' | ')} |`;
+  return [
+    line(columns.map(cell)),
+    line(columns.map(() => '---')),
+    ...data.map(row => line(columns.map(column => cell(row[column]))))
+  ].join('\n');
+}
+
+function formatJson(value) {
+  return JSON.stringify(serialize(value), null, 2);
+}
+
+export { serialize, formatTable, formatMarkdownTable, formatJson };
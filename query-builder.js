@@ -0,0 +1,231 @@
+import neo4j from 'neo4j-driver';
+
+// Builds parameterized Cypher for the generic node/relationship helpers.
+// Labels, relationship types and property keys cannot be passed as query
+// parameters, so every identifier is checked against an allowlist and
+// backtick-quoted here; all values go through parameters.
+
+class InvalidQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidQueryError';
+  }
+}
+
+const OPERATORS = {
+  eq: (target, param) => `${target} = ${param}`,
+  ne: (target, param) => `${target} <> ${param}`,
+  gt: (target, param) => `${target} > ${param}`,
+  gte: (target, param) => `${target} >= ${param}`,
+  lt: (target, param) => `${target} < ${param}`,
+  lte: (target, param) => `${target} <= ${param}`,
+  in: (target, param) => `${target} IN ${param}`,
+  contains: (target, param) => `${target} CONTAINS ${param}`,
+  startsWith: (target, param) => `${target} STARTS WITH ${param}`,
+  endsWith: (target, param) => `${target} ENDS WITH ${param}`
+};
+
+// Plain identifiers, and the few other characters allowed inside backticks
+// (space, "-" and "."). Everything else, including backslashes and
+// backticks, is rejected rather than escaped, so the result does not depend
+// on how a server version parses escapes in quoted identifiers.
+const IDENTIFIER = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+const QUOTED_IDENTIFIER = /^[\p{L}\p{N}_][\p{L}\p{N}_ .-]*$/u;
+
+// Validate a label, relationship type or property key and quote it
+function escapeIdentifier(name, kind = 'identifier') {
+  if (typeof name !== 'string' || name.length === 0 || name.length > 255) {
+    throw new InvalidQueryError(`Invalid ${kind}: ${JSON.stringify(name)}`);
+  }
+  if (!IDENTIFIER.test(name) && !QUOTED_IDENTIFIER.test(name)) {
+    throw new InvalidQueryError(`Invalid ${kind}: ${JSON.stringify(name)} (only letters, digits, _, space, - and . are allowed)`);
+  }
+  return '`' + name + '`';
+}
+
+// ":`A`:`B`" for one or more labels
+function labelExpression(labels) {
+  const list = Array.isArray(labels) ? labels : [labels];
+  if (list.length === 0) {
+    throw new InvalidQueryError('At least one label is required');
+  }
+  return list.map(label => ':' + escapeIdentifier(label, 'label')).join('');
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !neo4j.isInt(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// WHERE conditions for `alias`. A plain value means equality; an object maps
+// operators to values, e.g. { age: { gt: 20, lt: 40 }, email: { isNull: false } }
+function buildWhere(alias, filters = {}, paramPrefix = alias) {
+  const conditions = [];
+  const params = {};
+
+  Object.entries(filters).forEach(([key, value], i) => {
+    const target = `${alias}.${escapeIdentifier(key, 'property key')}`;
+    const operators = isOperatorObject(value) ? value : { eq: value };
+
+    for (const [operator, operand] of Object.entries(operators)) {
+      if (operator === 'isNull') {
+        conditions.push(`${target} ${operand ? 'IS NULL' : 'IS NOT NULL'}`);
+        continue;
+      }
+      if (!OPERATORS[operator]) {
+        throw new InvalidQueryError(`Unknown operator "${operator}" for property ${key}`);
+      }
+      if (operator === 'in' && !Array.isArray(operand)) {
+        throw new InvalidQueryError(`Operator "in" for property ${key} needs an array`);
+      }
+
+      const paramName = `${paramPrefix}_${i}_${operator}`;
+      params[paramName] = operand;
+      conditions.push(OPERATORS[operator](target, `$${paramName}`));
+    }
+  });
+
+  return { conditions, params };
+}
+
+// "name", "-age" or { property: 'age', direction: 'DESC' }
+function buildOrderBy(alias, orderBy) {
+  if (!orderBy) return '';
+  const list = Array.isArray(orderBy) ? orderBy : [orderBy];
+  const clauses = list.map(entry => {
+    const spec = typeof entry === 'string'
+      ? { property: entry.replace(/^-/, ''), direction: entry.startsWith('-') ? 'DESC' : 'ASC' }
+      : entry;
+    const direction = (spec.direction || 'ASC').toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw new InvalidQueryError(`Invalid sort direction: ${spec.direction}`);
+    }
+    return `${alias}.${escapeIdentifier(spec.property, 'property key')} ${direction}`;
+  });
+  return clauses.length > 0 ? `ORDER BY ${clauses.join(', ')}` : '';
+}
+
+function paginationValue(value, name) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new InvalidQueryError(`${name} must be a non-negative integer`);
+  }
+  return neo4j.int(value);
+}
+
+// MATCH (n:Labels) WHERE ... [WITH n ORDER BY ... SKIP ... LIMIT ...] RETURN n
+// options.properties projects only the given keys instead of the whole node
+function buildMatchNodes(labels, filters = {}, options = {}) {
+  const { conditions, params } = buildWhere('n', filters);
+  const parts = [`MATCH (n${labelExpression(labels)})`];
+
+  if (conditions.length > 0) {
+    parts.push(`WHERE ${conditions.join(' AND ')}`);
+  }
+
+  // Sort and paginate before projecting, so ORDER BY can use any property
+  const page = [];
+  const orderBy = buildOrderBy('n', options.orderBy);
+  if (orderBy) page.push(orderBy);
+
+  if (options.skip !== undefined) {
+    page.push('SKIP $skip');
+    params.skip = paginationValue(options.skip, 'skip');
+  }
+  if (options.limit !== undefined) {
+    page.push('LIMIT $limit');
+    params.limit = paginationValue(options.limit, 'limit');
+  }
+  if (page.length > 0) {
+    parts.push(`WITH n ${page.join(' ')}`);
+  }
+
+  if (options.properties) {
+    const projection = options.properties.map(key => '.' + escapeIdentifier(key, 'property key'));
+    parts.push(`RETURN n {${projection.join(', ')}} AS n`);
+  } else {
+    parts.push('RETURN n');
+  }
+
+  return { query: parts.join('\n'), params };
+}
+
+// MATCH (n:Labels) WHERE ... RETURN count(n) AS count
+function buildCountNodes(labels, filters = {}) {
+  const { conditions, params } = buildWhere('n', filters);
+  const parts = [`MATCH (n${labelExpression(labels)})`];
+  if (conditions.length > 0) {
+    parts.push(`WHERE ${conditions.join(' AND ')}`);
+  }
+  parts.push('RETURN count(n) AS count');
+  return { query: parts.join('\n'), params };
+}
+
+function buildCreateNode(labels, properties = {}) {
+  return {
+    query: `CREATE (n${labelExpression(labels)} $props) RETURN n`,
+    params: { props: properties }
+  };
+}
+
+// MATCH both endpoints by their properties, then CREATE the relationship
+function buildCreateRelationship(from, to, relType, relProps = {}) {
+  const fromWhere = buildWhere('a', from.properties, 'from');
+  const toWhere = buildWhere('b', to.properties, 'to');
+  const conditions = [...fromWhere.conditions, ...toWhere.conditions];
+
+  if (fromWhere.conditions.length === 0 || toWhere.conditions.length === 0) {
+    throw new InvalidQueryError('Both relationship endpoints need at least one property to match on');
+  }
+
+  return {
+    query: [
+      `MATCH (a${labelExpression(from.labels)}), (b${labelExpression(to.labels)})`,
+      `WHERE ${conditions.join(' AND ')}`,
+      `CREATE (a)-[r:${escapeIdentifier(relType, 'relationship type')} $relProps]->(b)`,
+      'RETURN a, r, b'
+    ].join('\n'),
+    params: { ...fromWhere.params, ...toWhere.params, relProps }
+  };
+}
+
+// UNWIND $rows AS row CREATE (n:Labels) SET n = row
+function buildCreateNodes(labels) {
+  return [
+    'UNWIND $rows AS row',
+    `CREATE (n${labelExpression(labels)})`,
+    'SET n = row',
+    'RETURN count(n) AS count'
+  ].join('\n');
+}
+
+// spec: { from: { label, key }, to: { label, key }, type }
+// Each row is { from: <key value>, to: <key value>, properties: {...} }
+function buildCreateRelationships(spec) {
+  const { from, to, type } = spec;
+  if (!from || !to || !from.key || !to.key) {
+    throw new InvalidQueryError('Relationship spec needs from.label/from.key and to.label/to.key');
+  }
+
+  return [
+    'UNWIND $rows AS row',
+    `MATCH (a${labelExpression(from.label)} {${escapeIdentifier(from.key, 'property key')}: row.from})`,
+    `MATCH (b${labelExpression(to.label)} {${escapeIdentifier(to.key, 'property key')}: row.to})`,
+    `CREATE (a)-[r:${escapeIdentifier(type, 'relationship type')}]->(b)`,
+    'SET r = coalesce(row.properties, {})',
+    'RETURN count(r) AS count'
+  ].join('\n');
+}
+
+export {
+  InvalidQueryError,
+  escapeIdentifier,
+  labelExpression,
+  buildWhere,
+  buildOrderBy,
+  buildMatchNodes,
+  buildCountNodes,
+  buildCreateNode,
+  buildCreateRelationship,
+  buildCreateNodes,
+  buildCreateRelationships
+};
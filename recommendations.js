@@ -0,0 +1,224 @@
+import neo4j from 'neo4j-driver';
+import { formatTable, formatJson } from './output.js';
+import { checkConnectionConfig, openSession, closeDriver } from './connection.js';
+import { mapRecords } from './result-mapping.js';
+
+// Recommendations for the User/Product example graph, computed at query time
+// from (:User)-[:PURCHASED]->(:Product) and (:User)-[:FOLLOWS]->(:User).
+// Every result has a score and the purchases or follows that produced it:
+//
+//   also-bought   products bought by the same users as a product; cosine of
+//                 the two products' buyer sets, with the shared buyers
+//   products      item-to-item collaborative filtering for a user: each
+//                 candidate scores the sum of its similarity to the products
+//                 the user bought, listed as `because`
+//   similar       users by purchase overlap, Jaccard (shared / all products
+//                 of either) or cosine (shared / sqrt(mine * theirs))
+//   follows       friend-of-friend suggestions: users followed by people the
+//                 user follows; the score is the number of such people (`via`)
+//   categories    unbought products in the user's categories; the score is
+//                 the category's share of the user's purchases
+//                 (boughtInCategory / purchases) times
+//                 (1 + the product's buyers / the most buyers of any unbought
+//                 product in the category) / 2
+//
+// Users are identified by email and products by name; buying a product more
+// than once counts once.
+//
+//   node recommendations.js also-bought <product> [--limit n] [--json]
+//   node recommendations.js products <email>
+//   node recommendations.js similar <email> [--metric jaccard|cosine]
+//   node recommendations.js follows <email>
+//   node recommendations.js categories <email>
+
+const DEFAULT_LIMIT = 10;
+const METRICS = ['jaccard', 'cosine'];
+
+// Products bought together with a product, by cosine similarity of buyers
+async function alsoBought(session, product, { limit = DEFAULT_LIMIT } = {}) {
+  const result = await session.run(`
+    MATCH (p:Product {name: $product})<-[:PURCHASED]-(buyer:User)-[:PURCHASED]->(other:Product)
+    WHERE other <> p
+    WITH p, other, collect(DISTINCT buyer) AS buyers
+    CALL {
+      WITH p, other
+      UNWIND [p, other] AS x
+      MATCH (u:User)-[:PURCHASED]->(x)
+      RETURN count(DISTINCT CASE WHEN x = p THEN u END) AS productBuyers,
+             count(DISTINCT CASE WHEN x = other THEN u END) AS otherBuyers
+    }
+    WITH other, buyers, size(buyers) / sqrt(toFloat(productBuyers * otherBuyers)) AS score
+    RETURN other.name AS product, other.category AS category, round(score, 4) AS score,
+      [buyer IN buyers | buyer.name] AS sharedBuyers
+    ORDER BY score DESC, size(buyers) DESC, product
+    LIMIT $limit
+  `, { product, limit: neo4j.int(limit) });
+  return mapRecords(result);
+}
+
+// Item-to-item collaborative filtering: products similar to what the user
+// bought, which they have not bought themselves
+async function recommendProducts(session, email, { limit = DEFAULT_LIMIT } = {}) {
+  const result = await session.run(`
+    MATCH (me:User {email: $email})-[:PURCHASED]->(mine:Product)
+    WITH collect(DISTINCT mine) AS owned
+    UNWIND owned AS mine
+    MATCH (mine)<-[:PURCHASED]-(peer:User)-[:PURCHASED]->(candidate:Product)
+    WHERE NOT candidate IN owned
+    WITH mine, candidate, count(DISTINCT peer) AS shared
+    CALL {
+      WITH mine, candidate
+      UNWIND [mine, candidate] AS x
+      MATCH (u:User)-[:PURCHASED]->(x)
+      RETURN count(DISTINCT CASE WHEN x = mine THEN u END) AS mineBuyers,
+             count(DISTINCT CASE WHEN x = candidate THEN u END) AS candidateBuyers
+    }
+    WITH candidate, mine, shared / sqrt(toFloat(mineBuyers * candidateBuyers)) AS similarity
+    ORDER BY similarity DESC, mine.name
+    WITH candidate, sum(similarity) AS score, collect(mine.name) AS because
+    RETURN candidate.name AS product, candidate.category AS category, round(score, 4) AS score, because
+    ORDER BY score DESC, product
+    LIMIT $limit
+  `, { email, limit: neo4j.int(limit) });
+  return mapRecords(result);
+}
+
+// Users with the most similar purchases, by Jaccard or cosine similarity
+async function similarUsers(session, email, { metric = 'jaccard', limit = DEFAULT_LIMIT } = {}) {
+  if (!METRICS.includes(metric)) {
+    throw new Error(`Unknown metric: ${metric} (expected ${METRICS.join(' or ')})`);
+  }
+  const result = await session.run(`
+    MATCH (me:User {email: $email})-[:PURCHASED]->(p:Product)<-[:PURCHASED]-(other:User)
+    WHERE other <> me
+    WITH me, other, collect(DISTINCT p) AS sharedProducts
+    CALL {
+      WITH me, other
+      UNWIND [me, other] AS u
+      MATCH (u)-[:PURCHASED]->(x:Product)
+      RETURN count(DISTINCT CASE WHEN u = me THEN x END) AS mine,
+             count(DISTINCT CASE WHEN u = other THEN x END) AS theirs
+    }
+    WITH other, sharedProducts, size(sharedProducts) AS shared, mine, theirs
+    WITH other, sharedProducts, shared,
+      CASE $metric
+        WHEN 'cosine' THEN shared / sqrt(toFloat(mine * theirs))
+        ELSE toFloat(shared) / (mine + theirs - shared)
+      END AS score
+    RETURN other.name AS name, other.email AS email, round(score, 4) AS score,
+      [p IN sharedProducts | p.name] AS sharedPurchases
+    ORDER BY score DESC, shared DESC, name
+    LIMIT $limit
+  `, { email, metric, limit: neo4j.int(limit) });
+  return mapRecords(result);
+}
+
+// Friend-of-friend follow suggestions. Ties go to users who already follow
+// the user, then to those with more purchases in common.
+async function suggestFollows(session, email, { limit = DEFAULT_LIMIT } = {}) {
+  const result = await session.run(`
+    MATCH (me:User {email: $email})-[:FOLLOWS]->(friend:User)-[:FOLLOWS]->(suggestion:User)
+    WHERE suggestion <> me AND NOT (me)-[:FOLLOWS]->(suggestion)
+    WITH me, suggestion, collect(DISTINCT friend) AS friends
+    OPTIONAL MATCH (me)-[:PURCHASED]->(p:Product)<-[:PURCHASED]-(suggestion)
+    WITH me, suggestion, friends, collect(DISTINCT p) AS sharedProducts
+    RETURN suggestion.name AS name, suggestion.email AS email, size(friends) AS score,
+      [friend IN friends | friend.name] AS via,
+      EXISTS { (suggestion)-[:FOLLOWS]->(me) } AS followsYou,
+      [p IN sharedProducts | p.name] AS sharedPurchases
+    ORDER BY score DESC, followsYou DESC, size(sharedProducts) DESC, name
+    LIMIT $limit
+  `, { email, limit: neo4j.int(limit) });
+  return mapRecords(result);
+}
+
+// Unbought products in the categories the user buys from, weighted by how
+// much of the user's buying the category accounts for and by popularity
+async function categorySuggestions(session, email, { limit = DEFAULT_LIMIT } = {}) {
+  const result = await session.run(`
+    MATCH (me:User {email: $email})-[:PURCHASED]->(mine:Product)
+    WITH collect(DISTINCT mine) AS owned
+    UNWIND owned AS mine
+    WITH owned, size(owned) AS total, mine.category AS category, count(*) AS bought
+    WHERE category IS NOT NULL
+    MATCH (candidate:Product {category: category})
+    WHERE NOT candidate IN owned
+    CALL {
+      WITH candidate
+      OPTIONAL MATCH (u:User)-[:PURCHASED]->(candidate)
+      RETURN count(DISTINCT u) AS buyers
+    }
+    WITH category, bought, total, collect({product: candidate, buyers: buyers}) AS candidates, max(buyers) AS mostBuyers
+    UNWIND candidates AS entry
+    WITH entry.product AS candidate, entry.buyers AS buyers, category, bought, total,
+      toFloat(bought) / total AS affinity,
+      CASE mostBuyers WHEN 0 THEN 0.0 ELSE toFloat(entry.buyers) / mostBuyers END AS popularity
+    RETURN candidate.name AS product, category, round(affinity * (1 + popularity) / 2, 4) AS score,
+      bought AS boughtInCategory, total AS purchases, buyers
+    ORDER BY score DESC, buyers DESC, product
+    LIMIT $limit
+  `, { email, limit: neo4j.int(limit) });
+  return mapRecords(result);
+}
+
+const USER_COMMANDS = {
+  products: recommendProducts,
+  similar: similarUsers,
+  follows: suggestFollows,
+  categories: categorySuggestions
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const json = args.includes('--json');
+  const limit = option('--limit') !== undefined ? parseInt(option('--limit'), 10) : DEFAULT_LIMIT;
+  const metric = option('--metric') || 'jaccard';
+  const [command, target] = args.filter((arg, i) =>
+    !arg.startsWith('--') && !['--limit', '--metric'].includes(args[i - 1]));
+
+  if (!(command === 'also-bought' || USER_COMMANDS[command]) || !target || !(limit > 0) || !METRICS.includes(metric)) {
+    console.error('Usage: node recommendations.js also-bought <product> | products <email> | similar <email> [--metric jaccard|cosine]');
+    console.error('       | follows <email> | categories <email> [--limit n] [--json]');
+    process.exitCode = 2;
+    return;
+  }
+
+  if (!checkConnectionConfig()) return;
+  const session = openSession();
+
+  try {
+    let rows;
+    if (command === 'also-bought') {
+      rows = await alsoBought(session, target, { limit });
+    } else {
+      const found = await session.run('RETURN EXISTS { MATCH (:User {email: $email}) } AS found', { email: target });
+      if (!found.records[0].get('found')) throw new Error(`User not found: ${target}`);
+      rows = await USER_COMMANDS[command](session, target, { limit, metric });
+    }
+    console.log(json ? formatJson(rows) : formatTable(rows));
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await session.close();
+    await closeDriver();
+  }
+}
+
+export {
+  METRICS,
+  alsoBought,
+  recommendProducts,
+  similarUsers,
+  suggestFollows,
+  categorySuggestions
+};
+
+// Run the command if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
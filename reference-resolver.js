@@ -0,0 +1,84 @@
+// Links Reference nodes to the Paper nodes they describe, so citations
+// between papers in the graph can be traversed as (:Paper)-[:CITES]->(:Paper).
+
+// Normalize a title for matching: Unicode-folded, lowercase, no punctuation
+function normalizeTitle(title) {
+  if (!title) return null;
+  return title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim() || null;
+}
+
+function normalizeDoi(doi) {
+  if (!doi) return null;
+  return doi.trim().toLowerCase().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/, '') || null;
+}
+
+// Fill in normalizedTitle/normalizedDoi on nodes written before they existed
+async function backfillNormalizedKeys(session) {
+  for (const label of ['Paper', 'Reference']) {
+    const result = await session.run(`
+      MATCH (n:${label})
+      WHERE n.normalizedTitle IS NULL AND n.title IS NOT NULL
+      RETURN elementId(n) AS id, n.title AS title, n.doi AS doi
+    `);
+
+    const rows = result.records.map(record => ({
+      id: record.get('id'),
+      normalizedTitle: normalizeTitle(record.get('title')),
+      normalizedDoi: normalizeDoi(record.get('doi'))
+    }));
+
+    if (rows.length > 0) {
+      await session.run(`
+        UNWIND $rows AS row
+        MATCH (n) WHERE elementId(n) = row.id
+        SET n.normalizedTitle = row.normalizedTitle,
+            n.normalizedDoi = row.normalizedDoi
+      `, { rows });
+    }
+  }
+}
+
+// Match references to papers by DOI first, then by normalized title and year
+async function resolveReferences(session) {
+  await backfillNormalizedKeys(session);
+
+  const byDoi = await session.run(`
+    MATCH (r:Reference), (target:Paper)
+    WHERE r.normalizedDoi IS NOT NULL
+      AND r.normalizedDoi = target.normalizedDoi
+    MERGE (r)-[:RESOLVES_TO {method: 'doi'}]->(target)
+    RETURN count(DISTINCT r) AS resolved
+  `);
+
+  const byTitle = await session.run(`
+    MATCH (r:Reference), (target:Paper)
+    WHERE NOT (r)-[:RESOLVES_TO]->(:Paper)
+      AND r.normalizedTitle IS NOT NULL
+      AND r.normalizedTitle = target.normalizedTitle
+      AND (r.year IS NULL OR target.year IS NULL OR r.year = target.year)
+      AND (r.normalizedDoi IS NULL OR target.normalizedDoi IS NULL)
+    MERGE (r)-[:RESOLVES_TO {method: 'title'}]->(target)
+    RETURN count(DISTINCT r) AS resolved
+  `);
+
+  // Mirror resolved citations as direct Paper-to-Paper edges
+  const citations = await session.run(`
+    MATCH (citing:Paper)-[:CITES]->(r:Reference)-[:RESOLVES_TO]->(cited:Paper)
+    WHERE citing <> cited
+    MERGE (citing)-[:CITES]->(cited)
+    RETURN count(*) AS citations
+  `);
+
+  return {
+    byDoi: byDoi.records[0].get('resolved').toNumber(),
+    byTitle: byTitle.records[0].get('resolved').toNumber(),
+    citations: citations.records[0].get('citations').toNumber()
+  };
+}
+
+export { normalizeTitle, normalizeDoi, resolveReferences };
@@ -0,0 +1,112 @@
+import neo4j from 'neo4j-driver';
+
+// Driver results to plain, JSON-safe JavaScript values, so application code
+// never deals with Records, Nodes or neo4j Integers:
+//
+//   Integer        number, or per the `integers` policy when outside ±2^53
+//   Node           { id, labels, properties }
+//   Relationship   { id, type, start, end, properties }
+//   Path           { start, end, nodes, relationships }
+//   Date, Time, DateTime, Duration ...   ISO 8601 strings
+//   Point          { srid, x, y[, z] }
+//   Record         { key: value, ... }
+//
+// Integer policies: 'string' (default) keeps large integers exact as decimal
+// strings, 'number' converts them anyway (losing precision) and 'error'
+// throws a RangeError.
+
+const INTEGER_POLICIES = ['string', 'number', 'error'];
+
+function checkPolicy(integers) {
+  if (!INTEGER_POLICIES.includes(integers)) {
+    throw new Error(`Unknown integer policy: ${integers} (expected ${INTEGER_POLICIES.join(', ')})`);
+  }
+}
+
+function mapInteger(value, integers) {
+  if (neo4j.integer.inSafeRange(value)) return value.toNumber();
+  switch (integers) {
+    case 'number':
+      return value.toNumber();
+    case 'error':
+      throw new RangeError(`Integer ${value.toString()} is outside the safe JavaScript range`);
+    default:
+      return value.toString();
+  }
+}
+
+function isTemporal(value) {
+  return neo4j.isDate(value) || neo4j.isTime(value) || neo4j.isLocalTime(value) ||
+    neo4j.isDateTime(value) || neo4j.isLocalDateTime(value) || neo4j.isDuration(value);
+}
+
+function mapValue(value, integers) {
+  if (value === null || value === undefined) return null;
+  if (neo4j.isInt(value)) return mapInteger(value, integers);
+  if (typeof value === 'bigint') return mapInteger(neo4j.int(value), integers);
+  if (Array.isArray(value)) return value.map(item => mapValue(item, integers));
+  if (value instanceof neo4j.types.Node) {
+    return { id: value.elementId, labels: value.labels, properties: mapValue(value.properties, integers) };
+  }
+  if (value instanceof neo4j.types.Relationship) {
+    return {
+      id: value.elementId,
+      type: value.type,
+      start: value.startNodeElementId,
+      end: value.endNodeElementId,
+      properties: mapValue(value.properties, integers)
+    };
+  }
+  if (value instanceof neo4j.types.Path) {
+    return {
+      start: mapValue(value.start, integers),
+      end: mapValue(value.end, integers),
+      nodes: [value.start, ...value.segments.map(segment => segment.end)].map(node => mapValue(node, integers)),
+      relationships: value.segments.map(segment => mapValue(segment.relationship, integers))
+    };
+  }
+  if (value instanceof neo4j.types.Record) return mapValue(value.toObject(), integers);
+  if (isTemporal(value)) return value.toString();
+  if (neo4j.isPoint(value)) {
+    const point = { srid: mapInteger(neo4j.int(value.srid), integers), x: value.x, y: value.y };
+    if (value.z !== undefined) point.z = value.z;
+    return point;
+  }
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, mapValue(v, integers)]));
+  }
+  // Models, JS Dates and anything else that knows its JSON form
+  if (typeof value === 'object' && typeof value.toJSON === 'function') {
+    return mapValue(value.toJSON(), integers);
+  }
+  if (typeof value === 'object' && typeof value.toString === 'function') {
+    return value.toString();
+  }
+  return value;
+}
+
+// Any driver value (or structure containing them) as plain JSON-safe values
+function toPlain(value, { integers = 'string' } = {}) {
+  checkPolicy(integers);
+  return mapValue(value, integers);
+}
+
+// One plain object per record, from a Result or an array of Records
+function mapRecords(result, options = {}) {
+  const records = Array.isArray(result) ? result : result.records;
+  return records.map(record => toPlain(record, options));
+}
+
+// The first record as a plain object, or null when there is none
+function mapSingle(result, options = {}) {
+  const records = Array.isArray(result) ? result : result.records;
+  return records.length > 0 ? toPlain(records[0], options) : null;
+}
+
+// A neo4j Integer (or a plain number) as a number; for counts and sizes,
+// which always fit
+function toNumber(value) {
+  return neo4j.isInt(value) ? value.toNumber() : value;
+}
+
+export { INTEGER_POLICIES, toPlain, mapRecords, mapSingle, toNumber };
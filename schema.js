@@ -0,0 +1,137 @@
+// Declarative schema for the labels this project writes. Migrations in
+// ./migrations create what is declared here; `npm run migrate status` reports
+// any drift between this definition and the database.
+
+const SCHEMA = {
+  Paper: {
+    unique: ['paperKey', 'doi'],
+    indexes: ['normalizedTitle', 'normalizedDoi', 'year'],
+    fulltext: ['title', 'abstract'],
+    required: ['paperKey', 'title']
+  },
+  Author: {
+    unique: ['authorId'],
+    indexes: ['name'],
+    fulltext: ['name'],
+    required: ['authorId', 'name']
+  },
+  Reference: {
+    unique: ['title'],
+    indexes: ['normalizedTitle', 'normalizedDoi'],
+    fulltext: ['title'],
+    required: ['title']
+  },
+  Keyword: {
+    unique: ['name'],
+    indexes: [],
+    required: ['name']
+  },
+  Venue: {
+    unique: ['venueKey'],
+    indexes: ['name', 'issn'],
+    required: ['venueKey', 'name']
+  },
+  Institution: {
+    unique: ['institutionKey'],
+    indexes: ['name', 'countryCode'],
+    required: ['institutionKey', 'name']
+  },
+  AuthorAlias: {
+    unique: ['authorId'],
+    indexes: [],
+    required: ['authorId']
+  },
+  AuthorProposal: {
+    unique: ['id'],
+    indexes: ['status'],
+    required: ['id', 'kind', 'status']
+  },
+  User: {
+    unique: ['email'],
+    indexes: ['name'],
+    required: ['name', 'email']
+  },
+  Product: {
+    unique: [],
+    indexes: ['name', 'category'],
+    required: ['name']
+  },
+  Person: {
+    unique: [],
+    indexes: ['name'],
+    required: ['name']
+  },
+  Movie: {
+    unique: ['title'],
+    indexes: ['released'],
+    required: ['title']
+  }
+};
+
+function constraintName(label, property) {
+  return `${label.toLowerCase()}_${property.toLowerCase()}_unique`;
+}
+
+function indexName(label, property) {
+  return `${label.toLowerCase()}_${property.toLowerCase()}_index`;
+}
+
+// One full-text index per label, over all of its `fulltext` properties
+function fulltextIndexName(label) {
+  return `${label.toLowerCase()}_fulltext`;
+}
+
+// Every constraint and index the schema declares
+function declaredSchemaObjects(schema = SCHEMA) {
+  const objects = [];
+  for (const [label, definition] of Object.entries(schema)) {
+    for (const property of definition.unique) {
+      objects.push({ type: 'constraint', name: constraintName(label, property), label, property });
+    }
+    for (const property of definition.indexes) {
+      objects.push({ type: 'index', name: indexName(label, property), label, property });
+    }
+    if (definition.fulltext && definition.fulltext.length > 0) {
+      objects.push({ type: 'fulltext', name: fulltextIndexName(label), label, properties: definition.fulltext });
+    }
+  }
+  return objects;
+}
+
+// Compare the declared schema with what exists in the database
+async function checkSchema(session, schema = SCHEMA) {
+  const constraints = await session.run('SHOW CONSTRAINTS YIELD name RETURN collect(name) AS names');
+  const indexes = await session.run('SHOW INDEXES YIELD name RETURN collect(name) AS names');
+  const existing = new Set([
+    ...constraints.records[0].get('names'),
+    ...indexes.records[0].get('names')
+  ]);
+
+  const missing = declaredSchemaObjects(schema).filter(object => !existing.has(object.name));
+
+  // Required properties are checked rather than enforced, since property
+  // existence constraints need Neo4j Enterprise
+  const violations = [];
+  for (const [label, definition] of Object.entries(schema)) {
+    for (const property of definition.required) {
+      const result = await session.run(
+        `MATCH (n:${label}) WHERE n.${property} IS NULL RETURN count(n) AS count`
+      );
+      const count = result.records[0].get('count').toNumber();
+      if (count > 0) {
+        violations.push({ label, property, count });
+      }
+    }
+  }
+
+  return { missing, violations };
+}
+
+export {
+  SCHEMA,
+  constraintName,
+  indexName,
+  fulltextIndexName,
+  declaredSchemaObjects,
+  checkSchema
+};
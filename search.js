@@ -0,0 +1,428 @@
+import neo4j from 'neo4j-driver';
+import { fulltextIndexName } from './schema.js';
+
+// Full-text search over the research graph, backed by the full-text indexes
+// declared in schema.js (created by migrations/003_fulltext_indexes.js).
+//
+// Queries use a small, safe subset of Lucene syntax:
+//
+//   graph neural          every word must match (AND is implied)
+//   graph OR network      either word
+//   graph NOT survey      also: -survey; +word is accepted and means required
+//   "neural network"      phrase ("..."~2 allows words in between)
+//   netw*  grpah~         prefix and fuzzy matching (~1 or ~2 sets the edits)
+//   title:graph           restrict a word to one indexed property
+//   (graph OR tree) AND neural
+//
+// Everything else is escaped, so user input never reaches Lucene unparsed.
+// With { fuzzy: true } every plain word longer than two letters is matched
+// fuzzily. Results are ranked by Lucene score and come back with the
+// matching words highlighted.
+
+const PAPER_INDEX = fulltextIndexName('Paper');
+const AUTHOR_INDEX = fulltextIndexName('Author');
+const REFERENCE_INDEX = fulltextIndexName('Reference');
+
+const PAPER_FIELDS = ['title', 'abstract'];
+const DEFAULT_LIMIT = 20;
+const RELATED_AUTHORS_LIMIT = 10;
+const AUTHOR_FILTER_LIMIT = 100;
+const SNIPPET_LENGTH = 200;
+const DEFAULT_HIGHLIGHT = { pre: '**', post: '**' };
+
+const LUCENE_SPECIAL = /[+\-!(){}[\]^"~*?:\\/&|]/g;
+
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+// Lowercase and accent-folded, to compare query words with text words the
+// way the index's standard analyzer does
+function foldWord(word) {
+  return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function words(text) {
+  return (text.match(/[\p{L}\p{N}]+/gu) || []).map(foldWord);
+}
+
+// Edits allowed for a fuzzy word with no explicit distance
+function autoEdits(word) {
+  if (word.length <= 2) return 0;
+  return word.length <= 5 ? 1 : 2;
+}
+
+function tokenizeQuery(input) {
+  const tokens = [];
+  let i = 0;
+
+  // A quoted phrase starting at start, with an optional ~slop; returns the
+  // position after it
+  function readPhrase(start, field) {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) throw new SearchQueryError('Unterminated phrase: missing closing quote');
+    const slop = input.substring(end + 1).match(/^~(\d+)/);
+    tokens.push({ kind: 'phrase', field, text: input.substring(start + 1, end), slop: slop ? parseInt(slop[1], 10) : 0 });
+    return end + 1 + (slop ? slop[0].length : 0);
+  }
+
+  while (i < input.length) {
+    const c = input[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '(' || c === ')') {
+      tokens.push({ kind: c });
+      i++;
+    } else if (c === '"') {
+      i = readPhrase(i, null);
+    } else if ((c === '+' || c === '-' || c === '!') && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ kind: c === '+' ? 'required' : 'NOT' });
+      i++;
+    } else if (input.startsWith('&&', i) || input.startsWith('||', i)) {
+      tokens.push({ kind: input[i] === '&' ? 'AND' : 'OR' });
+      i += 2;
+    } else {
+      const match = input.substring(i).match(/^[^\s()"]+/);
+      const word = match[0];
+      i += word.length;
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ kind: word });
+      } else if (/^[A-Za-z]+:$/.test(word) && input[i] === '"') {
+        // field:"phrase"
+        i = readPhrase(i, word.slice(0, -1));
+      } else {
+        tokens.push({ kind: 'word', text: word });
+      }
+    }
+  }
+  return tokens;
+}
+
+// Parse a search string into { lucene, terms }: the escaped Lucene query, and
+// the words and phrases it looks for (without negated ones), for highlighting
+function parseSearchQuery(input, { fields = [], fuzzy = false } = {}) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new SearchQueryError('Search query must not be empty');
+  }
+  const tokens = tokenizeQuery(input);
+  const terms = [];
+  let position = 0;
+
+  function escape(text) {
+    return text.replace(LUCENE_SPECIAL, c => `\\${c}`);
+  }
+
+  function parseWord(text, negated) {
+    let field = '';
+    const fieldMatch = text.match(/^([A-Za-z]+):(.+)$/);
+    if (fieldMatch && fields.includes(fieldMatch[1])) {
+      field = `${fieldMatch[1]}:`;
+      text = fieldMatch[2];
+    }
+
+    const modifier = text.match(/(\*|~[012]?)$/);
+    const base = modifier ? text.substring(0, text.length - modifier[0].length) : text;
+    const parts = words(base);
+    if (parts.length === 0) throw new SearchQueryError(`Nothing to search for in "${text}"`);
+
+    // Words the analyzer would split ("graph-based") are searched as a phrase
+    if (parts.length > 1) {
+      if (!negated) terms.push({ words: parts });
+      return `${field}"${escape(parts.join(' '))}"`;
+    }
+
+    const [word] = parts;
+    let suffix = '';
+    let edits = 0;
+    if (modifier && modifier[0] === '*') {
+      suffix = '*';
+    } else if (modifier) {
+      edits = modifier[0].length > 1 ? parseInt(modifier[0][1], 10) : autoEdits(word);
+    } else if (fuzzy) {
+      edits = autoEdits(word);
+    }
+    if (edits > 0) suffix = `~${edits}`;
+
+    if (!negated) terms.push({ words: [word], prefix: suffix === '*', edits });
+    return `${field}${escape(word)}${suffix}`;
+  }
+
+  function parseOperand(negated) {
+    const token = tokens[position++];
+    if (!token) throw new SearchQueryError('Query ends where a word was expected');
+    switch (token.kind) {
+      case 'NOT':
+        return `NOT ${parseOperand(!negated)}`;
+      case 'required':
+        return parseOperand(negated);
+      case '(': {
+        const inner = parseSequence(negated);
+        if (!tokens[position] || tokens[position].kind !== ')') {
+          throw new SearchQueryError('Unbalanced parentheses: missing )');
+        }
+        position++;
+        return `(${inner})`;
+      }
+      case 'phrase': {
+        if (token.field && !fields.includes(token.field)) {
+          throw new SearchQueryError(`Unknown field "${token.field}"${fields.length > 0 ? ` (expected ${fields.join(' or ')})` : ''}`);
+        }
+        const parts = words(token.text);
+        if (parts.length === 0) throw new SearchQueryError('Empty phrase');
+        if (!negated) terms.push({ words: parts });
+        const field = token.field ? `${token.field}:` : '';
+        return `${field}"${escape(parts.join(' '))}"${token.slop > 0 ? `~${token.slop}` : ''}`;
+      }
+      case 'word':
+        return parseWord(token.text, negated);
+      default:
+        throw new SearchQueryError(`Unexpected ${token.kind}`);
+    }
+  }
+
+  // Operands joined by AND/OR; AND is implied between adjacent operands
+  function parseSequence(negated) {
+    const parts = [parseOperand(negated)];
+    while (position < tokens.length && tokens[position].kind !== ')') {
+      let operator = 'AND';
+      if (tokens[position].kind === 'AND' || tokens[position].kind === 'OR') {
+        operator = tokens[position++].kind;
+      }
+      parts.push(operator, parseOperand(negated));
+    }
+    return parts.join(' ');
+  }
+
+  const lucene = parseSequence(false);
+  if (position < tokens.length) throw new SearchQueryError('Unbalanced parentheses: unexpected )');
+  if (terms.length === 0) throw new SearchQueryError('Query only excludes words; add a word to search for');
+  return { lucene, terms };
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function wordMatches(term, word) {
+  const [wanted] = term.words;
+  if (term.prefix) return word.startsWith(wanted);
+  if (term.edits > 0) return editDistance(wanted, word, term.edits) <= term.edits;
+  return word === wanted;
+}
+
+// Character ranges [start, end) of the text matching the query terms
+function matchRanges(text, terms) {
+  const tokens = [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: foldWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+  const ranges = [];
+  for (const term of terms) {
+    for (let i = 0; i + term.words.length <= tokens.length; i++) {
+      const matched = term.words.length === 1
+        ? wordMatches(term, tokens[i].word)
+        : term.words.every((word, j) => tokens[i + j].word === word);
+      if (matched) ranges.push([tokens[i].start, tokens[i + term.words.length - 1].end]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+}
+
+function markRanges(text, ranges, { pre, post }, offset = 0) {
+  let result = '';
+  let cursor = offset;
+  for (const [start, end] of ranges) {
+    result += text.substring(cursor, start) + pre + text.substring(start, end) + post;
+    cursor = end;
+  }
+  return result + text.substring(cursor);
+}
+
+// The text with matches marked, or for long texts the window of about
+// `length` characters holding the most matches
+function highlight(text, terms, { length = SNIPPET_LENGTH, pre = DEFAULT_HIGHLIGHT.pre, post = DEFAULT_HIGHLIGHT.post } = {}) {
+  if (!text) return null;
+  const ranges = matchRanges(text, terms);
+  if (text.length <= length) return markRanges(text, ranges, { pre, post });
+
+  let start = 0;
+  let best = -1;
+  for (const [rangeStart] of ranges) {
+    const candidate = Math.max(0, rangeStart - Math.floor(length / 4));
+    const count = ranges.filter(([s, e]) => s >= candidate && e <= candidate + length).length;
+    if (count > best) {
+      best = count;
+      start = candidate;
+    }
+  }
+
+  // Widen to whole words
+  let end = Math.min(text.length, start + length);
+  while (start > 0 && /\S/.test(text[start - 1])) start--;
+  while (end < text.length && /\S/.test(text[end])) end++;
+
+  const inside = ranges.filter(([s, e]) => s >= start && e <= end);
+  const snippet = markRanges(text.substring(0, end), inside, { pre, post }, start);
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+}
+
+// Authors matched by authorId, or by name through the author index
+async function findAuthorIds(session, author) {
+  const byId = await session.run(
+    'MATCH (a:Author {authorId: $author}) RETURN a.authorId AS authorId',
+    { author }
+  );
+  if (byId.records.length > 0) return [author];
+
+  const { lucene } = parseSearchQuery(author, { fuzzy: true });
+  const result = await session.run(`
+    CALL db.index.fulltext.queryNodes($index, $query, {limit: $limit}) YIELD node
+    RETURN node.authorId AS authorId
+  `, { index: AUTHOR_INDEX, query: lucene, limit: neo4j.int(AUTHOR_FILTER_LIMIT) });
+  return result.records.map(record => record.get('authorId'));
+}
+
+const PAPER_FILTERS = `
+  WHERE ($yearFrom IS NULL OR p.year >= $yearFrom)
+    AND ($yearTo IS NULL OR p.year <= $yearTo)
+    AND ($authorIds IS NULL OR EXISTS {
+      MATCH (a:Author)-[:AUTHORED]->(p) WHERE a.authorId IN $authorIds
+    })
+`;
+
+// Search papers by title and abstract.
+// options: fuzzy, yearFrom, yearTo, author (authorId or name), skip, limit,
+// highlight ({ pre, post, length })
+// Returns { query, total, hits, relatedAuthors }: hits carry the paper's
+// authors and highlighted title and snippet; relatedAuthors are the authors
+// of all matching papers, ranked by their papers' summed scores.
+async function searchPapers(session, text, options = {}) {
+  const { fuzzy = false, yearFrom = null, yearTo = null, author = null, skip = 0, limit = DEFAULT_LIMIT } = options;
+  const { lucene, terms } = parseSearchQuery(text, { fields: PAPER_FIELDS, fuzzy });
+
+  let authorIds = null;
+  if (author) {
+    authorIds = await findAuthorIds(session, author);
+    if (authorIds.length === 0) return { query: lucene, total: 0, hits: [], relatedAuthors: [] };
+  }
+
+  const params = {
+    index: PAPER_INDEX,
+    query: lucene,
+    yearFrom: yearFrom === null ? null : neo4j.int(yearFrom),
+    yearTo: yearTo === null ? null : neo4j.int(yearTo),
+    authorIds
+  };
+
+  const page = await session.run(`
+    CALL db.index.fulltext.queryNodes($index, $query) YIELD node AS p, score
+    ${PAPER_FILTERS}
+    WITH p, score
+    ORDER BY score DESC, p.year DESC
+    SKIP $skip LIMIT $limit
+    CALL {
+      WITH p
+      OPTIONAL MATCH (a:Author)-[w:AUTHORED]->(p)
+      WITH a, w ORDER BY w.position
+      RETURN collect(a {.authorId, .name}) AS authors
+    }
+    RETURN p {.paperKey, .title, .year, .doi, .venue, .abstract} AS paper, score, authors
+  `, { ...params, skip: neo4j.int(skip), limit: neo4j.int(limit) });
+
+  const summary = await session.run(`
+    CALL db.index.fulltext.queryNodes($index, $query) YIELD node AS p, score
+    ${PAPER_FILTERS}
+    WITH count(p) AS total, collect({paper: p, score: score}) AS hits
+    CALL {
+      WITH hits
+      UNWIND hits AS hit
+      MATCH (a:Author)-[:AUTHORED]->(paper) WHERE paper = hit.paper
+      WITH a, count(*) AS papers, sum(hit.score) AS score
+      ORDER BY score DESC, papers DESC
+      LIMIT $relatedLimit
+      RETURN collect(a {.authorId, .name, papers: papers, score: score}) AS relatedAuthors
+    }
+    RETURN total, relatedAuthors
+  `, { ...params, relatedLimit: neo4j.int(RELATED_AUTHORS_LIMIT) });
+
+  const hits = page.records.map(record => {
+    const { abstract, ...paper } = record.get('paper');
+    return {
+      ...paper,
+      score: record.get('score'),
+      highlightedTitle: highlight(paper.title, terms, { ...options.highlight, length: Infinity }),
+      snippet: highlight(abstract, terms, options.highlight),
+      authors: record.get('authors')
+    };
+  });
+
+  return {
+    query: lucene,
+    total: summary.records[0].get('total').toNumber(),
+    hits,
+    relatedAuthors: summary.records[0].get('relatedAuthors')
+  };
+}
+
+// Search authors by name, with their number of papers
+async function searchAuthors(session, text, { fuzzy = false, limit = DEFAULT_LIMIT, highlight: markers } = {}) {
+  const { lucene, terms } = parseSearchQuery(text, { fuzzy });
+  const result = await session.run(`
+    CALL db.index.fulltext.queryNodes($index, $query, {limit: $limit}) YIELD node AS a, score
+    RETURN a.authorId AS authorId, a.name AS name, score,
+      COUNT { (a)-[:AUTHORED]->(:Paper) } AS papers
+    ORDER BY score DESC
+  `, { index: AUTHOR_INDEX, query: lucene, limit: neo4j.int(limit) });
+  return result.records.map(record => ({
+    ...record.toObject(),
+    highlightedName: highlight(record.get('name'), terms, { ...markers, length: Infinity })
+  }));
+}
+
+// Search references by title, with the paper they resolve to if any and how
+// often they are cited
+async function searchReferences(session, text, { fuzzy = false, limit = DEFAULT_LIMIT, highlight: markers } = {}) {
+  const { lucene, terms } = parseSearchQuery(text, { fuzzy });
+  const result = await session.run(`
+    CALL db.index.fulltext.queryNodes($index, $query, {limit: $limit}) YIELD node AS r, score
+    OPTIONAL MATCH (r)-[:RESOLVES_TO]->(paper:Paper)
+    RETURN r.title AS title, r.year AS year, r.doi AS doi, score,
+      COUNT { (:Paper)-[:CITES]->(r) } AS citations, paper.paperKey AS paperKey
+    ORDER BY score DESC
+  `, { index: REFERENCE_INDEX, query: lucene, limit: neo4j.int(limit) });
+  return result.records.map(record => ({
+    ...record.toObject(),
+    highlightedTitle: highlight(record.get('title'), terms, { ...markers, length: Infinity })
+  }));
+}
+
+export {
+  SearchQueryError,
+  parseSearchQuery,
+  highlight,
+  searchPapers,
+  searchAuthors,
+  searchReferences
+};
@@ -0,0 +1,473 @@
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import neo4j from 'neo4j-driver';
+import {
+  createNode,
+  findNodes,
+  countNodes,
+  getNode,
+  updateNode,
+  deleteNode,
+  createRelationship,
+  runReadQuery
+} from './index.js';
+import { ResearchGraphBuilder } from './grobid-demo.js';
+import { GrobidClient, GROBID_OPTIONS } from './grobid-client.js';
+import { serialize } from './output.js';
+import { healthCheck, onShutdown } from './connection.js';
+import { SearchQueryError, searchPapers, searchAuthors, searchReferences } from './search.js';
+import {
+  InvalidQueryError,
+  buildCreateNode,
+  buildMatchNodes,
+  buildCreateRelationship
+} from './query-builder.js';
+
+// REST API over the index.js graph helpers and the research graph.
+// Every response is JSON; errors look like { error: { status, code, message } }.
+
+const PORT = parseInt(process.env.PORT || '3000');
+const MAX_JSON_BYTES = 1024 * 1024;
+const MAX_PDF_BYTES = 50 * 1024 * 1024;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const badRequest = message => new HttpError(400, 'bad_request', message);
+const notFound = message => new HttpError(404, 'not_found', message);
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(serialize(body));
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Stop buffering but keep reading, so the client gets the 413 instead
+        // of a reset connection; the connection is closed after the response
+        req.off('data', onData);
+        req.resume();
+        reject(new HttpError(413, 'payload_too_large', `Request body exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req) {
+  const type = req.headers['content-type'] || '';
+  if (!type.startsWith('application/json')) {
+    throw new HttpError(415, 'unsupported_media_type', 'Expected Content-Type: application/json');
+  }
+  const body = await readBody(req, MAX_JSON_BYTES);
+  try {
+    const value = JSON.parse(body.toString('utf8') || '{}');
+    if (!isPlainObject(value)) throw new Error();
+    return value;
+  } catch {
+    throw badRequest('Request body must be a JSON object');
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireObject(value, name, { optional = false } = {}) {
+  if (value === undefined && optional) return {};
+  if (!isPlainObject(value)) throw badRequest(`${name} must be an object`);
+  return value;
+}
+
+function requireString(value, name) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw badRequest(`${name} must be a non-empty string`);
+  }
+  return value;
+}
+
+function requireLabels(value, name = 'labels') {
+  const labels = Array.isArray(value) ? value : [value];
+  if (labels.length === 0) throw badRequest(`${name} must not be empty`);
+  labels.forEach((label, i) => requireString(label, `${name}[${i}]`));
+  return labels;
+}
+
+function parseJsonParam(searchParams, name) {
+  const raw = searchParams.get(name);
+  if (raw === null) return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw badRequest(`Query parameter ${name} must be valid JSON`);
+  }
+}
+
+// page (1-based) and pageSize query parameters
+function pagination(searchParams) {
+  const page = Number(searchParams.get('page') ?? 1);
+  const pageSize = Number(searchParams.get('pageSize') ?? DEFAULT_PAGE_SIZE);
+  if (!Number.isInteger(page) || page < 1) throw badRequest('page must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw badRequest(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { page, pageSize, skip: (page - 1) * pageSize, limit: pageSize };
+}
+
+function paginated(data, { page, pageSize }, total) {
+  return { data, page, pageSize, total, totalPages: Math.ceil(total / pageSize) };
+}
+
+// Run a callback with a ResearchGraphBuilder whose session is closed afterwards
+// One GROBID client for all requests, so uploads share its connection pool
+let grobidClient = null;
+
+async function withResearchGraph(work) {
+  grobidClient = grobidClient || new GrobidClient();
+  const builder = new ResearchGraphBuilder({ grobid: grobidClient });
+  try {
+    return await work(builder);
+  } finally {
+    await builder.release();
+  }
+}
+
+// Graph helper routes
+
+async function handleCreateNode(req, res) {
+  const body = await readJson(req);
+  const labels = requireLabels(body.labels);
+  const properties = requireObject(body.properties, 'properties', { optional: true });
+  // Validate identifiers before a connection is opened
+  buildCreateNode(labels, properties);
+  sendJson(res, 201, { data: await createNode(labels, properties) });
+}
+
+// GET /nodes?label=User&where={"age":{"gt":20}}&orderBy=-age&page=1&pageSize=20
+async function handleFindNodes(req, res, { searchParams }) {
+  const labels = requireLabels(searchParams.getAll('label'), 'label');
+  const where = requireObject(parseJsonParam(searchParams, 'where'), 'where', { optional: true });
+  const orderBy = searchParams.getAll('orderBy');
+  const page = pagination(searchParams);
+  const options = { orderBy: orderBy.length > 0 ? orderBy : undefined, skip: page.skip, limit: page.limit };
+  buildMatchNodes(labels, where, options);
+
+  const [nodes, total] = await Promise.all([
+    findNodes(labels, where, options),
+    countNodes(labels, where)
+  ]);
+  sendJson(res, 200, paginated(nodes, page, total));
+}
+
+async function handleGetNode(req, res, { params }) {
+  const node = await getNode(params.id);
+  if (!node) throw notFound(`Node not found: ${params.id}`);
+  sendJson(res, 200, { data: node });
+}
+
+async function handleUpdateNode(req, res, { params }) {
+  const body = await readJson(req);
+  const properties = requireObject(body.properties, 'properties');
+  const node = await updateNode(params.id, properties);
+  if (!node) throw notFound(`Node not found: ${params.id}`);
+  sendJson(res, 200, { data: node });
+}
+
+async function handleDeleteNode(req, res, { params }) {
+  if (!(await deleteNode(params.id))) throw notFound(`Node not found: ${params.id}`);
+  res.writeHead(204);
+  res.end();
+}
+
+// { from: { labels, properties }, to: { labels, properties }, type, properties }
+async function handleCreateRelationship(req, res) {
+  const body = await readJson(req);
+  const from = requireObject(body.from, 'from');
+  const to = requireObject(body.to, 'to');
+  const args = [
+    requireLabels(from.labels, 'from.labels'),
+    requireObject(from.properties, 'from.properties'),
+    requireLabels(to.labels, 'to.labels'),
+    requireObject(to.properties, 'to.properties'),
+    requireString(body.type, 'type'),
+    requireObject(body.properties, 'properties', { optional: true })
+  ];
+  buildCreateRelationship({ labels: args[0], properties: args[1] }, { labels: args[2], properties: args[3] }, args[4], args[5]);
+  const record = await createRelationship(...args);
+  if (!record) throw notFound('No nodes matched the from/to properties');
+  sendJson(res, 201, { data: record });
+}
+
+// Parameterized read-only Cypher: { query, params }
+async function handleQuery(req, res) {
+  const body = await readJson(req);
+  const query = requireString(body.query, 'query');
+  const params = requireObject(body.params, 'params', { optional: true });
+  const records = await runReadQuery(query, params);
+  sendJson(res, 200, { data: records });
+}
+
+// Research routes
+
+// POST /papers with the PDF as the raw body (Content-Type: application/pdf);
+// consolidateHeader, consolidateCitations and includeRawCitations are passed to GROBID
+async function handleUploadPaper(req, res, { searchParams }) {
+  if (!(req.headers['content-type'] || '').startsWith('application/pdf')) {
+    throw new HttpError(415, 'unsupported_media_type', 'Expected Content-Type: application/pdf');
+  }
+  const filename = path.basename(searchParams.get('filename') || `upload-${Date.now()}.pdf`);
+  const grobidOptions = {};
+  for (const name of GROBID_OPTIONS) {
+    const value = searchParams.get(name);
+    if (value === null) continue;
+    if (!/^(0|1|2|true|false)$/.test(value)) throw badRequest(`${name} must be 0, 1, 2, true or false`);
+    grobidOptions[name] = value;
+  }
+  const pdf = await readBody(req, MAX_PDF_BYTES);
+  if (pdf.length === 0) throw badRequest('Request body must contain a PDF');
+  // Keyed like directory ingestion, so an upload without a DOI is not stored
+  // again under its title
+  const contentHash = createHash('sha256').update(pdf).digest('hex');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-upload-'));
+  const pdfPath = path.join(dir, filename);
+  try {
+    fs.writeFileSync(pdfPath, pdf);
+    const paper = await withResearchGraph(async builder => {
+      const paperData = await builder.processPdfWithGrobid(pdfPath, {
+        fullText: searchParams.get('fullText') === 'true',
+        contentHash,
+        ...grobidOptions
+      });
+      if (!paperData) {
+        throw new HttpError(502, 'grobid_failed', 'GROBID could not process the PDF');
+      }
+      const paperKey = await builder.storePaper(paperData, filename, { contentHash });
+      if (!paperKey) throw new HttpError(422, 'unprocessable', 'No title could be extracted from the PDF');
+      await builder.resolveReferences();
+      return builder.getPaper(paperKey);
+    });
+    sendJson(res, 201, { data: paper });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function handleListPapers(req, res, { searchParams }) {
+  const page = pagination(searchParams);
+  const { papers, total } = await withResearchGraph(builder => builder.listPapers(page));
+  sendJson(res, 200, paginated(papers, page, total));
+}
+
+async function handleGetPaper(req, res, { params }) {
+  const paper = await withResearchGraph(builder => builder.getPaper(params.paperKey));
+  if (!paper) throw notFound(`Paper not found: ${params.paperKey}`);
+  sendJson(res, 200, { data: paper });
+}
+
+async function handleAuthorPapers(req, res, { params, searchParams }) {
+  const page = pagination(searchParams);
+  const result = await withResearchGraph(builder => builder.getAuthorPapers(params.authorId, page));
+  if (!result) throw notFound(`Author not found: ${params.authorId}`);
+  sendJson(res, 200, { author: result.author, ...paginated(result.papers, page, result.total) });
+}
+
+// Search routes
+
+function optionalInt(searchParams, name) {
+  const raw = searchParams.get(name);
+  if (raw === null || raw === '') return null;
+  const value = parseInt(raw);
+  if (!Number.isInteger(value) || String(value) !== raw.trim()) throw badRequest(`${name} must be an integer`);
+  return value;
+}
+
+function searchText(searchParams) {
+  return requireString(searchParams.get('q') || '', 'q');
+}
+
+// GET /search/papers?q=graph+neural&fuzzy=true&yearFrom=2018&yearTo=2022&author=Smith&page=1
+async function handleSearchPapers(req, res, { searchParams }) {
+  const page = pagination(searchParams);
+  const text = searchText(searchParams);
+  const options = {
+    fuzzy: searchParams.get('fuzzy') === 'true',
+    yearFrom: optionalInt(searchParams, 'yearFrom'),
+    yearTo: optionalInt(searchParams, 'yearTo'),
+    author: searchParams.get('author') || null,
+    skip: page.skip,
+    limit: page.limit
+  };
+  const result = await withResearchGraph(builder => searchPapers(builder.session, text, options));
+  sendJson(res, 200, {
+    query: result.query,
+    relatedAuthors: result.relatedAuthors,
+    ...paginated(result.hits, page, result.total)
+  });
+}
+
+// GET /search/authors?q=smith&fuzzy=true&pageSize=10, and /search/references likewise
+async function handleSearchAuthors(req, res, { searchParams }) {
+  const text = searchText(searchParams);
+  const options = { fuzzy: searchParams.get('fuzzy') === 'true', limit: pagination(searchParams).limit };
+  sendJson(res, 200, { data: await withResearchGraph(builder => searchAuthors(builder.session, text, options)) });
+}
+
+async function handleSearchReferences(req, res, { searchParams }) {
+  const text = searchText(searchParams);
+  const options = { fuzzy: searchParams.get('fuzzy') === 'true', limit: pagination(searchParams).limit };
+  sendJson(res, 200, { data: await withResearchGraph(builder => searchReferences(builder.session, text, options)) });
+}
+
+// GET /health: 200 with server, database and pool information, 503 when Neo4j is unreachable
+async function handleHealth(req, res) {
+  const health = await healthCheck();
+  sendJson(res, health.ok ? 200 : 503, health);
+}
+
+// Path segments starting with ":" are captured (URL-decoded) into params
+const routes = [
+  ['GET', '/health', handleHealth],
+  ['POST', '/nodes', handleCreateNode],
+  ['GET', '/nodes', handleFindNodes],
+  ['GET', '/nodes/:id', handleGetNode],
+  ['PATCH', '/nodes/:id', handleUpdateNode],
+  ['DELETE', '/nodes/:id', handleDeleteNode],
+  ['POST', '/relationships', handleCreateRelationship],
+  ['POST', '/query', handleQuery],
+  ['POST', '/papers', handleUploadPaper],
+  ['GET', '/papers', handleListPapers],
+  ['GET', '/papers/:paperKey', handleGetPaper],
+  ['GET', '/authors/:authorId/papers', handleAuthorPapers],
+  ['GET', '/search/papers', handleSearchPapers],
+  ['GET', '/search/authors', handleSearchAuthors],
+  ['GET', '/search/references', handleSearchReferences]
+].map(([method, pattern, handler]) => ({ method, segments: pattern.split('/').filter(Boolean), handler }));
+
+function matchRoute(method, pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  let pathMatched = false;
+
+  for (const route of routes) {
+    if (route.segments.length !== segments.length) continue;
+    const params = {};
+    const matches = route.segments.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        try {
+          params[segment.substring(1)] = decodeURIComponent(segments[i]);
+        } catch {
+          throw badRequest(`Malformed URL encoding in ${pathname}`);
+        }
+        return true;
+      }
+      return segment === segments[i];
+    });
+    if (!matches) continue;
+    pathMatched = true;
+    if (route.method === method) return { handler: route.handler, params };
+  }
+
+  throw pathMatched
+    ? new HttpError(405, 'method_not_allowed', `${method} is not allowed on ${pathname}`)
+    : notFound(`No route for ${pathname}`);
+}
+
+// Map thrown errors to a status code and a structured body
+function errorResponse(error) {
+  if (error instanceof HttpError) {
+    return { status: error.status, code: error.code, message: error.message };
+  }
+  if (error instanceof InvalidQueryError) {
+    return { status: 400, code: 'invalid_query', message: error.message };
+  }
+  if (error instanceof SearchQueryError) {
+    return { status: 400, code: 'invalid_search', message: error.message };
+  }
+  if (error instanceof neo4j.Neo4jError) {
+    if (error.code === 'ServiceUnavailable' || error.code === 'SessionExpired') {
+      return { status: 503, code: 'database_unavailable', message: 'The database is not reachable' };
+    }
+    if (error.code === 'Neo.ClientError.Schema.ConstraintValidationFailed') {
+      return { status: 409, code: 'constraint_violation', message: error.message };
+    }
+    // Syntax errors, missing parameters and writes in a read-only query
+    if (error.code && error.code.startsWith('Neo.ClientError.Statement')) {
+      return { status: 400, code: 'invalid_cypher', message: error.message };
+    }
+  }
+  return { status: 500, code: 'internal_error', message: 'Internal server error' };
+}
+
+// Only the path and query are used, so a fixed base keeps the Host header
+// (which the client controls) out of URL parsing
+function requestUrl(req) {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch {
+    throw badRequest(`Malformed request URL: ${req.url}`);
+  }
+}
+
+async function handleRequest(req, res) {
+  try {
+    const url = requestUrl(req);
+    const { handler, params } = matchRoute(req.method, url.pathname);
+    await handler(req, res, { params, searchParams: url.searchParams });
+  } catch (error) {
+    const { status, code, message } = errorResponse(error);
+    if (status >= 500) {
+      console.error(`❌ ${req.method} ${req.url}:`, error.message);
+    }
+    if (!res.headersSent) {
+      // An oversized body is drained, not read; don't keep the connection alive for it
+      if (status === 413) res.setHeader('Connection', 'close');
+      sendJson(res, status, { error: { status, code, message } });
+    }
+  }
+}
+
+function createServer() {
+  return http.createServer(handleRequest);
+}
+
+async function startServer(port = PORT) {
+  const server = createServer();
+  await new Promise(resolve => server.listen(port, resolve));
+  console.log(`🌐 REST API listening on http://localhost:${port}`);
+
+  // Stop accepting requests; the shared Neo4j driver is closed after this
+  onShutdown(() => server.close());
+
+  return server;
+}
+
+export { createServer, startServer, HttpError };
+
+// Start the server if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  startServer();
+}
@@ -0,0 +1,222 @@
+import { DOMParser } from '@xmldom/xmldom';
+
+// Parser for the TEI documents returned by GROBID. Works with both the
+// processHeaderDocument and processFulltextDocument responses.
+
+// Direct children of an element with the given local name
+function children(element, name) {
+  if (!element) return [];
+  return Array.from(element.childNodes).filter(
+    node => node.nodeType === 1 && node.localName === name
+  );
+}
+
+// First direct child with the given local name
+function child(element, name) {
+  return children(element, name)[0] || null;
+}
+
+// All descendants with the given local name, in document order
+function descendants(element, name) {
+  if (!element) return [];
+  return Array.from(element.getElementsByTagNameNS('*', name));
+}
+
+// Follow a path of local names through direct children
+function childPath(element, ...names) {
+  let current = element;
+  for (const name of names) {
+    current = child(current, name);
+    if (!current) return null;
+  }
+  return current;
+}
+
+// Text content with whitespace collapsed, or null when empty
+function text(element) {
+  if (!element) return null;
+  const value = element.textContent.replace(/\s+/g, ' ').trim();
+  return value || null;
+}
+
+function extractYear(element) {
+  const dates = descendants(element, 'date');
+  for (const date of dates) {
+    const match = (date.getAttribute('when') || text(date) || '').match(/\d{4}/);
+    if (match) return parseInt(match[0]);
+  }
+  return null;
+}
+
+function extractIdno(element, type) {
+  const idno = descendants(element, 'idno')
+    .find(node => (node.getAttribute('type') || '').toUpperCase() === type);
+  return text(idno);
+}
+
+function extractAffiliations(author) {
+  return children(author, 'affiliation')
+    .map(affiliation => {
+      const orgNames = children(affiliation, 'orgName').map(text).filter(Boolean);
+      return orgNames.length > 0 ? orgNames.join(', ') : text(affiliation);
+    })
+    .filter(Boolean);
+}
+
+// Structured affiliations: the organisation hierarchy GROBID tags
+// (institution > department > laboratory) and the address
+function extractInstitutions(author) {
+  return children(author, 'affiliation')
+    .map(affiliation => {
+      const orgNames = children(affiliation, 'orgName');
+      const orgName = type => text(orgNames.find(org => org.getAttribute('type') === type));
+      const address = child(affiliation, 'address');
+      const country = child(address, 'country');
+      return {
+        institution: orgName('institution'),
+        department: orgName('department'),
+        laboratory: orgName('laboratory'),
+        settlement: text(child(address, 'settlement')),
+        region: text(child(address, 'region')),
+        country: text(country),
+        countryCode: country ? country.getAttribute('key') || null : null
+      };
+    })
+    .filter(affiliation => affiliation.institution || affiliation.department || affiliation.laboratory);
+}
+
+function extractAuthors(element) {
+  return children(element, 'author')
+    .map(author => {
+      const persName = child(author, 'persName');
+      if (!persName) return null;
+
+      const forenames = children(persName, 'forename').map(text).filter(Boolean);
+      const surname = text(child(persName, 'surname'));
+      if (!surname) return null;
+
+      return {
+        name: [...forenames, surname].join(' '),
+        forename: forenames.join(' ') || null,
+        surname,
+        email: text(child(author, 'email')),
+        orcid: extractIdno(author, 'ORCID'),
+        affiliations: extractAffiliations(author),
+        institutions: extractInstitutions(author)
+      };
+    })
+    .filter(Boolean);
+}
+
+// Prefer the main article-level title, then any title
+function extractTitle(biblStruct) {
+  const analytic = child(biblStruct, 'analytic');
+  const monogr = child(biblStruct, 'monogr');
+  const titles = [...children(analytic, 'title'), ...children(monogr, 'title')];
+  const main = titles.find(title => title.getAttribute('type') === 'main');
+  return text(main || titles[0]);
+}
+
+function extractReference(biblStruct) {
+  const analytic = child(biblStruct, 'analytic');
+  const monogr = child(biblStruct, 'monogr');
+
+  // When there is no analytic part the monograph itself is the cited work
+  const title = text(child(analytic, 'title')) || text(child(monogr, 'title'));
+  const venue = analytic ? text(child(monogr, 'title')) : null;
+
+  return {
+    title,
+    authors: extractAuthors(analytic || monogr).map(author => author.name),
+    year: extractYear(child(monogr, 'imprint')),
+    venue,
+    doi: extractIdno(biblStruct, 'DOI')
+  };
+}
+
+// The journal, proceedings or book a paper was published in, from the
+// header's <monogr>; null when GROBID found no title for it
+function extractVenue(biblStruct) {
+  const monogr = child(biblStruct, 'monogr');
+  const titles = children(monogr, 'title');
+  const main = titles.find(title => title.getAttribute('type') === 'main') ||
+    titles.find(title => title.getAttribute('type') !== 'abbrev');
+  if (!text(main)) return null;
+
+  const imprint = child(monogr, 'imprint');
+  const scope = unit => children(imprint, 'biblScope').find(node => node.getAttribute('unit') === unit);
+  const pages = scope('page');
+  const pageRange = pages && (pages.getAttribute('from')
+    ? [pages.getAttribute('from'), pages.getAttribute('to')].filter(Boolean).join('-')
+    : text(pages));
+
+  return {
+    title: text(main),
+    level: main.getAttribute('level') || null,
+    abbreviation: text(titles.find(title => title.getAttribute('type') === 'abbrev')),
+    meeting: Boolean(child(monogr, 'meeting')),
+    issn: extractIdno(monogr, 'ISSN'),
+    eissn: extractIdno(monogr, 'EISSN'),
+    publisher: text(child(imprint, 'publisher')),
+    volume: text(scope('volume')),
+    issue: text(scope('issue')),
+    pages: pageRange || null
+  };
+}
+
+function extractSections(body) {
+  return children(body, 'div')
+    .map(div => ({
+      heading: text(child(div, 'head')),
+      text: children(div, 'p').map(text).filter(Boolean).join('\n\n')
+    }))
+    .filter(section => section.heading || section.text);
+}
+
+// Parse a GROBID TEI document into the structure storePaper() accepts
+function parseTei(xmlData) {
+  const doc = new DOMParser({ onError: () => {} }).parseFromString(xmlData, 'text/xml');
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'TEI') {
+    throw new Error('Invalid TEI document: missing <TEI> root element');
+  }
+
+  const header = child(root, 'teiHeader');
+  const fileDesc = child(header, 'fileDesc');
+  const headerBibl = childPath(fileDesc, 'sourceDesc', 'biblStruct');
+  const profileDesc = child(header, 'profileDesc');
+
+  const titleStmt = childPath(fileDesc, 'titleStmt', 'title');
+  const abstract = descendants(child(profileDesc, 'abstract'), 'p')
+    .map(text)
+    .filter(Boolean)
+    .join('\n\n');
+
+  const body = childPath(root, 'text', 'body');
+  const sections = extractSections(body);
+
+  const back = childPath(root, 'text', 'back');
+  const references = descendants(back, 'biblStruct')
+    .map(extractReference)
+    .filter(reference => reference.title);
+
+  const venue = extractVenue(headerBibl);
+
+  return {
+    title: text(titleStmt) || (headerBibl && extractTitle(headerBibl)),
+    abstract: abstract || text(child(profileDesc, 'abstract')),
+    authors: extractAuthors(child(headerBibl, 'analytic')),
+    year: extractYear(child(childPath(headerBibl, 'monogr'), 'imprint')) || extractYear(fileDesc),
+    doi: extractIdno(headerBibl, 'DOI'),
+    venue: venue ? venue.title : null,
+    venueDetails: venue,
+    keywords: descendants(childPath(profileDesc, 'textClass', 'keywords'), 'term')
+      .map(text)
+      .filter(Boolean),
+    sections: sections.map(section => section.heading).filter(Boolean),
+    body: sections.map(section => section.text).filter(Boolean).join('\n\n') || null,
+    references
+  };
+}
+
+export { parseTei };
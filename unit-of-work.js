@@ -0,0 +1,112 @@
+import {
+  buildCreateNode,
+  buildMatchNodes,
+  buildCountNodes,
+  buildCreateRelationship,
+  buildCreateNodes,
+  buildCreateRelationships
+} from './query-builder.js';
+
+// The graph helpers bound to one transaction. Everything done through a
+// UnitOfWork commits or rolls back together.
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Split rows into batches for UNWIND
+function batches(rows, batchSize = DEFAULT_BATCH_SIZE) {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('batchSize must be a positive integer');
+  }
+  const result = [];
+  for (let i = 0; i < rows.length; i += batchSize) {
+    result.push(rows.slice(i, i + batchSize));
+  }
+  return result;
+}
+
+class UnitOfWork {
+  constructor(tx) {
+    this.tx = tx;
+  }
+
+  async run(query, params = {}) {
+    const result = await this.tx.run(query, params);
+    return result.records;
+  }
+
+  async createNode(labels, properties) {
+    const { query, params } = buildCreateNode(labels, properties);
+    const result = await this.tx.run(query, params);
+    return result.records[0].get('n');
+  }
+
+  async findNodes(labels, filters = {}, options = {}) {
+    const { query, params } = buildMatchNodes(labels, filters, options);
+    const result = await this.tx.run(query, params);
+    return result.records.map(record => record.get('n'));
+  }
+
+  async countNodes(labels, filters = {}) {
+    const { query, params } = buildCountNodes(labels, filters);
+    const result = await this.tx.run(query, params);
+    return result.records[0].get('count').toNumber();
+  }
+
+  // Nodes are addressed by elementId; these return null when it does not exist
+  async getNode(id) {
+    const result = await this.tx.run('MATCH (n) WHERE elementId(n) = $id RETURN n', { id });
+    return result.records.length > 0 ? result.records[0].get('n') : null;
+  }
+
+  async updateNode(id, properties) {
+    const result = await this.tx.run(
+      'MATCH (n) WHERE elementId(n) = $id SET n += $properties RETURN n',
+      { id, properties }
+    );
+    return result.records.length > 0 ? result.records[0].get('n') : null;
+  }
+
+  async deleteNode(id) {
+    const result = await this.tx.run(
+      'MATCH (n) WHERE elementId(n) = $id DETACH DELETE n RETURN count(*) AS deleted',
+      { id }
+    );
+    return result.records[0].get('deleted').toNumber() > 0;
+  }
+
+  async createRelationship(fromLabel, fromProps, toLabel, toProps, relType, relProps = {}) {
+    const { query, params } = buildCreateRelationship(
+      { labels: fromLabel, properties: fromProps },
+      { labels: toLabel, properties: toProps },
+      relType,
+      relProps
+    );
+    const result = await this.tx.run(query, params);
+    return result.records[0];
+  }
+
+  // Create one node per row, batched through UNWIND. Returns the number created.
+  async createNodes(labels, rows, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const query = buildCreateNodes(labels);
+    let count = 0;
+    for (const batch of batches(rows, batchSize)) {
+      const result = await this.tx.run(query, { rows: batch });
+      count += result.records[0].get('count').toNumber();
+    }
+    return count;
+  }
+
+  // Create relationships between nodes matched on a key property, batched
+  // through UNWIND. Rows whose endpoints are missing are skipped.
+  async createRelationships(spec, rows, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const query = buildCreateRelationships(spec);
+    let count = 0;
+    for (const batch of batches(rows, batchSize)) {
+      const result = await this.tx.run(query, { rows: batch });
+      count += result.records[0].get('count').toNumber();
+    }
+    return count;
+  }
+}
+
+export { UnitOfWork, batches, DEFAULT_BATCH_SIZE };